@@ -2,6 +2,7 @@
 
 const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 const { JWT_SECRET } = require('../config');
+const RevokedToken = require('../models/revokedToken');
 
 const strategyOptions = {
   secretOrKey: JWT_SECRET,
@@ -9,8 +10,23 @@ const strategyOptions = {
   algorithms: ['HS256'],
 };
 
+// The payload is passed on as `req.authInfo` so that logging out can revoke
+// the token used for the request
 const jwtStrategy = new JwtStrategy(strategyOptions, (payload, done) => {
-  done(null, payload.user);
+  if (!payload.jti) {
+    done(null, false);
+    return;
+  }
+
+  RevokedToken.isRevoked(payload.jti)
+    .then((revoked) => {
+      if (revoked) {
+        done(null, false);
+      } else {
+        done(null, payload.user, payload);
+      }
+    })
+    .catch(done);
 });
 
 module.exports = jwtStrategy;
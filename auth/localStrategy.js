@@ -1,36 +1,51 @@
 'use strict';
 
+const bcrypt = require('bcryptjs');
 const { Strategy: LocalStrategy } = require('passport-local');
 
 const { LoginError } = require('./errors');
+const { recordFailure, recordSuccess } = require('./loginThrottle');
 const User = require('../models/user');
 
-const localStrategy = new LocalStrategy((username, password, done) => {
-  let user;
-  User.findOne({ username })
-    .then((result) => {
-      user = result;
-      if (!user) {
-        throw new LoginError('Incorrect username', 'username');
-      }
-
-      return user.validatePassword(password);
-    })
-    .then((passwordIsValid) => {
-      if (!passwordIsValid) {
-        throw new LoginError('Incorrect password', 'password');
-      }
-
-      done(null, user);
-    })
-    .catch((err) => {
-      if (err instanceof LoginError) {
-        done(null, false);
-        return;
-      }
-
-      done(err);
-    });
-});
+// Compared against when the username doesn't exist, so that unknown usernames
+// take as long to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// The same error for both cases, so usernames can't be enumerated
+const INVALID_CREDENTIALS = 'Incorrect username or password';
+
+const localStrategy = new LocalStrategy(
+  { passReqToCallback: true },
+  (req, username, password, done) => {
+    User.findOne({ username })
+      .then((user) => {
+        const validation = user
+          ? user.validatePassword(password)
+          : bcrypt.compare(password, DUMMY_PASSWORD_HASH).then(() => false);
+
+        return validation.then((passwordIsValid) => {
+          if (!passwordIsValid) {
+            throw new LoginError(INVALID_CREDENTIALS);
+          }
+
+          return recordSuccess(username).then(() => {
+            done(null, user);
+          });
+        });
+      })
+      .catch((err) => {
+        if (err instanceof LoginError) {
+          recordFailure(username, req.ip)
+            .then(() => {
+              done(null, false, { message: err.message });
+            })
+            .catch(done);
+          return;
+        }
+
+        done(err);
+      });
+  },
+);
 
 module.exports = localStrategy;
@@ -0,0 +1,123 @@
+'use strict';
+
+const {
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+} = require('../config');
+const LoginAttempt = require('../models/loginAttempt');
+
+// The wait after the first failure, doubled after every further failure
+const BACKOFF_BASE_MS = 1000;
+const LOCKOUT_MS = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+// Tries at counting a failure which races another one to insert the count
+const UPSERT_ATTEMPTS = 3;
+
+function keysFor(username, ip) {
+  return [
+    { key: `username:${username}`, maxFailures: LOGIN_MAX_FAILURES },
+    { key: `ip:${ip}`, maxFailures: LOGIN_MAX_FAILURES_PER_IP },
+  ];
+}
+
+/**
+ * How long to wait after `failures` failed logins before trying again:
+ * exponentially longer after each failure, and the whole lockout period once
+ * `maxFailures` is reached.
+ */
+function backoff(failures, maxFailures) {
+  if (!failures) {
+    return 0;
+  }
+
+  if (failures >= maxFailures) {
+    return LOCKOUT_MS;
+  }
+
+  return Math.min(BACKOFF_BASE_MS * (2 ** (failures - 1)), LOCKOUT_MS);
+}
+
+/**
+ * Resolve to the number of seconds until `username` may try to log in again
+ * from `ip`, or 0 if it may do so right away.
+ */
+function retryAfter(username, ip, now = new Date()) {
+  const keys = keysFor(username, ip);
+
+  const filter = { key: { $in: keys.map(({ key }) => key) }, expiresAt: { $gt: now } };
+
+  return LoginAttempt.find(filter).then((attempts) => {
+    const waits = attempts.map((attempt) => {
+      const { maxFailures } = keys.find(({ key }) => key === attempt.key);
+      const delay = backoff(attempt.failures, maxFailures);
+      return attempt.lastFailureAt.getTime() + delay - now.getTime();
+    });
+
+    return Math.ceil(Math.max(0, ...waits) / 1000);
+  });
+}
+
+// Concurrent failures may both insert a count for `key`, and the unique index
+// refuses all but one of them. Trying again updates the count which won.
+function countFailure(key, update, attempt) {
+  return LoginAttempt.findOneAndUpdate({ key }, update, { upsert: true })
+    .catch((err) => {
+      if (err.code === 11000 && attempt < UPSERT_ATTEMPTS) {
+        return countFailure(key, update, attempt + 1);
+      }
+      return Promise.reject(err);
+    });
+}
+
+function recordFailure(username, ip, now = new Date()) {
+  const keys = keysFor(username, ip).map(({ key }) => key);
+  const expiresAt = new Date(now.getTime() + LOCKOUT_MS);
+  const update = { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } };
+
+  // Expired counts may not have been removed by MongoDB yet
+  return LoginAttempt.deleteMany({ key: { $in: keys }, expiresAt: { $lte: now } }).then(
+    () => Promise.all(keys.map(key => countFailure(key, update, 1))),
+  );
+}
+
+// Only the username is forgiven: logging in to one account must not let an
+// address go on guessing the passwords of others
+function recordSuccess(username) {
+  return LoginAttempt.deleteOne({ key: `username:${username}` });
+}
+
+/**
+ * Middleware refusing logins for usernames or addresses which have failed too
+ * often recently, with a 429 and a `Retry-After` header.
+ */
+function loginThrottle(req, res, next) {
+  const { username } = req.body;
+
+  if (!username) {
+    next();
+    return;
+  }
+
+  retryAfter(String(username), req.ip)
+    .then((seconds) => {
+      if (!seconds) {
+        next();
+        return;
+      }
+
+      const err = new Error('Too many failed login attempts, try again later');
+      err.status = 429;
+      err.retryAfter = seconds;
+      res.set('Retry-After', String(seconds));
+      next(err);
+    })
+    .catch(next);
+}
+
+module.exports = {
+  backoff,
+  loginThrottle,
+  recordFailure,
+  recordSuccess,
+  retryAfter,
+};
@@ -1,14 +1,159 @@
 'use strict';
 
+const crypto = require('crypto');
 const jsonwebtoken = require('jsonwebtoken');
 
-const { JWT_SECRET, JWT_EXPIRY } = require('../config');
+const { JWT_SECRET, JWT_EXPIRY, REFRESH_TOKEN_EXPIRY_DAYS } = require('../config');
+const RefreshToken = require('../models/refreshToken');
+const RevokedToken = require('../models/revokedToken');
+const User = require('../models/user');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function invalidRefreshToken() {
+  const err = new Error('The `refreshToken` is not valid');
+  err.status = 401;
+  return err;
+}
+
+// Every access token carries a unique id (`jti`) so it can be denylisted
+function createAuthToken(user) {
+  return jsonwebtoken.sign({ user }, JWT_SECRET, {
+    subject: user.username,
+    expiresIn: JWT_EXPIRY,
+    jwtid: randomId(16),
+  });
+}
+
+/**
+ * Issue a short-lived access token along with the refresh token which can be
+ * exchanged for the next pair. Refresh tokens rotated from the same login are
+ * kept in the same `family`.
+ */
+function issueTokens(user, family = randomId(16)) {
+  const authToken = createAuthToken(user);
+  const { jti, exp } = jsonwebtoken.decode(authToken);
+  const refreshToken = randomId(32);
+
+  return RefreshToken.create({
+    tokenHash: RefreshToken.hash(refreshToken),
+    userId: user.id,
+    family,
+    accessJti: jti,
+    accessExpiresAt: new Date(exp * 1000),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * DAY_IN_MS),
+  }).then(() => ({ authToken, refreshToken }));
+}
+
+/**
+ * Revoke the refresh tokens matching `filter` along with the access tokens
+ * which were issued with them.
+ */
+function revokeRefreshTokens(filter) {
+  return RefreshToken.find(filter).then((results) => {
+    const access = results.map(token => ({
+      jti: token.accessJti,
+      expiresAt: token.accessExpiresAt,
+    }));
+
+    return Promise.all([
+      RefreshToken.updateMany(
+        { _id: { $in: results.map(token => token._id) }, revokedAt: null },
+        { revokedAt: new Date() },
+      ),
+      RevokedToken.revoke(access),
+    ]);
+  });
+}
+
+/**
+ * Exchange a refresh token for a new pair of tokens. Each refresh token can
+ * only be used once: presenting it again means it has been stolen, so every
+ * token of its family is revoked.
+ */
+function rotateRefreshToken(refreshToken) {
+  const tokenHash = RefreshToken.hash(String(refreshToken));
+  const now = new Date();
+
+  return RefreshToken.findOneAndUpdate(
+    {
+      tokenHash,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+  )
+    .then((token) => {
+      if (token) {
+        return token;
+      }
+
+      return RefreshToken.findOne({ tokenHash }).then((reused) => {
+        if (reused && reused.usedAt) {
+          return revokeRefreshTokens({ family: reused.family }).then(() => {
+            throw invalidRefreshToken();
+          });
+        }
+
+        throw invalidRefreshToken();
+      });
+    })
+    .then(token => User.findById(token.userId).then((user) => {
+      if (!user) {
+        throw invalidRefreshToken();
+      }
+
+      return issueTokens(user.toObject(), token.family);
+    }));
+}
+
+// Denylist the access token described by the JWT `payload` until it expires
+function revokeAccessToken(payload) {
+  const expiresAt = new Date(payload.exp * 1000);
+  return RevokedToken.revoke([{ jti: payload.jti, expiresAt }]);
+}
+
+/**
+ * Denylist the access token described by the JWT `payload`, and revoke the
+ * family of `refreshToken` if one is given.
+ */
+function revokeSession(payload, refreshToken) {
+  const revocations = [
+    revokeAccessToken(payload),
+  ];
+
+  if (refreshToken) {
+    revocations.push(
+      RefreshToken.findOne({
+        tokenHash: RefreshToken.hash(String(refreshToken)),
+        userId: payload.user.id,
+      }).then(token => token && revokeRefreshTokens({ family: token.family })),
+    );
+  }
+
+  return Promise.all(revocations);
+}
+
+/**
+ * Revoke every refresh token of a user along with the access tokens which
+ * were issued with them, logging them out everywhere.
+ */
+function revokeAllSessions(payload) {
+  return Promise.all([
+    revokeAccessToken(payload),
+    revokeRefreshTokens({ userId: payload.user.id }),
+  ]);
+}
 
 module.exports = {
-  createAuthToken(user) {
-    return jsonwebtoken.sign({ user }, JWT_SECRET, {
-      subject: user.username,
-      expiresIn: JWT_EXPIRY,
-    });
-  },
+  createAuthToken,
+  issueTokens,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
 };
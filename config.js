@@ -2,6 +2,15 @@
 
 require('dotenv').config();
 
+// Express's `trust proxy` setting: `true`, a number of proxies, or the
+// addresses of the proxies to trust
+function trustProxy(value = '') {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? Number(value) : value || false;
+}
+
 module.exports = {
   PORT: process.env.PORT || 8080,
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost/noteful',
@@ -12,5 +21,24 @@ module.exports = {
     useCreateIndex: true,
   },
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRY: process.env.JWT_EXPIRY || '7d',
+  // Access tokens are short-lived, clients use their refresh token for new ones
+  JWT_EXPIRY: process.env.JWT_EXPIRY || '15m',
+  REFRESH_TOKEN_EXPIRY_DAYS: Number(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30,
+  // Failed logins allowed before a username or an IP address is locked out
+  LOGIN_MAX_FAILURES: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  LOGIN_MAX_FAILURES_PER_IP: Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  LOGIN_LOCKOUT_MINUTES: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // Set behind a reverse proxy, or every login is counted against the address
+  // of the proxy instead of the client's
+  TRUST_PROXY: trustProxy(process.env.TRUST_PROXY),
+  TRASH_RETENTION_DAYS: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  // How long permanent deletions are remembered for clients syncing changes.
+  // Clients which last synced before then have to sync everything again.
+  SYNC_TOMBSTONE_DAYS: Number(process.env.SYNC_TOMBSTONE_DAYS) || 90,
+  // Where attachment files are kept, see `lib/storage.js`
+  ATTACHMENT_STORAGE: process.env.ATTACHMENT_STORAGE || 'local',
+  ATTACHMENT_DIR: process.env.ATTACHMENT_DIR || 'uploads',
+  ATTACHMENT_MAX_SIZE_MB: Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10,
+  // The total size of the attachments each user may store, trash included
+  ATTACHMENT_QUOTA_MB: Number(process.env.ATTACHMENT_QUOTA_MB) || 100,
 };
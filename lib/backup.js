@@ -0,0 +1,348 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const PublicLink = require('../models/publicLink');
+const Revision = require('../models/revision');
+const Tag = require('../models/tag');
+const Tombstone = require('../models/tombstone');
+const references = require('./references');
+const storage = require('./storage');
+
+// Bump whenever the format changes, and teach `restoreBackup` the old one
+const BACKUP_VERSION = 1;
+
+const MODES = ['merge', 'replace'];
+
+// The fields kept for each type of item, besides its id and timestamps
+const FIELDS = {
+  folders: ['name', 'parentId', 'position'],
+  tags: ['name', 'parentId', 'position'],
+  notes: ['title', 'content', 'folderId', 'tags', 'pinned', 'favorite', 'position'],
+};
+
+function invalid(message) {
+  const err = new Error(`The backup is not valid: ${message}`);
+  err.status = 422;
+  return err;
+}
+
+function serialize(item, fields) {
+  const result = { id: item.id };
+  fields.concat('createdAt', 'updatedAt').forEach((field) => {
+    if (item[field] !== undefined) {
+      result[field] = item[field];
+    }
+  });
+  return result;
+}
+
+/**
+ * Resolve to a versioned, JSON-serializable copy of every folder, tag and note
+ * of `userId` which isn't in the trash.
+ */
+function createBackup(userId, now = new Date()) {
+  const live = { userId, deletedAt: null };
+
+  return Promise.all([
+    Folder.find(live).sort('createdAt'),
+    Tag.find(live).sort('createdAt'),
+    Note.find(live).sort('createdAt'),
+  ]).then(([folders, tags, notes]) => ({
+    version: BACKUP_VERSION,
+    createdAt: now,
+    folders: folders.map(folder => serialize(folder, FIELDS.folders)),
+    tags: tags.map(tag => serialize(tag, FIELDS.tags)),
+    notes: notes.map(note => serialize(note, FIELDS.notes)),
+  }));
+}
+
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object') {
+    return invalid('expected a JSON object');
+  }
+
+  if (backup.version !== BACKUP_VERSION) {
+    return invalid(`unsupported version ${JSON.stringify(backup.version)}`);
+  }
+
+  // The field every item of each type needs besides its `id`
+  const required = { folders: 'name', tags: 'name', notes: 'title' };
+  const isValid = field => item => Boolean(item)
+    && typeof item.id === 'string'
+    && typeof item[field] === 'string'
+    && item[field] !== '';
+
+  const type = Object.keys(required).find(
+    key => !Array.isArray(backup[key]) || !backup[key].every(isValid(required[key])),
+  );
+  if (type) {
+    const field = required[type];
+    return invalid(`every item of \`${type}\` needs an \`id\` and a \`${field}\``);
+  }
+
+  return null;
+}
+
+// Parents have to be created before their children
+function parentsFirst(items) {
+  const ids = new Set(items.map(item => item.id));
+  const sorted = [];
+  const placed = new Set();
+  let remaining = items;
+
+  while (remaining.length) {
+    const ready = remaining.filter(item => !item.parentId
+      || !ids.has(String(item.parentId))
+      || placed.has(String(item.parentId)));
+
+    // Whatever is left is a cycle, which is broken by making them roots
+    const batch = ready.length
+      ? ready
+      : remaining.map(item => Object.assign({}, item, { parentId: null }));
+
+    batch.forEach((item) => {
+      sorted.push(item);
+      placed.add(item.id);
+    });
+    remaining = remaining.filter(item => !placed.has(item.id));
+  }
+
+  return sorted;
+}
+
+// The place in the manual order and, for notes, the flags of an item, which
+// are left unset unless valid. Flags are only ever `true` or unset.
+function ordering(item) {
+  const result = {};
+  if (Number.isInteger(item.position)) {
+    result.position = item.position;
+  }
+  ['pinned', 'favorite'].forEach((flag) => {
+    if (item[flag] === true) {
+      result[flag] = true;
+    }
+  });
+  return result;
+}
+
+function timestamps(item) {
+  const result = {};
+  ['createdAt', 'updatedAt'].forEach((field) => {
+    const date = item[field] ? new Date(item[field]) : null;
+    if (date && !Number.isNaN(date.getTime())) {
+      result[field] = date;
+    }
+  });
+  return result;
+}
+
+/**
+ * Call each of `steps` once the promise the one before returned has settled,
+ * and resolve to all of their results. The driver doesn't allow operations
+ * on the same session or transaction to overlap, so everything done inside
+ * the transaction of a restore goes through here.
+ */
+function inSequence(steps) {
+  const results = [];
+  return steps
+    .reduce((done, step) => done
+      .then(() => step())
+      .then((result) => {
+        results.push(result);
+      }), Promise.resolve())
+    .then(() => results);
+}
+
+// Everything removed is recorded as deleted for syncing clients
+function removeNotebook(userId, session) {
+  const find = Model => () => Model
+    .find({ userId })
+    .select('_id userId')
+    .session(session);
+
+  return inSequence([find(Note), find(Folder), find(Tag)])
+    .then(([notes, folders, tags]) => {
+      const noteIds = notes.map(note => note._id);
+      return inSequence([
+        () => Tombstone.record('notes', notes, session),
+        () => Tombstone.record('folders', folders, session),
+        () => Tombstone.record('tags', tags, session),
+        () => Revision.deleteMany({ noteId: { $in: noteIds } }).session(session),
+        () => PublicLink.deleteMany({ userId }).session(session),
+        () => Note.deleteMany({ userId }).session(session),
+        () => Folder.deleteMany({ userId }).session(session),
+        () => Tag.deleteMany({ userId }).session(session),
+      ]);
+    });
+}
+
+/**
+ * Recreate the items of `backup` for `userId`, all with new ids. `replace`
+ * first removes the whole notebook, `merge` adds to it and reuses the
+ * folders and tags which already exist with the same name.
+ */
+function restoreItems(userId, backup, mode, session) {
+  const folderIds = new Map();
+  const tagIds = new Map();
+  const live = { userId, deletedAt: null };
+
+  const cleared = mode === 'replace'
+    ? removeNotebook(userId, session)
+    : Promise.resolve();
+
+  return cleared
+    .then(() => inSequence([
+      () => Folder.find(live).session(session),
+      () => Tag.find(live).session(session),
+    ]))
+    .then(([existingFolders, existingTags]) => {
+      // Folders and tags are matched by name amongst their siblings
+      const itemKey = (name, parentId) => `${parentId || ''}/${name}`;
+      const foldersByKey = new Map(existingFolders.map(folder => [
+        itemKey(folder.name, folder.parentId), folder._id,
+      ]));
+      const tagsByKey = new Map(existingTags.map(tag => [
+        itemKey(tag.name, tag.parentId), tag._id,
+      ]));
+
+      const newFolders = [];
+      parentsFirst(backup.folders).forEach((folder) => {
+        const parentId = folder.parentId
+          ? folderIds.get(String(folder.parentId))
+          : undefined;
+        const key = itemKey(folder.name, parentId);
+        if (!foldersByKey.has(key)) {
+          const _id = new mongoose.Types.ObjectId();
+          foldersByKey.set(key, _id);
+          newFolders.push(Object.assign(
+            {
+              _id, name: folder.name, parentId, userId,
+            },
+            ordering(folder),
+            timestamps(folder),
+          ));
+        }
+        folderIds.set(folder.id, foldersByKey.get(key));
+      });
+
+      const newTags = [];
+      parentsFirst(backup.tags).forEach((tag) => {
+        const parentId = tag.parentId ? tagIds.get(String(tag.parentId)) : undefined;
+        const key = itemKey(tag.name, parentId);
+        if (!tagsByKey.has(key)) {
+          const _id = new mongoose.Types.ObjectId();
+          tagsByKey.set(key, _id);
+          newTags.push(Object.assign(
+            {
+              _id, name: tag.name, parentId, userId,
+            },
+            ordering(tag),
+            timestamps(tag),
+          ));
+        }
+        tagIds.set(tag.id, tagsByKey.get(key));
+      });
+
+      const newNotes = backup.notes.map(note => Object.assign(
+        {
+          title: note.title,
+          content: note.content,
+          folderId: note.folderId ? folderIds.get(String(note.folderId)) : undefined,
+          tags: (note.tags || []).map(id => tagIds.get(String(id))).filter(Boolean),
+          userId,
+        },
+        ordering(note),
+        timestamps(note),
+      ));
+
+      return inSequence([
+        () => Folder.insertMany(newFolders, { session }),
+        () => Tag.insertMany(newTags, { session }),
+        () => Note.insertMany(newNotes, { session }),
+        // A backup of this notebook has the ids of the folders and tags which
+        // were just removed, so saved searches and templates can follow them
+        () => (mode === 'replace'
+          ? references.remap(userId, folderIds, tagIds, session)
+          : null),
+      ]);
+    })
+    .then(([folders, tags, notes]) => ({
+      mode,
+      folders: folders.length,
+      tags: tags.length,
+      notes: notes.length,
+    }));
+}
+
+/**
+ * Resolve to whether the database can run transactions, which needs MongoDB
+ * 4.0 or later running as a replica set, or a sharded cluster.
+ */
+function supportsTransactions() {
+  return mongoose.connection.db
+    .admin()
+    .command({ isMaster: 1 })
+    .then(result => Boolean(result.setName || result.msg === 'isdbgrid'));
+}
+
+/**
+ * Restore `backup` in a transaction, so that a failure part of the way
+ * through leaves the notebook as it was. Resolves to the number of items
+ * created of each type. Rejects with a 503 where transactions aren't
+ * supported, see `supportsTransactions`.
+ */
+function restoreBackup(userId, backup, mode) {
+  const err = validateBackup(backup);
+  if (err) {
+    return Promise.reject(err);
+  }
+
+  // Files can't be part of the transaction, so the attachments of the notes
+  // replaced are only removed once it has been committed
+  let replaced = [];
+
+  return supportsTransactions().then((supported) => {
+    if (!supported) {
+      const unsupported = new Error(
+        'Restoring a backup needs MongoDB running as a replica set',
+      );
+      unsupported.status = 503;
+      return Promise.reject(unsupported);
+    }
+
+    return mode === 'replace' ? Note.find({ userId }).select('attachments') : [];
+  }).then((notes) => {
+    replaced = notes;
+    return mongoose.startSession();
+  }).then((session) => {
+    session.startTransaction();
+    return restoreItems(userId, backup, mode, session)
+      .then(
+        result => session.commitTransaction().then(() => result),
+        restoreErr => session.abortTransaction().then(() => Promise.reject(restoreErr)),
+      )
+      .then(
+        (result) => {
+          session.endSession();
+          return storage.removeAttachments(replaced).then(() => result);
+        },
+        (restoreErr) => {
+          session.endSession();
+          return Promise.reject(restoreErr);
+        },
+      );
+  });
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  MODES,
+  createBackup,
+  inSequence,
+  restoreBackup,
+  supportsTransactions,
+  validateBackup,
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+// Changes are published within this process, so only connections served by
+// the same server process as the change are told about it
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Call `listener` with every change published to `userId`. Returns a function
+ * which stops listening.
+ */
+function subscribe(userId, listener) {
+  const channel = String(userId);
+  emitter.on(channel, listener);
+  return () => emitter.removeListener(channel, listener);
+}
+
+/**
+ * Tell the users in `userIds` that an item of `type` (`note`, `folder`, `tag`
+ * or `savedSearch`) was `created`, `updated` or `deleted`. Deleted items are
+ * only sent as their id.
+ */
+function publish(userIds, type, action, item) {
+  const data = action === 'deleted' ? { id: String(item.id || item) } : item;
+  const event = { type: `${type}.${action}`, data };
+
+  new Set([].concat(userIds).map(String)).forEach((userId) => {
+    emitter.emit(userId, event);
+  });
+}
+
+// Shared notes change for their collaborators as well as for their owner
+function publishNote(action, note) {
+  const userIds = [note.userId].concat((note.shares || []).map(share => share.userId));
+  publish(userIds, 'note', action, note);
+}
+
+module.exports = {
+  publish,
+  publishNote,
+  subscribe,
+};
@@ -0,0 +1,160 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Helpers for models whose documents form a tree through a `parentId` field.
+// Trees are small and scoped to a single user, so they are walked in memory.
+
+function loadItems(Model, userId, sort = 'name') {
+  return Model.find({ userId, deletedAt: null }).sort(sort);
+}
+
+function childrenByParent(items) {
+  const children = new Map();
+  items.forEach((item) => {
+    const key = item.parentId ? item.parentId.toString() : null;
+    if (!children.has(key)) {
+      children.set(key, []);
+    }
+    children.get(key).push(item);
+  });
+  return children;
+}
+
+/**
+ * The ids of every descendant of `id` amongst `items`, not including `id`
+ * itself. Callers walking many subtrees of the same items pass the
+ * `childrenByParent` of them, so it is only built once.
+ */
+function subtreeIds(items, id, children = childrenByParent(items)) {
+  const result = [];
+  const queue = [id.toString()];
+
+  while (queue.length) {
+    (children.get(queue.shift()) || []).forEach((child) => {
+      result.push(child._id);
+      queue.push(child.id);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Resolve to the ids of every descendant of `id`, not including `id` itself.
+ */
+function descendantIds(Model, userId, id) {
+  return loadItems(Model, userId).then(items => subtreeIds(items, id));
+}
+
+/**
+ * A map from the id of each of `items` to its slash-separated path from the
+ * root, as `buildTree` has it.
+ */
+function itemPaths(items) {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const paths = new Map();
+
+  function pathOf(item, seen) {
+    if (!paths.has(item.id)) {
+      const parent = item.parentId && byId.get(item.parentId.toString());
+      // Parents which are missing, or part of a cycle, make the item a root
+      paths.set(item.id, parent && !seen.has(parent.id)
+        ? `${pathOf(parent, seen.add(item.id))}/${item.name}`
+        : item.name);
+    }
+    return paths.get(item.id);
+  }
+
+  items.forEach(item => pathOf(item, new Set()));
+  return paths;
+}
+
+/**
+ * Resolve to `true` if making `parentId` the parent of `id` would turn the
+ * tree into a cycle, i.e. `parentId` is `id` or one of its descendants.
+ */
+function createsCycle(Model, userId, id, parentId) {
+  if (!parentId) {
+    return Promise.resolve(false);
+  }
+
+  if (parentId.toString() === id.toString()) {
+    return Promise.resolve(true);
+  }
+
+  return descendantIds(Model, userId, id).then(ids => ids.some(
+    descendant => descendant.toString() === parentId.toString(),
+  ));
+}
+
+/**
+ * Middleware checking that the `parentId` in the request body, if any, is a
+ * live item of `Model` belonging to the user.
+ */
+function validateParent(Model) {
+  return (req, res, next) => {
+    const { parentId } = req.body;
+    const { id: userId } = req.user;
+
+    if (!parentId) {
+      return next();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(parentId)) {
+      const err = new Error('The `parentId` is not valid');
+      err.status = 400;
+      return next(err);
+    }
+
+    Model.findOne({ _id: parentId, userId, deletedAt: null })
+      .then((parent) => {
+        if (!parent) {
+          const err = new Error('The `parentId` does not exist');
+          err.status = 422;
+          return next(err);
+        }
+
+        next();
+      })
+      .catch(next);
+  };
+}
+
+/**
+ * Nest `items` under their parents. Every node is the item's JSON with its
+ * slash-separated `path` from the root and an array of `children`. Items
+ * whose parent is not in `items` are treated as roots.
+ */
+function buildTree(items) {
+  const known = new Set(items.map(item => item.id));
+  const children = childrenByParent(
+    items.filter(item => !item.parentId || known.has(item.parentId.toString())),
+  );
+  const orphans = items.filter(
+    item => item.parentId && !known.has(item.parentId.toString()),
+  );
+
+  function build(item, parentPath) {
+    const path = parentPath ? `${parentPath}/${item.name}` : item.name;
+    return Object.assign(item.toJSON(), {
+      path,
+      children: (children.get(item.id) || []).map(child => build(child, path)),
+    });
+  }
+
+  return (children.get(null) || []).concat(orphans).map(item => build(item, ''));
+}
+
+module.exports = {
+  buildTree,
+  childrenByParent,
+  createsCycle,
+  descendantIds,
+  itemPaths,
+  loadItems,
+  subtreeIds,
+  validateParent,
+};
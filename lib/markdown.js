@@ -0,0 +1,80 @@
+'use strict';
+
+const yaml = require('js-yaml');
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Turn a title or folder name into something every file system accepts as a
+ * file or directory name.
+ */
+function safeFileName(name) {
+  const safe = String(name || '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[/\\:*?"<>|\u0000-\u001f]/g, '-')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, MAX_NAME_LENGTH);
+  return safe || 'Untitled';
+}
+
+/**
+ * Return `name` or, if it is already in `taken`, the first of `name (2)`,
+ * `name (3)`... which isn't. The result is added to `taken`.
+ */
+function uniqueName(name, taken, extension = '') {
+  let candidate = `${name}${extension}`;
+  for (let i = 2; taken.has(candidate.toLowerCase()); i += 1) {
+    candidate = `${name} (${i})${extension}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Render a note as Markdown, with its metadata in YAML front matter.
+ */
+function toMarkdown(note, tagNames = []) {
+  const attributes = { id: note.id, title: note.title };
+  if (tagNames.length) {
+    attributes.tags = tagNames;
+  }
+  if (note.createdAt) {
+    attributes.createdAt = note.createdAt.toISOString();
+  }
+  if (note.updatedAt) {
+    attributes.updatedAt = note.updatedAt.toISOString();
+  }
+
+  const frontMatter = yaml.safeDump(attributes, { lineWidth: -1 });
+  return `---\n${frontMatter}---\n\n${note.content || ''}`;
+}
+
+/**
+ * Split a Markdown file into its front matter attributes and its content.
+ * Files without front matter are all content. Throws if the front matter is
+ * not valid YAML.
+ */
+function fromMarkdown(text) {
+  const match = FRONT_MATTER.exec(text);
+  if (!match) {
+    return { attributes: {}, content: text };
+  }
+
+  const attributes = yaml.safeLoad(match[1]) || {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('The front matter must be a mapping');
+  }
+
+  return {
+    attributes,
+    content: text.slice(match[0].length).replace(/^\r?\n/, ''),
+  };
+}
+
+module.exports = {
+  fromMarkdown,
+  safeFileName,
+  toMarkdown,
+  uniqueName,
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+// Above this many lines compared against each other, the lines in between the
+// common start and end of two texts are treated as a single change rather
+// than diffed, to bound the memory used.
+const MAX_DIFF_CELLS = 4000000;
+
+function splitLines(text) {
+  return (text || '').split('\n');
+}
+
+/**
+ * Diff two arrays of lines, returning the changed regions ("hunks") as
+ * `{ oStart, oLength, sStart, sLength }`: `oLength` lines of `original` from
+ * `oStart` were replaced by `sLength` lines of `changed` from `sStart`.
+ */
+function diffLines(original, changed) {
+  let start = 0;
+  while (start < original.length && start < changed.length
+    && original[start] === changed[start]) {
+    start += 1;
+  }
+
+  let oEnd = original.length;
+  let sEnd = changed.length;
+  while (oEnd > start && sEnd > start && original[oEnd - 1] === changed[sEnd - 1]) {
+    oEnd -= 1;
+    sEnd -= 1;
+  }
+
+  const n = oEnd - start;
+  const m = sEnd - start;
+  if (!n && !m) {
+    return [];
+  }
+
+  if (!n || !m || (n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [{
+      oStart: start, oLength: n, sStart: start, sLength: m,
+    }];
+  }
+
+  // Longest common subsequence of the middle parts, filled in from the end
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = original[start + i] === changed[start + j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  const flush = () => {
+    if (hunk) {
+      hunks.push(hunk);
+      hunk = null;
+    }
+  };
+  const change = () => {
+    if (!hunk) {
+      hunk = {
+        oStart: start + i, oLength: 0, sStart: start + j, sLength: 0,
+      };
+    }
+    return hunk;
+  };
+
+  while (i < n || j < m) {
+    if (i < n && j < m && original[start + i] === changed[start + j]) {
+      flush();
+      i += 1;
+      j += 1;
+    } else if (j >= m
+      || (i < n && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      change().oLength += 1;
+      i += 1;
+    } else {
+      change().sLength += 1;
+      j += 1;
+    }
+  }
+  flush();
+
+  return hunks;
+}
+
+// The lines of `side` standing in for `base[regionStart, regionEnd)`, given
+// the hunks of that side which fall in the region
+function sideRegion(base, side, hunks, regionStart, regionEnd) {
+  if (!hunks.length) {
+    return base.slice(regionStart, regionEnd);
+  }
+
+  const first = hunks[0];
+  const last = hunks[hunks.length - 1];
+  const from = first.sStart + (regionStart - first.oStart);
+  const to = last.sStart + last.sLength + (regionEnd - (last.oStart + last.oLength));
+  return side.slice(from, to);
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Line-based three-way merge of the changes `mine` and `theirs` each made to
+ * `base`. Changes to different lines are both kept. Where both changed the
+ * same lines differently, the result contains both versions between
+ * conflict markers, labelled with `labels.mine` and `labels.theirs`.
+ *
+ * Returns `{ text, conflicts }`, `conflicts` being the number of
+ * conflicting regions.
+ */
+function merge3(base, mine, theirs, labels = {}) {
+  const baseLines = splitLines(base);
+  const sides = { mine: splitLines(mine), theirs: splitLines(theirs) };
+
+  const hunks = ['mine', 'theirs']
+    .map(side => diffLines(baseLines, sides[side])
+      .map(hunk => Object.assign({ side }, hunk)))
+    .reduce((all, sideHunks) => all.concat(sideHunks), [])
+    .sort((a, b) => a.oStart - b.oStart);
+
+  const result = [];
+  let conflicts = 0;
+  let offset = 0;
+
+  for (let h = 0; h < hunks.length;) {
+    // Group every hunk touching the region changed by the first one
+    const regionStart = hunks[h].oStart;
+    let regionEnd = regionStart + hunks[h].oLength;
+    const group = [hunks[h]];
+    h += 1;
+    while (h < hunks.length && hunks[h].oStart <= regionEnd) {
+      regionEnd = Math.max(regionEnd, hunks[h].oStart + hunks[h].oLength);
+      group.push(hunks[h]);
+      h += 1;
+    }
+
+    result.push(...baseLines.slice(offset, regionStart));
+
+    const [mineLines, theirLines] = ['mine', 'theirs'].map(side => sideRegion(
+      baseLines,
+      sides[side],
+      group.filter(hunk => hunk.side === side),
+      regionStart,
+      regionEnd,
+    ));
+
+    const bothChanged = group.some(hunk => hunk.side === 'mine')
+      && group.some(hunk => hunk.side === 'theirs');
+
+    if (!bothChanged) {
+      result.push(...(group[0].side === 'mine' ? mineLines : theirLines));
+    } else if (sameLines(mineLines, theirLines)) {
+      result.push(...mineLines);
+    } else {
+      conflicts += 1;
+      result.push(
+        `<<<<<<< ${labels.mine || 'mine'}`,
+        ...mineLines,
+        '=======',
+        ...theirLines,
+        `>>>>>>> ${labels.theirs || 'theirs'}`,
+      );
+    }
+
+    offset = regionEnd;
+  }
+
+  result.push(...baseLines.slice(offset));
+
+  return { text: result.join('\n'), conflicts };
+}
+
+module.exports = {
+  diffLines,
+  merge3,
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+
+// Indexes which earlier versions created and which no longer fit the data.
+// `autoIndex` only ever creates indexes, so these have to be dropped.
+const LEGACY_INDEXES = [
+  // Names were unique per user, they are now only unique amongst the live
+  // items sharing a parent
+  { Model: Folder, name: 'name_1_userId_1' },
+  { Model: Tag, name: 'name_1_userId_1' },
+];
+
+// `NamespaceNotFound` and `IndexNotFound`: nothing to drop
+const NOT_FOUND = [26, 27];
+
+/**
+ * Drop the indexes earlier versions created which no longer apply. Run on
+ * startup, once connected, and safe to run any number of times.
+ */
+function dropLegacyIndexes() {
+  return Promise.all(LEGACY_INDEXES.map(({ Model, name }) => Model.collection
+    .dropIndex(name)
+    .catch((err) => {
+      if (!NOT_FOUND.includes(err.code)) {
+        return Promise.reject(err);
+      }
+      return null;
+    })));
+}
+
+module.exports = {
+  dropLegacyIndexes,
+};
@@ -0,0 +1,100 @@
+/* eslint-disable consistent-return, no-param-reassign */
+
+'use strict';
+
+const {
+  validateFolderOwnership, validateObjectIds, validateTagOwnership,
+} = require('./ownership');
+
+// Saved searches and templates are both named per user, refer to a folder and
+// tags, and are replaced as a whole on update. `label` names them in messages,
+// e.g. `saved search`.
+
+/**
+ * The middleware validating the body of an item: a `name`, strings for
+ * `textFields`, an array of `tags` and a folder and tags of the user. `check`
+ * may throw an error for anything else particular to the item.
+ */
+function validateBody(label, textFields, check = () => {}) {
+  function validateItem(req, res, next) {
+    const { name, tags } = req.body;
+    const { id: userId } = req.user;
+
+    /** *** Never trust users - validate input **** */
+    let err;
+    const invalidText = textFields.find(
+      field => req.body[field] && typeof req.body[field] !== 'string',
+    );
+    if (!name) {
+      err = new Error('Missing `name` in request body');
+    } else if (invalidText) {
+      err = new Error(`The \`${invalidText}\` must be a string`);
+    } else if (tags !== undefined && !Array.isArray(tags)) {
+      err = new Error('The `tags` must be an array');
+    }
+
+    if (err) {
+      err.status = 400;
+      return next(err);
+    }
+
+    if (req.body.userId && req.body.userId !== userId) {
+      err = new Error(`Cannot transfer a ${label} to a different user`);
+      err.status = 403;
+      return next(err);
+    }
+
+    try {
+      check(req.body);
+    } catch (invalid) {
+      return next(invalid);
+    }
+
+    next();
+  }
+
+  return [
+    validateItem,
+    validateObjectIds,
+    validateFolderOwnership,
+    validateTagOwnership,
+  ];
+}
+
+/**
+ * The document for a validated body. Whatever of `fields` is missing from the
+ * body is left out, and listed in `unset` so updates replace the whole item.
+ */
+function documentOf(body, userId, fields) {
+  const doc = { name: body.name, userId, tags: body.tags || [] };
+  const unset = {};
+
+  fields.forEach((field) => {
+    if (body[field]) {
+      doc[field] = body[field];
+    } else {
+      unset[field] = 1;
+    }
+  });
+
+  return { doc, unset };
+}
+
+/**
+ * Turn the error of a duplicate name into a 400 for the client, and leave any
+ * other error as it is.
+ */
+function duplicateName(label, err) {
+  if (err.code === 11000) {
+    const name = label.charAt(0).toUpperCase() + label.slice(1);
+    err = new Error(`${name} name already exists`);
+    err.status = 400;
+  }
+  return err;
+}
+
+module.exports = {
+  documentOf,
+  duplicateName,
+  validateBody,
+};
@@ -0,0 +1,77 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+
+// Middlewares checking the `folderId` and `tags` of a request body, for
+// anything which files itself in a folder or refers to tags
+
+function validateObjectIds(req, res, next) {
+  const { folderId, tags } = req.body;
+
+  if (folderId && !mongoose.Types.ObjectId.isValid(folderId)) {
+    const err = new Error('The `folderId` is invalid');
+    err.status = 400;
+    return next(err);
+  }
+
+  if (tags && tags.some(tag => !mongoose.Types.ObjectId.isValid(tag))) {
+    const err = new Error('The `tags` array contains an invalid id');
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+function validateFolderOwnership(req, res, next) {
+  const { folderId } = req.body;
+  const { id: userId } = req.user;
+
+  if (!folderId) {
+    return next();
+  }
+
+  Folder.findOne({ _id: folderId, userId, deletedAt: null }).then((folder) => {
+    if (!folder) {
+      const err = new Error('The `folderId` does not exist');
+      err.status = 422;
+      return next(err);
+    }
+
+    next();
+  });
+}
+
+function validateTagOwnership(req, res, next) {
+  const { tags } = req.body;
+  const { id: userId } = req.user;
+
+  if (!tags) {
+    return next();
+  }
+
+  Tag.find({ _id: { $in: tags }, userId, deletedAt: null }).then((results) => {
+    const ownedTagIds = results.map(tag => tag.id.toString());
+    const badIds = tags.filter(tag => !ownedTagIds.includes(tag));
+    if (badIds.length) {
+      const err = new Error(
+        `The following tag ids don't exist: [${badIds.join(', ')}]`,
+      );
+      err.status = 422;
+      return next(err);
+    }
+
+    next();
+  });
+}
+
+module.exports = {
+  validateFolderOwnership,
+  validateObjectIds,
+  validateTagOwnership,
+};
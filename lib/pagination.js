@@ -0,0 +1,203 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Middleware reading the `limit` and `cursor` query parameters into
+ * `req.page`. Callers which ask for neither get `req.page = null` and the
+ * plain, unpaginated array they have always received.
+ */
+function validatePage(req, res, next) {
+  const { limit, cursor } = req.query;
+
+  if (limit === undefined && cursor === undefined) {
+    req.page = null;
+    return next();
+  }
+
+  if (limit !== undefined && !/^\d+$/.test(limit)) {
+    return next(badRequest('The `limit` must be a positive integer'));
+  }
+
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    return next(badRequest(`The \`limit\` must be between 1 and ${MAX_LIMIT}`));
+  }
+
+  req.page = { limit: parsedLimit, cursor: cursor || null };
+  next();
+}
+
+// `sort` is an array of `[path, direction]` pairs. `_id` is always added as a
+// final tie-breaker so that the order is total and the cursor is stable.
+function withTieBreaker(sort) {
+  const [, lastDirection] = sort[sort.length - 1];
+  return sort.concat([['_id', lastDirection]]);
+}
+
+function signature(sort) {
+  return sort.map(([path, direction]) => `${path}:${direction}`).join(',');
+}
+
+function encodeCursor(sort, doc) {
+  const values = sort.map(([path]) => {
+    const value = doc.get(path);
+    return value === undefined ? null : value;
+  });
+  const json = JSON.stringify({ s: signature(sort), v: values });
+  return Buffer.from(json)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function decodeCursor(Model, sort, cursor) {
+  let decoded;
+  try {
+    const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    decoded = JSON.parse(Buffer.from(base64, 'base64').toString());
+  } catch (e) {
+    return null;
+  }
+
+  if (!decoded || decoded.s !== signature(sort) || !Array.isArray(decoded.v)) {
+    return null;
+  }
+
+  // JSON loses the BSON types, so restore them from the schema
+  const values = decoded.v.map((value, i) => {
+    const schemaType = Model.schema.path(sort[i][0]);
+    if (value === null || !schemaType) {
+      return value;
+    }
+    if (schemaType.instance === 'Date') {
+      return new Date(value);
+    }
+    if (schemaType.instance === 'ObjectID') {
+      return mongoose.Types.ObjectId.isValid(value)
+        ? mongoose.Types.ObjectId(value)
+        : undefined;
+    }
+    return value;
+  });
+
+  if (values.some(value => value === undefined || Number.isNaN(value))) {
+    return null;
+  }
+
+  return values;
+}
+
+// Missing values sort before everything else, so they come first in ascending
+// order and last in descending order.
+function after(path, direction, value) {
+  if (direction > 0) {
+    return value === null ? { [path]: { $ne: null } } : { [path]: { $gt: value } };
+  }
+
+  if (value === null) {
+    return null;
+  }
+
+  return { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+}
+
+/**
+ * Build the "keyset" condition selecting every document which sorts after the
+ * one the cursor was created from: `(a > x) OR (a = x AND b > y) OR ...`
+ */
+function keysetFilter(sort, values) {
+  const branches = [];
+
+  sort.forEach(([path, direction], i) => {
+    const condition = after(path, direction, values[i]);
+    if (!condition) {
+      return;
+    }
+
+    const equalities = sort
+      .slice(0, i)
+      .map(([previousPath], j) => ({ [previousPath]: values[j] }));
+    branches.push({ $and: equalities.concat(condition) });
+  });
+
+  return { $or: branches.length ? branches : [{ _id: null }] };
+}
+
+/**
+ * Run a `find` query one page at a time. Resolves to the page of results, the
+ * cursor for the following page (`null` on the last page) and the total number
+ * of documents matching the query.
+ *
+ * Queries with no `sort`, such as full-text searches ranked by relevance, can
+ * only have their first page fetched.
+ */
+function paginate(query, sort, page) {
+  const Model = query.model;
+
+  // Copy the conditions, `query.and()` below modifies them in place
+  const conditions = Object.assign({}, query.getQuery());
+  if (conditions.$and) {
+    conditions.$and = conditions.$and.slice();
+  }
+  const total = Model.countDocuments(conditions);
+
+  if (!sort) {
+    if (page.cursor) {
+      return Promise.reject(badRequest('This query does not support a `cursor`'));
+    }
+
+    return Promise.all([query.limit(page.limit), total]).then(([results, count]) => ({
+      results,
+      nextCursor: null,
+      total: count,
+    }));
+  }
+
+  const fullSort = withTieBreaker(sort);
+
+  if (page.cursor) {
+    const values = decodeCursor(Model, fullSort, page.cursor);
+    if (!values) {
+      return Promise.reject(badRequest('The `cursor` is not valid'));
+    }
+    query.and([keysetFilter(fullSort, values)]);
+  }
+
+  const sortObject = {};
+  fullSort.forEach(([path, direction]) => {
+    sortObject[path] = direction;
+  });
+
+  return Promise.all([query.sort(sortObject).limit(page.limit + 1), total]).then(
+    ([results, count]) => {
+      const hasMore = results.length > page.limit;
+      const pageResults = results.slice(0, page.limit);
+      const last = pageResults[pageResults.length - 1];
+
+      return {
+        results: pageResults,
+        nextCursor: hasMore ? encodeCursor(fullSort, last) : null,
+        total: count,
+      };
+    },
+  );
+}
+
+module.exports = {
+  keysetFilter,
+  paginate,
+  validatePage,
+};
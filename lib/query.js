@@ -0,0 +1,331 @@
+/* eslint-disable consistent-return, no-use-before-define */
+
+'use strict';
+
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const { escapeRegExp } = require('./search');
+const {
+  childrenByParent, itemPaths, loadItems, subtreeIds,
+} = require('./hierarchy');
+
+const MAX_QUERY_LENGTH = 1000;
+
+const FIELDS = ['tag', 'folder', 'title', 'content', 'created', 'updated', 'is'];
+const DATE_FIELDS = { created: 'createdAt', updated: 'updatedAt' };
+const FLAGS = ['pinned', 'favorite'];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Errors point at the offending character of the query, counting from 0. The
+ * position is also part of the response body.
+ */
+function syntaxError(message, position) {
+  const err = new Error(`${message} at position ${position}`);
+  err.status = 400;
+  err.position = position;
+  return err;
+}
+
+// Split the query into words, "phrases", `field:values`, parentheses and the
+// `OR`, `AND` and `-` operators
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+
+  function readValue() {
+    const start = i;
+    if (q[i] === '"') {
+      const end = q.indexOf('"', i + 1);
+      if (end === -1) {
+        throw syntaxError('Unterminated quote', start);
+      }
+      i = end + 1;
+      return { value: q.slice(start + 1, end), quoted: true };
+    }
+    while (i < q.length && !/[\s()]/.test(q[i])) {
+      i += 1;
+    }
+    return { value: q.slice(start, i), quoted: false };
+  }
+
+  while (i < q.length) {
+    const position = i;
+    const char = q[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      i += 1;
+    } else if (char === '-' && i + 1 < q.length && !/[\s)]/.test(q[i + 1])) {
+      tokens.push({ type: 'not', position });
+      i += 1;
+    } else {
+      const field = /^([a-z]+):/i.exec(q.slice(i));
+      if (field) {
+        const name = field[1].toLowerCase();
+        if (!FIELDS.includes(name)) {
+          throw syntaxError(`Unknown field \`${field[1]}\``, position);
+        }
+        i += field[0].length;
+        const { value } = readValue();
+        if (!value) {
+          throw syntaxError(`Missing a value for \`${name}:\``, position);
+        }
+        tokens.push({
+          type: 'term', field: name, value, position,
+        });
+      } else {
+        const { value, quoted } = readValue();
+        if (!quoted && (value === 'OR' || value === 'AND')) {
+          tokens.push({ type: value.toLowerCase(), position });
+        } else if (!quoted || value.trim()) {
+          tokens.push({ type: 'term', value, position });
+        }
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree of `and`, `or`, `not` and `term` nodes. Terms
+ * next to each other must all match, `OR` binds less tightly than that and
+ * parentheses group. Throws a 400 error with the `position` of the first
+ * thing which doesn't fit.
+ */
+function parseQuery(q) {
+  if (q.length > MAX_QUERY_LENGTH) {
+    const message = `The query must not be longer than ${MAX_QUERY_LENGTH} characters`;
+    throw syntaxError(message, MAX_QUERY_LENGTH);
+  }
+
+  const tokens = tokenize(q);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = () => q.length;
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      index += 1;
+      children.push(parseAnd());
+    }
+    return children.length > 1 ? { type: 'or', children } : children[0];
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      if (peek().type === 'and') {
+        index += 1;
+      }
+      children.push(parseUnary());
+    }
+    return children.length > 1 ? { type: 'and', children } : children[0];
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) {
+      throw syntaxError('Expected a search term', endPosition());
+    }
+
+    index += 1;
+    if (token.type === 'not') {
+      return { type: 'not', child: parseUnary() };
+    }
+
+    if (token.type === '(') {
+      const group = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw syntaxError('Missing `)`', peek() ? peek().position : endPosition());
+      }
+      index += 1;
+      return group;
+    }
+
+    if (token.type === 'term') {
+      return token;
+    }
+
+    const found = token.type === 'or' || token.type === 'and'
+      ? token.type.toUpperCase()
+      : token.type;
+    throw syntaxError(`Unexpected \`${found}\``, token.position);
+  }
+
+  if (!tokens.length) {
+    throw syntaxError('Expected a search term', 0);
+  }
+
+  const tree = parseOr();
+  if (peek()) {
+    throw syntaxError(`Unexpected \`${peek().type}\``, peek().position);
+  }
+  return tree;
+}
+
+// `YYYY-MM-DD`, optionally after a comparison, as the range of UTC days it
+// stands for
+function dateCondition(term) {
+  const [, operator = '', day] = /^(<=|>=|<|>)?(.*)$/.exec(term.value);
+  const start = /^\d{4}-\d{2}-\d{2}$/.test(day) ? new Date(`${day}T00:00:00Z`) : null;
+
+  // `new Date` rolls days like 2026-02-30 over into the next month
+  if (!start || Number.isNaN(start.getTime())
+    || start.toISOString().slice(0, 10) !== day) {
+    throw syntaxError(`Invalid date \`${day}\`, expected YYYY-MM-DD`, term.position);
+  }
+
+  const end = new Date(start.getTime() + DAY_IN_MS);
+  return {
+    '': { $gte: start, $lt: end },
+    '>': { $gte: end },
+    '>=': { $gte: start },
+    '<': { $lt: start },
+    '<=': { $lt: end },
+  }[operator];
+}
+
+// Folders or tags along with what looking them up needs, worked out once for
+// every term of a query
+function lookupOf(items) {
+  return { items, paths: itemPaths(items), children: childrenByParent(items) };
+}
+
+// The ids of the folders or tags a value names, by name or by path, along with
+// everything nested inside them
+function matchingIds({ items, paths, children }, value) {
+  const wanted = value.toLowerCase();
+  const ids = [];
+  items
+    .filter(item => item.name.toLowerCase() === wanted
+      || paths.get(item.id).toLowerCase() === wanted)
+    .forEach((item) => {
+      ids.push(item._id, ...subtreeIds(items, item.id, children));
+    });
+  return ids;
+}
+
+function compileTerm(term, context) {
+  const { field, value, position } = term;
+  const re = new RegExp(escapeRegExp(value), 'i');
+
+  switch (field) {
+    case undefined:
+      return { $or: [{ title: re }, { content: re }] };
+    case 'title':
+    case 'content':
+      return { [field]: re };
+    case 'created':
+    case 'updated':
+      return { [DATE_FIELDS[field]]: dateCondition(term) };
+    case 'is':
+      if (!FLAGS.includes(value.toLowerCase())) {
+        throw syntaxError(
+          `The value of \`is:\` must be one of: ${FLAGS.join(', ')}`,
+          position,
+        );
+      }
+      return { [value.toLowerCase()]: true };
+    case 'tag':
+      return { tags: { $in: matchingIds(context.tags, value) } };
+    case 'folder':
+    default:
+      return { folderId: { $in: matchingIds(context.folders, value) } };
+  }
+}
+
+function compileNode(node, context) {
+  if (node.type === 'and') {
+    return { $and: node.children.map(child => compileNode(child, context)) };
+  }
+  if (node.type === 'or') {
+    return { $or: node.children.map(child => compileNode(child, context)) };
+  }
+  if (node.type === 'not') {
+    return { $nor: [compileNode(node.child, context)] };
+  }
+  return compileTerm(node, context);
+}
+
+/**
+ * Turn a parsed query into a MongoDB filter on notes. `folders` and `tags`
+ * are the user's own, which `folder:` and `tag:` look names and paths up in.
+ * Names which match nothing match no notes.
+ */
+function compileQuery(tree, { folders = [], tags = [] } = {}) {
+  return compileNode(tree, { folders: lookupOf(folders), tags: lookupOf(tags) });
+}
+
+// Which of `folder:` and `tag:` a parsed query uses, so only what is needed is
+// loaded to compile it
+function usedFields(node, fields = new Set()) {
+  if (node.children) {
+    node.children.forEach(child => usedFields(child, fields));
+  } else if (node.child) {
+    usedFields(node.child, fields);
+  } else if (node.field) {
+    fields.add(node.field);
+  }
+  return fields;
+}
+
+/**
+ * Middleware parsing the `q` query parameter, if any, into `req.noteQuery`.
+ * Notes are searched with
+ *
+ *   tag:work -tag:done (folder:Inbox OR folder:Work/Clients) created:>2026-01-01
+ *   "exact phrase" title:meeting is:pinned
+ *
+ * Plain words and "phrases" match the title or the content. `tag:` and
+ * `folder:` match by name or path, including everything nested inside.
+ * `created:` and `updated:` take a `YYYY-MM-DD` day with an optional `<`,
+ * `<=`, `>` or `>=`.
+ */
+function validateQuery(req, res, next) {
+  const { q } = req.query;
+
+  if (q === undefined) {
+    return next();
+  }
+
+  /** *** Never trust users - validate input **** */
+  if (typeof q !== 'string') {
+    const err = new Error('The `q` must be a single query');
+    err.status = 400;
+    return next(err);
+  }
+
+  try {
+    req.noteQuery = parseQuery(q);
+  } catch (err) {
+    return next(err);
+  }
+
+  next();
+}
+
+/**
+ * Resolve to the filter for a parsed query of `userId`, loading the folders
+ * and tags it refers to. Rejects with a 400 error for invalid values.
+ */
+function queryFilter(userId, tree) {
+  const fields = usedFields(tree);
+  return Promise.all([
+    fields.has('folder') ? loadItems(Folder, userId) : [],
+    fields.has('tag') ? loadItems(Tag, userId) : [],
+  ]).then(([folders, tags]) => compileQuery(tree, { folders, tags }));
+}
+
+module.exports = {
+  compileQuery,
+  parseQuery,
+  queryFilter,
+  validateQuery,
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+const SavedSearch = require('../models/savedSearch');
+const Template = require('../models/template');
+const events = require('./events');
+
+// Saved searches and templates refer to folders and tags the way notes do, so
+// they are updated wherever the notes are when those go away
+const MODELS = [SavedSearch, Template];
+
+// Apply `updates` one after the other to everything of the user's matching
+// `filter`, and let clients know which saved searches changed
+function rewrite(userId, filter, updates) {
+  const query = Object.assign({ userId }, filter);
+
+  return SavedSearch.find(query)
+    .select('_id')
+    .then(found => updates
+      .reduce((done, update) => done.then(() => Promise.all(
+        MODELS.map(Model => Model.updateMany(query, update)),
+      )), Promise.resolve())
+      .then(() => SavedSearch.find({ _id: { $in: found.map(item => item._id) } })))
+    .then((changed) => {
+      changed.forEach((savedSearch) => {
+        events.publish(userId, 'savedSearch', 'updated', savedSearch);
+      });
+    });
+}
+
+/**
+ * Replace the tag `sourceId` with `targetId`, without duplicates.
+ */
+function replaceTag(userId, sourceId, targetId) {
+  return rewrite(userId, { tags: sourceId }, [
+    { $addToSet: { tags: targetId } },
+    { $pull: { tags: sourceId } },
+  ]);
+}
+
+function removeTag(userId, tagId) {
+  return rewrite(userId, { tags: tagId }, [{ $pull: { tags: tagId } }]);
+}
+
+function removeFolder(userId, folderId) {
+  return rewrite(userId, { folderId }, [{ $unset: { folderId: 1 } }]);
+}
+
+/**
+ * Point saved searches and templates at the folders and tags which replaced
+ * theirs, given maps from each old id to its new one, and drop those which
+ * weren't replaced. One update at a time, as they may be part of `session`'s
+ * transaction.
+ */
+function remap(userId, folderIds, tagIds, session) {
+  const newId = (ids, id) => ids.get(String(id));
+
+  const remapItem = Model => (item) => {
+    const folderId = item.folderId && newId(folderIds, item.folderId);
+    const update = { tags: item.tags.map(id => newId(tagIds, id)).filter(Boolean) };
+    if (folderId) {
+      update.folderId = folderId;
+    } else if (item.folderId) {
+      update.$unset = { folderId: 1 };
+    }
+    return Model.updateOne({ _id: item._id }, update).session(session);
+  };
+
+  const referring = {
+    userId,
+    $or: [{ folderId: { $ne: null } }, { 'tags.0': { $exists: true } }],
+  };
+  return MODELS.reduce((done, Model) => done
+    .then(() => Model.find(referring).session(session))
+    .then(items => items.reduce(
+      (updated, item) => updated.then(() => remapItem(Model)(item)),
+      Promise.resolve(),
+    )), Promise.resolve());
+}
+
+module.exports = {
+  remap,
+  removeFolder,
+  removeTag,
+  replaceTag,
+};
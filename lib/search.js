@@ -0,0 +1,102 @@
+'use strict';
+
+// How much content to show either side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+const SUFFIXES = ['ing', 'ed', 'es', 'ly', 's'];
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(string) {
+  return string
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A crude approximation of the stemming done by the text index, good enough
+// to highlight "cats" and "catty" for a search on "cat".
+function stem(word) {
+  const lower = word.toLowerCase();
+  const suffix = SUFFIXES.find(s => lower.endsWith(s) && lower.length - s.length >= 3);
+  return suffix ? lower.slice(0, -suffix.length) : lower;
+}
+
+/**
+ * Split a search string using the same rules as MongoDB's `$text` operator:
+ * "quoted phrases" must match exactly, -words are excluded and everything
+ * else is a term.
+ */
+function parseSearch(search) {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const re = /(-?)"([^"]*)"|(\S+)/g;
+  let match = re.exec(search);
+
+  while (match) {
+    const [, negated, phrase, word] = match;
+    if (phrase !== undefined) {
+      if (phrase.trim()) {
+        (negated ? parsed.excluded : parsed.phrases).push(phrase.trim());
+      }
+    } else if (word.startsWith('-')) {
+      if (word.length > 1) {
+        parsed.excluded.push(word.slice(1));
+      }
+    } else {
+      parsed.terms.push(word);
+    }
+    match = re.exec(search);
+  }
+
+  return parsed;
+}
+
+/**
+ * Build a short, HTML-safe excerpt of `text` around the first match of the
+ * parsed search, with every match wrapped in `<mark>`. Falls back to the
+ * start of the text when nothing matches (e.g. only the title matched).
+ */
+function highlight(text, parsed) {
+  if (!text) {
+    return '';
+  }
+
+  const patterns = parsed.phrases
+    .map(escapeRegExp)
+    .concat(parsed.terms.map(term => `${escapeRegExp(stem(term))}\\w*`));
+
+  if (!patterns.length) {
+    return escapeHtml(text.slice(0, SNIPPET_RADIUS * 2));
+  }
+
+  const re = new RegExp(`\\b(?:${patterns.join('|')})`, 'gi');
+  const first = text.search(re);
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = first === -1 ? SNIPPET_RADIUS * 2 : first + SNIPPET_RADIUS;
+  const excerpt = text.slice(start, end);
+
+  let result = '';
+  let last = 0;
+  excerpt.replace(re, (match, offset) => {
+    result += escapeHtml(excerpt.slice(last, offset));
+    result += `<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  result += escapeHtml(excerpt.slice(last));
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return `${prefix}${result}${suffix}`;
+}
+
+module.exports = {
+  escapeHtml,
+  escapeRegExp,
+  highlight,
+  parseSearch,
+};
@@ -0,0 +1,121 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Lists are sorted with `?sort=<key>`, or `?sort=-<key>` for descending order.
+// `manual` is the order set through the reorder endpoints, in which items that
+// were never placed come first.
+const SORT_PATHS = {
+  title: 'title',
+  name: 'name',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  manual: 'position',
+};
+
+const MAX_REORDER_IDS = 1000;
+
+// What notes are sorted by, in `GET /api/notes` and in saved searches
+const NOTE_SORT_KEYS = ['title', 'createdAt', 'updatedAt', 'manual'];
+
+/**
+ * Check a `sort` against the `keys` a list can be sorted by. Throws a 400
+ * error for anything else.
+ */
+function checkSort(keys, sort) {
+  const key = typeof sort === 'string' ? sort.replace(/^-/, '') : null;
+
+  if (!keys.includes(key)) {
+    const options = keys.join(', ');
+    const err = new Error(
+      `The \`sort\` must be one of: ${options}, optionally prefixed with \`-\``,
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  return [[SORT_PATHS[key], sort.startsWith('-') ? -1 : 1]];
+}
+
+/**
+ * Middleware reading the `sort` query parameter into `req.sort`, as the
+ * `[path, direction]` pairs `paginate` takes. `keys` are what the list can be
+ * sorted by, `defaultSort` applies when the parameter is missing.
+ */
+function validateSort(keys, defaultSort) {
+  return (req, res, next) => {
+    const { sort = defaultSort } = req.query;
+
+    try {
+      req.sort = checkSort(keys, sort);
+    } catch (err) {
+      return next(err);
+    }
+
+    next();
+  };
+}
+
+// The object form of a `[path, direction]` sort, as `Query#sort` takes it
+function sortObject(sort) {
+  const result = {};
+  sort.forEach(([path, direction]) => {
+    result[path] = direction;
+  });
+  return result;
+}
+
+function validateReorder(req, res, next) {
+  const { ids } = req.body;
+
+  /** *** Never trust users - validate input **** */
+  let err;
+  if (!Array.isArray(ids) || !ids.length) {
+    err = new Error('The `ids` must be a non-empty array');
+  } else if (ids.length > MAX_REORDER_IDS) {
+    err = new Error(`The \`ids\` must not contain more than ${MAX_REORDER_IDS} ids`);
+  } else if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    err = new Error('The `ids` array contains an invalid id');
+  }
+
+  if (err) {
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+/**
+ * Give the items of `Model` matching `filter` the manual order of `ids`. Ids
+ * which don't match are skipped, items which aren't listed keep their place.
+ * Resolves to the ids of the items reordered, in their new order.
+ */
+function reorder(Model, filter, ids) {
+  const unique = Array.from(new Set(ids.map(String)));
+
+  return Model.find(Object.assign({ _id: { $in: unique } }, filter))
+    .select('_id')
+    .then((items) => {
+      const found = new Set(items.map(item => item.id));
+      const ordered = unique.filter(id => found.has(id));
+      if (!ordered.length) {
+        return ordered;
+      }
+
+      return Model.bulkWrite(ordered.map((id, position) => ({
+        updateOne: { filter: { _id: id }, update: { position } },
+      }))).then(() => ordered);
+    });
+}
+
+module.exports = {
+  NOTE_SORT_KEYS,
+  checkSort,
+  reorder,
+  sortObject,
+  validateReorder,
+  validateSort,
+};
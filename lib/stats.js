@@ -0,0 +1,132 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Revision = require('../models/revision');
+const Tag = require('../models/tag');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const TOP_TAGS = 10;
+
+// Aggregation stages aren't cast by Mongoose, so ids have to be ObjectIds
+function liveNotesOf(userId) {
+  return { $match: { userId: mongoose.Types.ObjectId(userId), deletedAt: null } };
+}
+
+/**
+ * Resolve to a map from folder id to the number of live notes filed in it,
+ * or with `field` set to `tags`, from tag id to the number tagged with it.
+ */
+function noteCounts(userId, field) {
+  const pipeline = [liveNotesOf(userId)];
+  if (field === 'tags') {
+    pipeline.push({ $unwind: '$tags' });
+  }
+  pipeline.push({ $group: { _id: `$${field}`, count: { $sum: 1 } } });
+
+  return Note.aggregate(pipeline).then(results => new Map(results
+    .filter(result => result._id)
+    .map(result => [result._id.toString(), result.count])));
+}
+
+/**
+ * The JSON of `items` with the `noteCount` of each, nested `children` of a
+ * tree included.
+ */
+function withCounts(items, counts) {
+  return items.map((item) => {
+    const json = typeof item.toJSON === 'function' ? item.toJSON() : item;
+    const result = Object.assign({}, json, { noteCount: counts.get(json.id) || 0 });
+    if (json.children) {
+      result.children = withCounts(json.children, counts);
+    }
+    return result;
+  });
+}
+
+const dayOf = field => ({ $dateToString: { format: '%Y-%m-%d', date: `$${field}` } });
+
+function countsPerDay(Model, pipeline) {
+  return Model.aggregate(pipeline)
+    .then(results => new Map(results.map(result => [result._id, result.count])));
+}
+
+// The number of notes created and updated on each of the last `days` days,
+// UTC, oldest first. Days without any are included with zeros. Every edit of a
+// note keeps a revision of what it was before, so the notes updated on a day
+// are those with a revision from then, however often they were edited.
+function activity(userId, days, now) {
+  const since = new Date(now.getTime() - (days - 1) * DAY_IN_MS);
+  since.setUTCHours(0, 0, 0, 0);
+
+  return Promise.all([
+    countsPerDay(Note, [
+      liveNotesOf(userId),
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: dayOf('createdAt'), count: { $sum: 1 } } },
+    ]),
+    countsPerDay(Revision, [
+      {
+        $match: { userId: mongoose.Types.ObjectId(userId), createdAt: { $gte: since } },
+      },
+      { $group: { _id: { date: dayOf('createdAt'), noteId: '$noteId' } } },
+      { $group: { _id: '$_id.date', count: { $sum: 1 } } },
+    ]),
+  ])
+    .then(([created, updated]) => {
+      const result = [];
+      for (let i = 0; i < days; i += 1) {
+        const day = new Date(since.getTime() + i * DAY_IN_MS);
+        const date = day.toISOString().slice(0, 10);
+        result.push({
+          date,
+          created: created.get(date) || 0,
+          updated: updated.get(date) || 0,
+        });
+      }
+      return result;
+    });
+}
+
+/**
+ * Resolve to a summary of the notebook of `userId`: notes created and updated
+ * per day over the last `days` days, the most used tags, tags and folders
+ * without notes, and how many notes have no tags.
+ */
+function summarize(userId, days, now = new Date()) {
+  const live = { userId, deletedAt: null };
+
+  return Promise.all([
+    activity(userId, days, now),
+    Folder.find(live).sort('name'),
+    Tag.find(live).sort('name'),
+    noteCounts(userId, 'folderId'),
+    noteCounts(userId, 'tags'),
+    Note.countDocuments(live),
+    Note.countDocuments(Object.assign({ 'tags.0': { $exists: false } }, live)),
+  ]).then(([perDay, folders, tags, folderCounts, tagCounts, notes, untagged]) => {
+    const countedTags = withCounts(tags, tagCounts);
+    const summary = item => ({ id: item.id, name: item.name });
+
+    return {
+      totals: { notes, folders: folders.length, tags: tags.length },
+      activity: perDay,
+      topTags: countedTags
+        .filter(tag => tag.noteCount)
+        .sort((a, b) => b.noteCount - a.noteCount)
+        .slice(0, TOP_TAGS)
+        .map(tag => Object.assign(summary(tag), { noteCount: tag.noteCount })),
+      unusedTags: countedTags.filter(tag => !tag.noteCount).map(summary),
+      emptyFolders: folders.filter(folder => !folderCounts.has(folder.id)).map(summary),
+      untaggedNotes: untagged,
+    };
+  });
+}
+
+module.exports = {
+  noteCounts,
+  summarize,
+  withCounts,
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { ATTACHMENT_DIR, ATTACHMENT_STORAGE } = require('../config');
+
+/**
+ * Attachment files are kept by a storage backend, an object with:
+ *
+ * - `put(key, buffer)`, resolving once the file is stored
+ * - `get(key)`, resolving to a readable stream of the file, or rejecting with
+ *   a 404 when there is none
+ * - `remove(keys)`, resolving once the files are gone, missing ones included
+ *
+ * Keys are generated by the API and may contain `/`.
+ */
+function localStorage(dir) {
+  const fileOf = key => path.join(dir, key);
+
+  return {
+    put(key, buffer) {
+      const file = fileOf(key);
+      return fs.promises.mkdir(path.dirname(file), { recursive: true })
+        .then(() => fs.promises.writeFile(file, buffer));
+    },
+
+    get(key) {
+      const file = fileOf(key);
+      return fs.promises.access(file)
+        .then(() => fs.createReadStream(file))
+        .catch((err) => {
+          if (err.code !== 'ENOENT') {
+            return Promise.reject(err);
+          }
+          const notFound = new Error('Not Found');
+          notFound.status = 404;
+          return Promise.reject(notFound);
+        });
+    },
+
+    remove(keys) {
+      return Promise.all(keys.map(key => fs.promises.unlink(fileOf(key))
+        .catch(err => (err.code === 'ENOENT' ? null : Promise.reject(err)))));
+    },
+  };
+}
+
+const BACKENDS = {
+  local: () => localStorage(ATTACHMENT_DIR),
+};
+
+if (!BACKENDS[ATTACHMENT_STORAGE]) {
+  throw new Error(`Unknown attachment storage: ${ATTACHMENT_STORAGE}`);
+}
+
+let backend = BACKENDS[ATTACHMENT_STORAGE]();
+
+// Replace the configured backend, e.g. with one storing files elsewhere
+function use(newBackend) {
+  backend = newBackend;
+}
+
+function put(key, buffer) {
+  return backend.put(key, buffer);
+}
+
+function get(key) {
+  return backend.get(key);
+}
+
+function remove(keys) {
+  return keys.length ? backend.remove(keys) : Promise.resolve();
+}
+
+// Remove the files attached to `notes`, once the notes themselves are gone
+function removeAttachments(notes) {
+  const keys = [];
+  notes.forEach((note) => {
+    (note.attachments || []).forEach(attachment => keys.push(attachment.key));
+  });
+  return remove(keys);
+}
+
+module.exports = {
+  get,
+  localStorage,
+  put,
+  remove,
+  removeAttachments,
+  use,
+};
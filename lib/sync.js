@@ -0,0 +1,423 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const { SYNC_TOMBSTONE_DAYS } = require('../config');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Revision = require('../models/revision');
+const Tag = require('../models/tag');
+const Tombstone = require('../models/tombstone');
+const events = require('./events');
+const trash = require('./trash');
+const { createsCycle } = require('./hierarchy');
+const { nextVersion } = require('./versioning');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Writes still in flight when a sync token is issued can be stamped with an
+// `updatedAt` just before it, so tokens point back this far. Clients may see
+// some changes twice, but never miss one.
+const CLOCK_SKEW_MS = 5000;
+
+const ACTIONS = ['create', 'update', 'delete'];
+const MAX_CHANGES = 500;
+
+// What clients can sync of each type, and which of it is required
+const RESOURCES = {
+  notes: {
+    Model: Note,
+    fields: ['title', 'content', 'folderId', 'tags', 'pinned', 'favorite', 'position'],
+    required: 'title',
+  },
+  folders: {
+    Model: Folder,
+    fields: ['name', 'parentId', 'position'],
+    required: 'name',
+  },
+  tags: { Model: Tag, fields: ['name', 'parentId', 'position'], required: 'name' },
+};
+
+// Only ever `true` or unset, see `models/note.js`
+const NOTE_FLAGS = ['pinned', 'favorite'];
+
+function syncError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function conflict(message, current) {
+  const err = syncError(message, 409);
+  err.current = current;
+  return err;
+}
+
+function encodeToken(date) {
+  return Buffer.from(JSON.stringify({ t: date.getTime() }))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * The point in time a sync token stands for. Rejects tokens which cannot be
+ * read with a 400, and those older than the tombstones with a 410: deletions
+ * since may have been forgotten, so the client has to sync everything again.
+ */
+function decodeToken(token, now = new Date()) {
+  let time;
+  try {
+    const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+    time = JSON.parse(Buffer.from(base64, 'base64').toString()).t;
+  } catch (err) {
+    time = null;
+  }
+
+  if (!Number.isInteger(time)) {
+    return Promise.reject(syncError('The `since` token is not valid', 400));
+  }
+
+  if (time < now.getTime() - SYNC_TOMBSTONE_DAYS * DAY_IN_MS) {
+    return Promise.reject(
+      syncError('The `since` token has expired, sync again without it', 410),
+    );
+  }
+
+  return Promise.resolve(new Date(time));
+}
+
+/**
+ * Everything of `userId` which changed since `since`, or all of it without
+ * `since`, along with the token to sync from next time. Items moved to the
+ * trash or permanently deleted are listed by id in `deleted`.
+ *
+ * Restores and imports create items with their original timestamps, so new
+ * items are also found by the creation time in their ids.
+ */
+function changesSince(userId, since) {
+  const syncToken = encodeToken(new Date(Date.now() - CLOCK_SKEW_MS));
+  const types = Object.keys(RESOURCES);
+
+  const createdSince = since
+    && mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000));
+  const filter = since
+    ? { userId, $or: [{ updatedAt: { $gt: since } }, { _id: { $gte: createdSince } }] }
+    : { userId, deletedAt: null };
+
+  return Promise.all([
+    Promise.all(types.map(type => RESOURCES[type].Model.find(filter))),
+    since ? Tombstone.find({ userId, deletedAt: { $gt: since } }) : [],
+  ]).then(([results, tombstones]) => {
+    const body = { syncToken, deleted: {} };
+    types.forEach((type, i) => {
+      body[type] = results[i].filter(item => !item.deletedAt);
+      body.deleted[type] = results[i]
+        .filter(item => item.deletedAt)
+        .map(item => item.id)
+        .concat(tombstones
+          .filter(tombstone => tombstone.type === type)
+          .map(tombstone => tombstone.itemId.toString()));
+    });
+    return body;
+  });
+}
+
+function pick(data, fields) {
+  const result = {};
+  fields.forEach((field) => {
+    if (field in data) {
+      result[field] = data[field];
+    }
+  });
+  return result;
+}
+
+// Changes can refer to items created earlier in the same batch by the
+// `clientId` they were created with
+function resolveReferences(data, createdIds) {
+  const resolve = value => createdIds.get(String(value)) || value;
+  const result = Object.assign({}, data);
+  ['folderId', 'parentId'].forEach((field) => {
+    if (result[field]) {
+      result[field] = resolve(result[field]);
+    }
+  });
+  if (Array.isArray(result.tags)) {
+    result.tags = result.tags.map(resolve);
+  }
+  return result;
+}
+
+// The folder and tags a change refers to have to be live items of the user.
+// The parent of a folder is a folder, the parent of a tag is a tag.
+function validateReferences(userId, type, { folderId, parentId, tags = [] }) {
+  if (!Array.isArray(tags)) {
+    return Promise.reject(syncError('The `tags` must be an array', 400));
+  }
+
+  const parents = { folders: [], tags: [] };
+  if (parentId && parents[type]) {
+    parents[type].push(parentId);
+  }
+  const folderIds = [folderId].filter(Boolean).concat(parents.folders);
+  const ids = folderIds.concat(tags, parents.tags);
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return Promise.reject(syncError('The change refers to an invalid id', 400));
+  }
+
+  return Promise.all([
+    Folder.countDocuments({ _id: { $in: folderIds }, userId, deletedAt: null }),
+    Tag.find({ _id: { $in: tags.concat(parents.tags) }, userId, deletedAt: null }),
+  ]).then(([folderCount, results]) => {
+    if (folderCount < folderIds.length) {
+      const field = folderId ? 'folderId' : 'parentId';
+      return Promise.reject(syncError(`The \`${field}\` does not exist`));
+    }
+
+    if (parents.tags.length && !results.some(tag => tag.id === String(parentId))) {
+      return Promise.reject(syncError('The `parentId` does not exist'));
+    }
+
+    const ownedTagIds = results.map(tag => tag.id);
+    const badIds = tags.filter(tag => !ownedTagIds.includes(String(tag)));
+    if (badIds.length) {
+      return Promise.reject(
+        syncError(`The following tag ids don't exist: [${badIds.join(', ')}]`),
+      );
+    }
+
+    return null;
+  });
+}
+
+// Flags are booleans and places in the manual order are integers, or `null`
+// to take the item out of the order
+function validateValues(data) {
+  const flag = NOTE_FLAGS.find(
+    field => field in data && typeof data[field] !== 'boolean',
+  );
+  if (flag) {
+    return syncError(`The \`${flag}\` must be a boolean`, 400);
+  }
+
+  const { position } = data;
+  if (position !== undefined && position !== null && !Number.isInteger(position)) {
+    return syncError('The `position` must be an integer', 400);
+  }
+
+  return null;
+}
+
+// Whether a field of a change takes the value away rather than setting it
+function isUnset(field, value) {
+  return field === 'position' ? value === null : !value;
+}
+
+function publish(type, action, item) {
+  if (type === 'notes') {
+    events.publishNote(action, item);
+  } else {
+    events.publish(item.userId, type.slice(0, -1), action, item);
+  }
+}
+
+function createItem(userId, type, data) {
+  const { Model, required } = RESOURCES[type];
+
+  if (!data[required]) {
+    return Promise.reject(syncError(`Missing \`${required}\` in change`, 400));
+  }
+
+  const invalid = validateValues(data);
+  if (invalid) {
+    return Promise.reject(invalid);
+  }
+
+  const item = Object.assign({}, data, { userId });
+  NOTE_FLAGS.concat('position').forEach((field) => {
+    if (field in item && isUnset(field, item[field])) {
+      delete item[field];
+    }
+  });
+
+  return validateReferences(userId, type, data).then(() => Model.create(item));
+}
+
+// Only applied while the item is as it was checked, otherwise it changed in
+// the meantime and the change is reported as a conflict
+function updateItem(userId, type, doc, data) {
+  const { Model, required } = RESOURCES[type];
+
+  if (required in data && !data[required]) {
+    return Promise.reject(syncError(`Missing \`${required}\` in change`, 400));
+  }
+
+  const invalid = validateValues(data);
+  if (invalid) {
+    return Promise.reject(invalid);
+  }
+
+  const update = Object.assign({}, data);
+  ['folderId', 'parentId', 'position'].concat(NOTE_FLAGS).forEach((field) => {
+    if (field in update && isUnset(field, update[field])) {
+      delete update[field];
+      update.$unset = Object.assign({}, update.$unset, { [field]: 1 });
+    }
+  });
+  if (type === 'notes') {
+    Object.assign(update, nextVersion(doc));
+  }
+
+  const cycle = type === 'folders' || type === 'tags'
+    ? createsCycle(Model, userId, doc._id, data.parentId)
+    : Promise.resolve(false);
+
+  return Promise.all([validateReferences(userId, type, data), cycle])
+    .then(([, createsLoop]) => {
+      if (createsLoop) {
+        const name = type.slice(0, -1);
+        return Promise.reject(syncError(`Cannot move a ${name} inside itself`));
+      }
+
+      const filter = { _id: doc._id, updatedAt: doc.updatedAt, deletedAt: null };
+      return Model.findOneAndUpdate(filter, update);
+    })
+    .then((previous) => {
+      if (!previous) {
+        return Model.findById(doc._id).then(current => Promise.reject(
+          conflict('The item has been changed since it was synced', current),
+        ));
+      }
+
+      // Notes keep their previous state as a revision, like any other update
+      return (type === 'notes' ? Revision.snapshot(previous) : Promise.resolve())
+        .then(() => Model.findById(doc._id));
+    });
+}
+
+// Deleting moves items to the trash, as the API does. Folders hand their
+// subfolders on to their parent.
+function deleteItem(type, doc, now) {
+  if (type === 'folders') {
+    return trash.trashFolder(doc, 'reparent', now);
+  }
+
+  if (type === 'tags') {
+    return trash.trashTag(doc._id, doc.userId, now);
+  }
+
+  return Note.findOneAndUpdate({ _id: doc._id, deletedAt: null }, { deletedAt: now })
+    .then((deleted) => {
+      if (deleted) {
+        publish(type, 'deleted', deleted);
+      }
+    });
+}
+
+function applyChange(userId, change, createdIds, now) {
+  const {
+    type, action, id, clientId, updatedAt,
+  } = change;
+
+  if (!Object.prototype.hasOwnProperty.call(RESOURCES, type)) {
+    const types = Object.keys(RESOURCES).join(', ');
+    return Promise.reject(syncError(`The \`type\` must be one of: ${types}`, 400));
+  }
+
+  if (!ACTIONS.includes(action)) {
+    return Promise.reject(
+      syncError(`The \`action\` must be one of: ${ACTIONS.join(', ')}`, 400),
+    );
+  }
+
+  const { Model, fields } = RESOURCES[type];
+  const data = resolveReferences(pick(change.data || {}, fields), createdIds);
+
+  if (action === 'create') {
+    return createItem(userId, type, data).then((item) => {
+      if (clientId !== undefined) {
+        createdIds.set(String(clientId), item.id);
+      }
+      publish(type, 'created', item);
+      return item;
+    });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.reject(syncError('The `id` is not valid', 400));
+  }
+
+  return Model.findOne({ _id: id, userId }).then((doc) => {
+    // Deleting what is already gone is fine, changing it is not
+    if (!doc || doc.deletedAt) {
+      return action === 'delete'
+        ? null
+        : Promise.reject(conflict('The item has been deleted', null));
+    }
+
+    if (updatedAt && new Date(updatedAt).getTime() !== doc.updatedAt.getTime()) {
+      return Promise.reject(
+        conflict('The item has been changed since it was synced', doc),
+      );
+    }
+
+    if (action === 'delete') {
+      return deleteItem(type, doc, now).then(() => null);
+    }
+
+    return updateItem(userId, type, doc, data).then((item) => {
+      publish(type, 'updated', item);
+      return item;
+    });
+  });
+}
+
+/**
+ * Apply a batch of changes made by an offline client, in order. Every change
+ * is `{ type, action, id, clientId, updatedAt, data }`: items are created
+ * with `data` and may be referred to by their `clientId` in later changes;
+ * they are updated with `data` or deleted by `id`. Passing the `updatedAt`
+ * the client last synced makes the change conflict if the item changed since.
+ *
+ * A change failing does not stop the others, each one gets a result with a
+ * `status` of `ok`, `conflict` (with the `current` item) or `error`. Changes
+ * applied before an unexpected error are kept.
+ */
+function applyChanges(userId, changes) {
+  const createdIds = new Map();
+  const now = new Date();
+
+  return changes.reduce((previous, change) => previous.then((results) => {
+    const { type, action, clientId } = change;
+    return applyChange(userId, change, createdIds, now)
+      .then(item => ({ status: 'ok', id: item ? item.id : change.id, item }))
+      .catch((err) => {
+        if (err.code === 11000) {
+          const message = 'An item with the same name already exists';
+          return { status: 'error', id: change.id, message };
+        }
+        if (!err.status) {
+          return Promise.reject(err);
+        }
+        const { message, current } = err;
+        return err.status === 409
+          ? {
+            status: 'conflict', id: change.id, message, current,
+          }
+          : { status: 'error', id: change.id, message };
+      })
+      .then(result => results.concat(
+        Object.assign({ type, action, clientId }, result),
+      ));
+  }), Promise.resolve([]));
+}
+
+module.exports = {
+  MAX_CHANGES,
+  applyChanges,
+  changesSince,
+  decodeToken,
+  encodeToken,
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * The values the placeholders of a template are filled with, for a note
+ * titled `title` which `user` creates at `now`:
+ *
+ *   {{date}}           the day, as YYYY-MM-DD in UTC
+ *   {{time}}           the time of day, as HH:MM in UTC
+ *   {{title}}          the title of the note
+ *   {{user.fullname}}  the full name of the user, or their username
+ *   {{user.username}}  the username of the user
+ */
+function placeholderValues(user, title, now = new Date()) {
+  const timestamp = now.toISOString();
+  return {
+    date: timestamp.slice(0, 10),
+    time: timestamp.slice(11, 16),
+    title,
+    user: { fullname: user.fullname || user.username, username: user.username },
+  };
+}
+
+/**
+ * Fill in the `{{placeholders}}` of `text` from `values`, following dots into
+ * nested objects. Placeholders without a value are left as they are.
+ */
+function render(text, values) {
+  return text.replace(PLACEHOLDER, (placeholder, path) => {
+    const value = path.split('.').reduce(
+      (obj, key) => (obj && typeof obj === 'object'
+        && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined),
+      values,
+    );
+    return value === undefined || value === null || typeof value === 'object'
+      ? placeholder
+      : String(value);
+  });
+}
+
+module.exports = {
+  placeholderValues,
+  render,
+};
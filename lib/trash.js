@@ -0,0 +1,186 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const { TRASH_RETENTION_DAYS } = require('../config');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const PublicLink = require('../models/publicLink');
+const Revision = require('../models/revision');
+const Tag = require('../models/tag');
+const Tombstone = require('../models/tombstone');
+const events = require('./events');
+const references = require('./references');
+const storage = require('./storage');
+const { descendantIds } = require('./hierarchy');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Trash endpoints address items as `/api/trash/:type/:id`
+const models = {
+  notes: Note,
+  folders: Folder,
+  tags: Tag,
+};
+
+// Move a folder to the trash along with the list of notes that referenced it,
+// so that restoring can re-attach them. See `routes/trash.js`. Saved searches
+// and templates simply lose the folder
+function moveFolderToTrash(id, userId, deletedAt) {
+  return Note.find({ folderId: id, userId })
+    .select('_id')
+    .then((notes) => {
+      const detachedNoteIds = notes.map(note => note._id);
+      const update = { deletedAt, detachedNoteIds };
+      const filter = { _id: id, userId, deletedAt: null };
+      return Folder.findOneAndUpdate(filter, update, { new: true });
+    })
+    .then((deleted) => {
+      if (!deleted) {
+        return;
+      }
+
+      return Promise.all([
+        Note.updateMany(
+          { _id: { $in: deleted.detachedNoteIds } },
+          { $unset: { folderId: '' } },
+        ),
+        references.removeFolder(userId, id),
+      ]).then(() => events.publish(userId, 'folder', 'deleted', deleted));
+    });
+}
+
+// The children of a trashed folder or tag move up a level, which needs their
+// names to be free amongst their new siblings
+function checkReparent(Model, item) {
+  const { _id: id, userId } = item;
+  return Model.find({ parentId: id, userId, deletedAt: null })
+    .then(results => Model.countDocuments({
+      _id: { $ne: id },
+      name: { $in: results.map(child => child.name) },
+      parentId: item.parentId || null,
+      userId,
+      deletedAt: null,
+    }))
+    .then((conflicts) => {
+      if (conflicts) {
+        const err = new Error(`${Model.modelName} name already exists`);
+        err.status = 400;
+        return Promise.reject(err);
+      }
+    });
+}
+
+function reparentChildren(Model, item) {
+  const { _id: id, userId, parentId } = item;
+  return Model.updateMany(
+    { parentId: id, userId, deletedAt: null },
+    parentId ? { parentId } : { $unset: { parentId: 1 } },
+  );
+}
+
+/**
+ * Move `folder` to the trash. With `children` set to `cascade` its whole
+ * subtree goes along, each folder can be restored later. With `reparent` its
+ * children move up a level instead, which needs their names to be free
+ * amongst their new siblings.
+ */
+function trashFolder(folder, children, deletedAt) {
+  const { _id: id, userId } = folder;
+
+  if (children === 'cascade') {
+    return descendantIds(Folder, userId, id)
+      .then(ids => [id].concat(ids))
+      .then(ids => Promise.all(
+        ids.map(folderId => moveFolderToTrash(folderId, userId, deletedAt)),
+      ));
+  }
+
+  return checkReparent(Folder, folder)
+    .then(() => moveFolderToTrash(id, userId, deletedAt))
+    .then(() => reparentChildren(Folder, folder));
+}
+
+// Deleted tags are moved to the trash along with the list of notes that
+// referenced them, so that restoring can re-attach them. See `routes/trash.js`.
+// Saved searches and templates simply lose the tag. Child tags move up a level.
+function trashTag(id, userId, deletedAt) {
+  return Tag.findOne({ _id: id, userId, deletedAt: null })
+    .then(tag => tag && checkReparent(Tag, tag)
+      .then(() => Note.find({ tags: id, userId }).select('_id')))
+    .then((notes) => {
+      if (!notes) {
+        return null;
+      }
+
+      const detachedNoteIds = notes.map(note => note._id);
+      const update = { deletedAt, detachedNoteIds };
+      const filter = { _id: id, userId, deletedAt: null };
+      return Tag.findOneAndUpdate(filter, update, { new: true });
+    })
+    .then((deleted) => {
+      if (!deleted) {
+        return;
+      }
+
+      return Promise.all([
+        Note.updateMany(
+          { _id: { $in: deleted.detachedNoteIds } },
+          { $pull: { tags: id } },
+        ),
+        references.removeTag(userId, id),
+        reparentChildren(Tag, deleted),
+      ]).then(() => events.publish(userId, 'tag', 'deleted', deleted));
+    });
+}
+
+/**
+ * Permanently delete the trashed items of `type` matching `filter`, along with
+ * anything that only exists for their sake. Resolves to the number of items
+ * removed.
+ */
+function purge(type, filter) {
+  const Model = models[type];
+  const trashed = Object.assign({ deletedAt: { $ne: null } }, filter);
+
+  return Model.find(trashed)
+    .select(type === 'notes' ? '_id userId attachments' : '_id userId')
+    .then((results) => {
+      const ids = results.map(item => item._id);
+      if (!ids.length) {
+        return 0;
+      }
+
+      const removals = [
+        Model.deleteMany({ _id: { $in: ids } }),
+        Tombstone.record(type, results),
+      ];
+      if (type === 'notes') {
+        removals.push(Revision.deleteMany({ noteId: { $in: ids } }));
+        removals.push(PublicLink.deleteMany({ noteId: { $in: ids } }));
+      }
+
+      return Promise.all(removals)
+        .then(() => (type === 'notes' ? storage.removeAttachments(results) : null))
+        .then(() => ids.length);
+    });
+}
+
+/**
+ * Purge every item which has been in the trash for longer than the
+ * configured retention period.
+ */
+function purgeExpired(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_IN_MS);
+  const filter = { deletedAt: { $lte: cutoff } };
+
+  return Promise.all(Object.keys(models).map(type => purge(type, filter)));
+}
+
+module.exports = {
+  models,
+  purge,
+  purgeExpired,
+  trashFolder,
+  trashTag,
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+// Notes carry a `version` which is increased by every update and exposed as
+// their ETag, so that clients can make updates conditional with `If-Match`.
+// Notes created before versioning have no `version` and count as version 1.
+
+function versionOf(doc) {
+  return doc.version || 1;
+}
+
+/**
+ * The update increasing the version of `doc`. `$inc` would set a missing
+ * `version` to 1, which such a note already counts as, so it is set instead.
+ */
+function nextVersion(doc) {
+  return doc.version ? { $inc: { version: 1 } } : { version: versionOf(doc) + 1 };
+}
+
+function etag(doc) {
+  return `"${versionOf(doc)}"`;
+}
+
+/**
+ * Whether an `If-Match` header allows changing `doc`. A missing header always
+ * does; otherwise one of its comma-separated ETags, or `*`, has to match.
+ */
+function ifMatches(header, doc) {
+  if (!header) {
+    return true;
+  }
+
+  const expected = String(versionOf(doc));
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .some(tag => tag === '*' || tag === expected);
+}
+
+/**
+ * The version an `If-Match` header names, or `null` unless it names exactly
+ * one version.
+ */
+function matchedVersion(header) {
+  const match = /^\s*(?:W\/)?"(\d+)"\s*$/.exec(header || '');
+  return match ? Number(match[1]) : null;
+}
+
+// Query conditions only matching `doc` while it is still at the same version
+function sameVersion(doc) {
+  const version = versionOf(doc);
+  return { version: version === 1 ? { $in: [1, null] } : version };
+}
+
+/**
+ * The 412 error for a conditional request on an outdated copy of `doc`. The
+ * error body includes the current copy so the client can resolve the conflict.
+ */
+function preconditionFailed(doc) {
+  const err = new Error('The note has been changed since it was loaded');
+  err.status = 412;
+  err.current = doc;
+  return err;
+}
+
+module.exports = {
+  etag,
+  ifMatches,
+  matchedVersion,
+  nextVersion,
+  preconditionFailed,
+  sameVersion,
+  versionOf,
+};
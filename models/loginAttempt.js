@@ -0,0 +1,17 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Failed logins, counted per username and per IP address. `key` is prefixed
+// with what is being counted, e.g. `username:bob` or `ip:127.0.0.1`.
+const schema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, required: true, default: 0 },
+  lastFailureAt: { type: Date, required: true },
+  // Once nothing has failed for a whole lockout period the count starts over
+  expiresAt: { type: Date, required: true },
+});
+
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', schema);
@@ -2,14 +2,60 @@
 
 const mongoose = require('mongoose');
 
+const PERMISSIONS = ['read', 'write'];
+
+const shareSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    permission: { type: String, enum: PERMISSIONS, required: true },
+  },
+  { _id: false },
+);
+
+// Files are kept by the storage backend under `key`, see `lib/storage.js`
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  key: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+attachmentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, result) => {
+    delete result._id;
+    delete result.key;
+  },
+});
+
 const schema = new mongoose.Schema({
   title: { type: String, required: true },
   content: String,
   folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder' },
   tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  deletedAt: Date,
+  // Increased by every update, see `lib/versioning.js`
+  version: { type: Number, default: 1 },
+  // Other users this note has been shared with
+  shares: { type: [shareSchema], default: undefined },
+  // Only ever `true` or unset, so that unpinned notes sort together whether or
+  // not they predate pinning
+  pinned: Boolean,
+  favorite: Boolean,
+  // Place in the manual order, see `lib/sorting.js`
+  position: Number,
+  attachments: { type: [attachmentSchema], default: undefined },
 });
 
+// Used by full-text search (`GET /api/notes?search=`); title matches count
+// for more than content matches when ranking
+schema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 5, content: 1 }, name: 'title_content_text' },
+);
+
 // Add `createdAt` and `updatedAt` fields
 schema.set('timestamps', true);
 
@@ -19,7 +65,21 @@ schema.set('toJSON', {
   transform: (doc, result) => {
     delete result._id;
     delete result.__v;
+    result.pinned = Boolean(result.pinned);
+    result.favorite = Boolean(result.favorite);
   },
 });
 
+schema.statics.PERMISSIONS = PERMISSIONS;
+
+/**
+ * Query conditions matching the notes which `userId` may access with the
+ * given permission: their own notes plus those shared with them. Write access
+ * also implies read access.
+ */
+schema.statics.accessibleBy = function noteAccessibleBy(userId, permission = 'read') {
+  const grant = permission === 'write' ? { userId, permission } : { userId };
+  return { $or: [{ userId }, { shares: { $elemMatch: grant } }] };
+};
+
 module.exports = mongoose.model('Note', schema);
@@ -0,0 +1,43 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const schema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true,
+    unique: true,
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Links without an expiry date stay valid until they are revoked
+  expiresAt: Date,
+});
+
+// Add `createdAt` and `updatedAt` fields
+schema.set('timestamps', true);
+
+// Transform output during `res.json(data)`, `console.log(data)` etc.
+schema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, result) => {
+    delete result._id;
+    delete result.__v;
+  },
+});
+
+/**
+ * Generate a random, URL-safe token. Anyone who knows it can read the note,
+ * so it has to be unguessable.
+ */
+schema.statics.generateToken = function generatePublicLinkToken() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+schema.methods.isExpired = function isPublicLinkExpired(now = new Date()) {
+  return Boolean(this.expiresAt) && this.expiresAt <= now;
+};
+
+module.exports = mongoose.model('PublicLink', schema);
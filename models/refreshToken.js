@@ -0,0 +1,36 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const schema = new mongoose.Schema({
+  // Only a hash is stored so that a leaked database can't be used to log in
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Every token rotated from the same login shares a family, so that the
+  // whole chain can be revoked when a used token is presented again
+  family: { type: String, required: true },
+  // The access token issued alongside this refresh token
+  accessJti: { type: String, required: true },
+  accessExpiresAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  revokedAt: Date,
+});
+
+schema.index({ userId: 1 });
+schema.index({ family: 1 });
+// Let MongoDB remove tokens once they can no longer be used
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Add `createdAt` and `updatedAt` fields
+schema.set('timestamps', true);
+
+schema.statics.hash = function refreshTokenHash(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+module.exports = mongoose.model('RefreshToken', schema);
@@ -0,0 +1,70 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const schema = new mongoose.Schema({
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+  rev: { type: Number, required: true },
+  version: Number,
+  title: { type: String, required: true },
+  content: String,
+  folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder' },
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+});
+
+schema.index({ noteId: 1, rev: 1 }, { unique: true });
+
+// Add `createdAt` and `updatedAt` fields
+schema.set('timestamps', true);
+
+// Transform output during `res.json(data)`, `console.log(data)` etc.
+schema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, result) => {
+    delete result._id;
+    delete result.__v;
+  },
+});
+
+// Snapshots of the same note taken at the same time race for the next `rev`.
+// The unique index turns the loser away, which then tries the one after.
+const SNAPSHOT_ATTEMPTS = 5;
+
+function takeSnapshot(Revision, note, attempt) {
+  return Revision.findOne({ noteId: note._id })
+    .sort({ rev: 'desc' })
+    .then((latest) => {
+      const {
+        title, content, folderId, tags, userId,
+      } = note;
+      return Revision.create({
+        noteId: note._id,
+        rev: latest ? latest.rev + 1 : 1,
+        version: note.version || 1,
+        title,
+        content,
+        folderId,
+        tags,
+        userId,
+      });
+    })
+    .catch((err) => {
+      if (err.code === 11000 && attempt < SNAPSHOT_ATTEMPTS) {
+        return takeSnapshot(Revision, note, attempt + 1);
+      }
+      return Promise.reject(err);
+    });
+}
+
+/**
+ * Store the current state of `note` as its next revision. Revision numbers
+ * start at 1 and increase by one for every snapshot of the same note. The
+ * note's `version` is kept too, so the content a client based an outdated
+ * update on can be found again.
+ */
+schema.statics.snapshot = function revisionSnapshot(note) {
+  return takeSnapshot(this, note, 1);
+};
+
+module.exports = mongoose.model('Revision', schema);
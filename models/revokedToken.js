@@ -0,0 +1,41 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Access tokens can't be revoked by themselves, so the ids (`jti`) of those
+// which were logged out are kept here until they would have expired anyway.
+const schema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+});
+
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Add access tokens to the denylist. `tokens` are `{ jti, expiresAt }` pairs;
+ * revoking a token twice is not an error.
+ */
+schema.statics.revoke = function revokeTokens(tokens) {
+  const live = tokens.filter(token => token.jti && token.expiresAt > new Date());
+  if (!live.length) {
+    return Promise.resolve();
+  }
+
+  return this.bulkWrite(
+    live.map(({ jti, expiresAt }) => ({
+      updateOne: {
+        filter: { jti },
+        update: { $setOnInsert: { jti, expiresAt } },
+        upsert: true,
+      },
+    })),
+  );
+};
+
+schema.statics.isRevoked = function isTokenRevoked(jti) {
+  return this.findOne({ jti })
+    .select('_id')
+    .then(Boolean);
+};
+
+module.exports = mongoose.model('RevokedToken', schema);
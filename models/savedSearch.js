@@ -0,0 +1,34 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// A named search of the notes, also known as a smart folder. The fields are
+// the parameters of `GET /api/notes` it runs with, see `routes/notes.js`
+const schema = new mongoose.Schema({
+  name: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  search: String,
+  searchTerm: String,
+  q: String,
+  folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder' },
+  // Notes must have all of these tags
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  recursive: Boolean,
+  sort: String,
+});
+
+schema.index({ name: 1, userId: 1 }, { unique: true });
+
+// Add `createdAt` and `updatedAt` fields
+schema.set('timestamps', true);
+
+// Transform output during `res.json(data)`, `console.log(data)` etc.
+schema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, result) => {
+    delete result._id;
+    delete result.__v;
+  },
+});
+
+module.exports = mongoose.model('SavedSearch', schema);
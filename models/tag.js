@@ -4,10 +4,24 @@ const mongoose = require('mongoose');
 
 const schema = new mongoose.Schema({
   name: { type: String, required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tag' },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Place in the manual order, see `lib/sorting.js`
+  position: Number,
+  deletedAt: Date,
+  // Notes which referenced this item when it was moved to the trash
+  detachedNoteIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Note' }],
+    default: undefined,
+  },
 });
 
-schema.index({ name: 1, userId: 1 }, { unique: true });
+// Names are unique amongst the tags sharing a parent, so `work/urgent` and
+// `home/urgent` can both exist. Trashed items have distinct `deletedAt` values,
+// so they never clash with the live ones
+schema.index({
+  name: 1, userId: 1, parentId: 1, deletedAt: 1,
+}, { unique: true });
 
 // Add `createdAt` and `updatedAt` fields
 schema.set('timestamps', true);
@@ -18,6 +32,7 @@ schema.set('toJSON', {
   transform: (doc, result) => {
     delete result._id;
     delete result.__v;
+    delete result.detachedNoteIds;
   },
 });
 
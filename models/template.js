@@ -0,0 +1,31 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// The skeleton of a note, see `lib/templates.js` for the placeholders the
+// title and content may contain
+const schema = new mongoose.Schema({
+  name: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: String,
+  content: String,
+  // Where notes created from the template are filed, and how they are tagged
+  folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder' },
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+});
+
+schema.index({ name: 1, userId: 1 }, { unique: true });
+
+// Add `createdAt` and `updatedAt` fields
+schema.set('timestamps', true);
+
+// Transform output during `res.json(data)`, `console.log(data)` etc.
+schema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, result) => {
+    delete result._id;
+    delete result.__v;
+  },
+});
+
+module.exports = mongoose.model('Template', schema);
@@ -0,0 +1,41 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const { SYNC_TOMBSTONE_DAYS } = require('../config');
+
+// Items which were permanently deleted, kept so that clients syncing the
+// changes since an earlier point learn to remove their copies. See `lib/sync.js`
+const schema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['notes', 'folders', 'tags'], required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  deletedAt: { type: Date, required: true, default: Date.now },
+});
+
+schema.index({ userId: 1, deletedAt: 1 });
+schema.index(
+  { deletedAt: 1 },
+  { expireAfterSeconds: SYNC_TOMBSTONE_DAYS * 24 * 60 * 60 },
+);
+
+/**
+ * Record that `items` of `type`, each with an `_id` and a `userId`, were
+ * permanently deleted.
+ */
+schema.statics.record = function recordTombstones(type, items, session) {
+  if (!items.length) {
+    return Promise.resolve();
+  }
+
+  const deletedAt = new Date();
+  const tombstones = items.map(item => ({
+    userId: item.userId,
+    type,
+    itemId: item._id,
+    deletedAt,
+  }));
+  return this.insertMany(tombstones, { session });
+};
+
+module.exports = mongoose.model('Tombstone', schema);
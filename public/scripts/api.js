@@ -1,62 +1,270 @@
-/* global $ */
+/* global $ localDb */
 'use strict';
 
 const api = (function () {
+  const RECONNECT_DELAY_MS = 5000;
+  // Changes to these are queued while offline, anything else needs the network
+  const QUEUEABLE_PATH = /^\/api\/(notes|folders|tags)(\/|$)/;
+
+  let refreshing = null;
+  let replaying = null;
+
   function authHeader() {
     return { Authorization: `Bearer ${store.authToken}` };
   }
 
+  // Every refresh token can only be used once, so concurrent requests which
+  // fail at the same time share a single refresh.
+  function refreshTokens() {
+    if (!refreshing) {
+      refreshing = $.ajax({
+        type: 'POST',
+        url: '/api/refresh',
+        contentType: 'application/json',
+        dataType: 'json',
+        data: JSON.stringify({ refreshToken: store.refreshToken }),
+      })
+        .then(response => {
+          store.authToken = response.authToken;
+          store.refreshToken = response.refreshToken;
+          return saveSession();
+        })
+        .always(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
+
+  // The session is kept in IndexedDB, see `noteful.resumeSession`
+  function saveSession() {
+    const { authToken, refreshToken, currentUser } = store;
+    return localDb.set('session', { authToken, refreshToken, currentUser });
+  }
+
+  function withAuth(options) {
+    const headers = Object.assign(authHeader(), options.headers);
+    return Object.assign({}, options, { headers });
+  }
+
+  // Access tokens are short-lived: when one expires, get a new one and retry
+  function request(options) {
+    return $.ajax(withAuth(options))
+      .catch(err => {
+        if (err.status !== 401 || !store.refreshToken) {
+          throw err;
+        }
+        return refreshTokens().then(
+          () => $.ajax(withAuth(options)),
+          () => {
+            store.refreshToken = '';
+            throw err;
+          }
+        );
+      });
+  }
+
+  function offlineError(message) {
+    return { status: 0, offline: true, responseJSON: { message } };
+  }
+
+  // Responses are kept so that what has been seen can still be shown offline.
+  // Changes made offline are queued and sent once back online, see `replay`.
+  function send(options) {
+    const key = `${options.url}?${$.param(options.data || {})}`;
+    return request(options).then(
+      response => {
+        if (options.type === 'GET') {
+          localDb.set(key, response);
+        }
+        return response;
+      },
+      err => {
+        if (err.status !== 0) {
+          throw err;
+        }
+
+        if (options.type === 'GET') {
+          return localDb.get(key).then(cached => {
+            if (cached === undefined) {
+              throw offlineError('You are offline and this has not been loaded before');
+            }
+            return cached;
+          });
+        }
+
+        if (!QUEUEABLE_PATH.test(options.url)) {
+          throw offlineError('You are offline, try again once you are back online');
+        }
+
+        const { type, url, contentType, data, headers } = options;
+        return localDb.enqueue({ type, url, contentType, data, headers })
+          .then(() => {
+            throw offlineError('You are offline, the change will be saved once you are back online');
+          });
+      }
+    );
+  }
+
+  /**
+   * Send the changes queued while offline, in the order they were made. Stops
+   * at the first one which still can't be sent. Those the server refuses, for
+   * example because the note changed in the meantime, are dropped and passed
+   * to `onError`. Resolves to whether the queue is empty.
+   */
+  const replay = function (onError) {
+    if (!replaying) {
+      replaying = localDb.queued()
+        .then(entries => entries.reduce((previous, entry) => previous.then(online => {
+          if (!online) {
+            return false;
+          }
+          return request(entry).then(
+            () => localDb.dequeue(entry.id).then(() => true),
+            err => {
+              if (err.status === 0) {
+                return false;
+              }
+              onError(err);
+              return localDb.dequeue(entry.id).then(() => true);
+            }
+          );
+        }), Promise.resolve(true)))
+        .then(
+          done => {
+            replaying = null;
+            return done;
+          },
+          err => {
+            replaying = null;
+            throw err;
+          }
+        );
+    }
+    return replaying;
+  };
+
   const search = function (path, query) {
-    return $.ajax({
+    return send({
       type: 'GET',
       url: path,
       dataType: 'json',
       data: query,
-      headers: authHeader(),
     });
   };
   const details = function (path) {
-    return $.ajax({
+    return send({
       type: 'GET',
       dataType: 'json',
       url: path,
-      headers: authHeader(),
     });
   };
-  const update = function (path, obj) {
-    return $.ajax({
+  const update = function (path, obj, headers) {
+    return send({
       type: 'PUT',
       url: path,
       contentType: 'application/json',
       dataType: 'json',
       data: JSON.stringify(obj),
-      headers: authHeader(),
+      headers,
     });
   };
   const create = function (path, obj) {
-    return $.ajax({
+    return send({
       type: 'POST',
       url: path,
       contentType: 'application/json',
       dataType: 'json',
       processData: false,
       data: JSON.stringify(obj),
-      headers: authHeader(),
     });
   };
-  const remove = function (path) {
-    return $.ajax({
+  const remove = function (path, headers) {
+    return send({
       type: 'DELETE',
       dataType: 'json',
       url: path,
-      headers: authHeader(),
+      headers,
+    });
+  };
+
+  function parseEvent(block) {
+    const event = { type: 'message', data: '' };
+    block.split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') {
+        event.type = value;
+      } else if (field === 'data') {
+        event.data = event.data ? `${event.data}\n${value}` : value;
+      }
     });
+    return event;
+  }
+
+  // Server-sent events are read with `fetch` because `EventSource` cannot send
+  // the Authorization header. The server ends the stream when the access token
+  // expires, it is then reopened with a new one. Returns a function to stop.
+  const subscribe = function (path, onEvent) {
+    let stopped = false;
+    let controller = null;
+
+    function read(reader, decoder, buffered) {
+      return reader.read().then(({ done, value }) => {
+        if (done) {
+          return;
+        }
+        const blocks = (buffered + decoder.decode(value, { stream: true })).split('\n\n');
+        const rest = blocks.pop();
+        blocks
+          .map(parseEvent)
+          .filter(event => event.data)
+          .forEach(event => onEvent(event.type, JSON.parse(event.data)));
+        return read(reader, decoder, rest);
+      });
+    }
+
+    function connect() {
+      if (stopped) {
+        return;
+      }
+      controller = new AbortController();
+      fetch(path, { headers: authHeader(), signal: controller.signal })
+        .then(response => {
+          if (response.status === 401) {
+            if (!store.refreshToken) {
+              stopped = true;
+              return;
+            }
+            return refreshTokens().catch(err => {
+              store.refreshToken = '';
+              throw err;
+            });
+          }
+          if (!response.ok) {
+            throw new Error(response.statusText);
+          }
+          return read(response.body.getReader(), new TextDecoder(), '');
+        })
+        .then(connect, () => setTimeout(connect, RECONNECT_DELAY_MS));
+    }
+
+    connect();
+    return () => {
+      stopped = true;
+      controller.abort();
+    };
   };
+
   return {
     create,
     search,
     details,
     update,
-    remove
+    remove,
+    subscribe,
+    replay,
+    saveSession
   };
 }());
@@ -6,4 +6,10 @@ $(document).ready(function () {
 
   noteful.render();
 
+  // The service worker keeps the app itself available offline
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js');
+  }
+
+  noteful.resumeSession();
 });
@@ -0,0 +1,70 @@
+/* global indexedDB */
+'use strict';
+
+// A small promise based wrapper around IndexedDB. It keeps the session and the
+// responses the client has loaded across reloads, and the changes made while
+// offline until they can be sent.
+const localDb = (function () {
+  const DB_NAME = 'noteful';
+  const DB_VERSION = 1;
+
+  let opening = null;
+
+  function open() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('values');
+          db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return opening;
+  }
+
+  // Run a single request against one object store, resolving to its result
+  // once the transaction has completed
+  function run(storeName, mode, operation) {
+    return open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    }));
+  }
+
+  const get = function (key) {
+    return run('values', 'readonly', values => values.get(key));
+  };
+  const set = function (key, value) {
+    return run('values', 'readwrite', values => values.put(value, key));
+  };
+  const enqueue = function (entry) {
+    return run('queue', 'readwrite', queue => queue.add(entry));
+  };
+  const queued = function () {
+    return run('queue', 'readonly', queue => queue.getAll());
+  };
+  const dequeue = function (id) {
+    return run('queue', 'readwrite', queue => queue.delete(id));
+  };
+  const clear = function () {
+    return Promise.all([
+      run('values', 'readwrite', values => values.clear()),
+      run('queue', 'readwrite', queue => queue.clear()),
+    ]);
+  };
+
+  return {
+    get,
+    set,
+    enqueue,
+    queued,
+    dequeue,
+    clear
+  };
+}());
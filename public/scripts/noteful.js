@@ -1,8 +1,12 @@
-/* global $ store api moment */
+/* global $ store api localDb moment */
 'use strict';
 
 const noteful = (function () {
 
+  const NOTES_PAGE_SIZE = 50;
+
+  let stopLiveUpdates = null;
+
   function showSuccessMessage(message) {
     const el = $('.js-success-message');
     el.text(message).show();
@@ -18,6 +22,10 @@ const noteful = (function () {
   function handleErrors(err) {
     if (err.status === 401) {
       store.authorized = false;
+      if (stopLiveUpdates) {
+        stopLiveUpdates();
+        stopLiveUpdates = null;
+      }
       noteful.render();
     }
     showFailureMessage(err.responseJSON.message);
@@ -29,6 +37,7 @@ const noteful = (function () {
 
     const notesList = generateNotesList(store.notes, store.currentNote);
     $('.js-notes-list').html(notesList);
+    $('.js-notes-more').toggle(Boolean(store.notesCursor));
 
     const folderList = generateFolderList(store.folders, store.currentQuery);
     $('.js-folders-list').html(folderList);
@@ -36,12 +45,17 @@ const noteful = (function () {
     const folderSelect = generateFolderSelect(store.folders);
     $('.js-note-folder-entry').html(folderSelect);
 
+    const savedSearchesList = generateSavedSearchesList(store.savedSearches, store.currentQuery);
+    $('.js-saved-searches-list').html(savedSearchesList);
+
     const tagsList = generateTagsList(store.tags, store.currentQuery);
     $('.js-tags-list').html(tagsList);
 
     const tagsSelect = generateTagsSelect(store.tags);
     $('.js-note-tags-entry').html(tagsSelect);
 
+    $('.js-note-conflict').toggle(Boolean(store.noteConflict));
+
     const editForm = $('.js-note-edit-form');
     editForm.find('.js-note-title-entry').val(store.currentNote.title);
     editForm.find('.js-note-content-entry').val(store.currentNote.content);
@@ -66,6 +80,7 @@ const noteful = (function () {
             <div class="date">${moment(item.updatedAt).calendar()}</div>
             <div class="tags">${getTagsCommaSeparated(item.tags)}</div>
           </div>
+        ${item.snippet ? `<div class="snippet">${item.snippet}</div>` : ''}
       </li>`);
     return listItems.join('');
   }
@@ -77,16 +92,26 @@ const noteful = (function () {
       </li>`;
 
     const listItems = list.map(item => `
-      <li data-id="${item.id}" class="js-folder-item ${currQuery.folderId === item.id ? 'active' : ''}">
+      <li data-id="${item.id}" class="js-folder-item ${currQuery.folderId === item.id ? 'active' : ''}" style="padding-left: ${item.depth}em">
         <a href="#" class="name js-folder-link">${item.name}</a>
+        <span class="count">${item.noteCount}</span>
         <button class="removeBtn js-folder-delete">X</button>
       </li>`);
 
     return [showAllItem, ...listItems].join('');
   }
 
+  function generateSavedSearchesList(list = [], currQuery) {
+    const listItems = list.map(item => `
+      <li data-id="${item.id}" class="js-saved-search-item ${currQuery.savedSearchId === item.id ? 'active' : ''}">
+        <a href="#" class="name js-saved-search-link">${item.name}</a>
+        <button class="removeBtn js-saved-search-delete">X</button>
+      </li>`);
+    return listItems.join('');
+  }
+
   function generateFolderSelect(list = []) {
-    const notes = list.map(item => `<option value="${item.id}">${item.name}</option>`);
+    const notes = list.map(item => `<option value="${item.id}">${item.path}</option>`);
     return '<option value="">Select Folder:</option>' + notes.join('');
   }
 
@@ -99,6 +124,7 @@ const noteful = (function () {
     const listItems = list.map(item => `
       <li data-id="${item.id}" class="js-tag-item ${currQuery.tagId === item.id ? 'active' : ''}">
         <a href="#" class="name js-tag-link">${item.name}</a>
+        <span class="count">${item.noteCount}</span>
         <button class="removeBtn js-tag-delete">X</button>
       </li>`);
     return [showAllItem, ...listItems].join('');
@@ -122,6 +148,11 @@ const noteful = (function () {
     return id;
   }
 
+  function getSavedSearchIdFromElement(item) {
+    const id = $(item).closest('.js-saved-search-item').data('id');
+    return id;
+  }
+
   function getTagIdFromElement(item) {
     const id = $(item).closest('.js-tag-item').data('id');
     return id;
@@ -131,6 +162,191 @@ const noteful = (function () {
     return tags ? tags.map(tag => tag.name).join(', ') : '';
   }
 
+  /**
+   * Fetch the folder tree, flattened in display order with each folder's depth
+   */
+  function fetchFolders() {
+    function flatten(nodes, depth) {
+      return nodes.reduce((list, node) => list.concat(
+        Object.assign({}, node, { depth }),
+        flatten(node.children, depth + 1)
+      ), []);
+    }
+
+    return api.search('/api/folders', { tree: true, withCounts: true })
+      .then(response => flatten(response, 0));
+  }
+
+  function fetchTags() {
+    return api.search('/api/tags', { withCounts: true });
+  }
+
+  function fetchSavedSearches() {
+    return api.search('/api/saved-searches');
+  }
+
+  /**
+   * Fetch the first page of notes matching the current query, or the page
+   * after `cursor`. The cursor for the following page is kept in the store.
+   */
+  function fetchNotes(cursor) {
+    const query = Object.assign({}, store.currentQuery, { limit: NOTES_PAGE_SIZE });
+    if (cursor) {
+      query.cursor = cursor;
+    }
+
+    return api.search('/api/notes', query)
+      .then(response => {
+        store.notesCursor = response.nextCursor;
+        return response.results;
+      });
+  }
+
+  // Rendering fills the form from `store.currentNote`, so unsaved edits are
+  // kept there first
+  function keepFormEdits() {
+    const editForm = $('.js-note-edit-form');
+    Object.assign(store.currentNote, {
+      title: editForm.find('.js-note-title-entry').val(),
+      content: editForm.find('.js-note-content-entry').val(),
+      folderId: editForm.find('.js-note-folder-entry').val(),
+      tags: (editForm.find('.js-note-tags-entry').val() || []).map(id => ({ id })),
+    });
+  }
+
+  // Notes in events have the ids of their tags, the list shows their names
+  function withTagNames(note) {
+    const tags = (note.tags || []).map(tag => (typeof tag === 'string'
+      ? store.tags.find(item => item.id === tag) || { id: tag }
+      : tag));
+    return Object.assign({}, note, { tags });
+  }
+
+  function tagIdsOf(note) {
+    return (note.tags || []).map(tag => tag.id || tag).sort().join();
+  }
+
+  // Patch the list for a note event, and tell what has to be fetched again:
+  // the number of notes in folders and tags may change, and only the server
+  // knows whether a note now belongs in the current list
+  function applyNoteChange(action, data) {
+    const listed = store.notes.find(note => note.id === data.id);
+    const { folderId, tagId } = store.currentQuery;
+
+    if (action === 'deleted') {
+      store.notes = store.notes.filter(note => note !== listed);
+      return { folders: true, tags: true };
+    }
+    if (action === 'created' || !listed) {
+      return { folders: true, tags: true, notes: true };
+    }
+
+    const moved = (listed.folderId || null) !== (data.folderId || null);
+    const retagged = tagIdsOf(listed) !== tagIdsOf(data);
+    store.notes = store.notes.map(note => (note === listed
+      ? Object.assign({}, listed, withTagNames(data))
+      : note));
+    return {
+      folders: moved,
+      tags: retagged,
+      notes: (moved && Boolean(folderId)) || (retagged && Boolean(tagId)),
+    };
+  }
+
+  function applySavedSearchChange(action, data) {
+    const others = store.savedSearches.filter(item => item.id !== data.id);
+    store.savedSearches = action === 'deleted'
+      ? others
+      : others.concat(data).sort((a, b) => (a.name < b.name ? -1 : 1));
+    const current = store.currentQuery.savedSearchId === data.id;
+    return { notes: action === 'updated' && current };
+  }
+
+  // Folders and tags are fetched again for the folder tree and the number of
+  // notes in each. The notes listed only change names or lose them.
+  function applyFolderChange(action, data) {
+    if (action === 'deleted') {
+      store.notes = store.notes.map(note => (note.folderId === data.id
+        ? Object.assign({}, note, { folderId: null })
+        : note));
+    }
+    const current = store.currentQuery.folderId === data.id;
+    return { folders: true, notes: action === 'deleted' && current };
+  }
+
+  function applyTagChange(action, data) {
+    if (action === 'updated') {
+      store.notes = store.notes.map(note => Object.assign({}, note, {
+        tags: (note.tags || []).map(tag => (tag.id === data.id
+          ? Object.assign({}, tag, { name: data.name })
+          : tag))
+      }));
+    } else if (action === 'deleted') {
+      store.notes = store.notes.map(note => Object.assign({}, note, {
+        tags: (note.tags || []).filter(tag => tag.id !== data.id)
+      }));
+    }
+    const current = store.currentQuery.tagId === data.id;
+    return { tags: true, notes: action === 'deleted' && current };
+  }
+
+  const changeHandlers = {
+    note: applyNoteChange,
+    savedSearch: applySavedSearchChange,
+    folder: applyFolderChange,
+    tag: applyTagChange
+  };
+
+  /**
+   * Apply a change the server tells about, made in this or another session.
+   * The store is patched from the event, and only what it cannot tell is
+   * fetched again. Imports and restores change the whole notebook, which is
+   * fetched again, as it is for any change this doesn't know.
+   */
+  function applyChange(type, data) {
+    const [resource, action] = type.split('.');
+    const deletesCurrentNote = resource === 'note' && action === 'deleted'
+      && store.currentNote.id === data.id;
+
+    const refetch = changeHandlers[resource]
+      ? changeHandlers[resource](action, data)
+      : { folders: true, tags: true, savedSearches: true, notes: true };
+
+    const changes = [];
+    if (refetch.folders) {
+      changes.push(fetchFolders().then(folders => {
+        store.folders = folders;
+      }));
+    }
+    if (refetch.tags) {
+      changes.push(fetchTags().then(tags => {
+        store.tags = tags;
+      }));
+    }
+    if (refetch.savedSearches) {
+      changes.push(fetchSavedSearches().then(savedSearches => {
+        store.savedSearches = savedSearches;
+      }));
+    }
+    if (refetch.notes) {
+      changes.push(fetchNotes().then(notes => {
+        store.notes = notes;
+      }));
+    }
+
+    Promise.all(changes)
+      .then(() => {
+        if (deletesCurrentNote) {
+          store.currentNote = {};
+          store.noteConflict = null;
+        } else {
+          keepFormEdits();
+        }
+        render();
+      })
+      .catch(handleErrors);
+  }
+
   /**
    * NOTES EVENT LISTENERS AND HANDLERS
    */
@@ -143,6 +359,7 @@ const noteful = (function () {
       api.details(`/api/notes/${noteId}`)
         .then((response) => {
           store.currentNote = response;
+          store.noteConflict = null;
           render();
         })
         .catch(handleErrors);
@@ -153,9 +370,9 @@ const noteful = (function () {
     $('.js-notes-search-form').on('submit', event => {
       event.preventDefault();
 
-      store.currentQuery.searchTerm = $(event.currentTarget).find('input').val();
+      store.currentQuery.search = $(event.currentTarget).find('input').val();
 
-      api.search('/api/notes', store.currentQuery)
+      fetchNotes()
         .then(response => {
           store.notes = response;
           render();
@@ -165,6 +382,76 @@ const noteful = (function () {
   }
 
 
+  function handleNotesMoreClick() {
+    $('.js-notes-more').on('click', event => {
+      event.preventDefault();
+
+      fetchNotes(store.notesCursor)
+        .then(response => {
+          store.notes = store.notes.concat(response);
+          render();
+        })
+        .catch(handleErrors);
+    });
+  }
+
+  // Only save over the copy of the note which was loaded. If it has been
+  // changed elsewhere since, the server merges the changes where it can and
+  // the conflict is shown otherwise.
+  function saveNote(noteObj, version) {
+    const headers = version ? { 'If-Match': `"${version}"` } : {};
+    return api.update(`/api/notes/${noteObj.id}`, noteObj, headers)
+      .then(updateResponse => {
+        store.currentNote = updateResponse;
+        store.noteConflict = null;
+        return fetchNotes();
+      })
+      .then(response => {
+        store.notes = response;
+        render();
+      })
+      .catch(err => {
+        if (err.status !== 409 && err.status !== 412) {
+          return handleErrors(err);
+        }
+        const { current, merged } = err.responseJSON;
+        store.noteConflict = { mine: noteObj, theirs: current, merged };
+        render();
+      });
+  }
+
+  function mergeContent(mine = '', theirs = '') {
+    if (mine === theirs) {
+      return mine;
+    }
+    return `<<<<<<< your changes\n${mine}\n=======\n${theirs}\n>>>>>>> saved copy\n`;
+  }
+
+  function handleNoteConflictClick() {
+    $('.js-conflict-overwrite').on('click', event => {
+      event.preventDefault();
+      const { mine, theirs } = store.noteConflict;
+      saveNote(mine, theirs.version);
+    });
+
+    // Put both versions of the content in the form for the user to resolve,
+    // saving then goes over the saved copy. When the server already merged
+    // the content, only the overlapping changes are marked.
+    $('.js-conflict-merge').on('click', event => {
+      event.preventDefault();
+      const { mine, theirs, merged } = store.noteConflict;
+      store.currentNote = Object.assign({}, theirs, {
+        title: mine.title,
+        content: merged !== undefined ? merged : mergeContent(mine.content, theirs.content),
+        folderId: mine.folderId,
+        tags: (mine.tags || []).map(id => ({ id })),
+      });
+      store.noteConflict = null;
+      render();
+      showSuccessMessage('Resolve the conflicting changes, then save the note');
+    });
+  }
+
   function handleNoteFormSubmit() {
     $('.js-note-edit-form').on('submit', function (event) {
       event.preventDefault();
@@ -179,21 +466,12 @@ const noteful = (function () {
       };
 
       if (store.currentNote.id) {
-        api.update(`/api/notes/${noteObj.id}`, noteObj)
-          .then(updateResponse => {
-            store.currentNote = updateResponse;
-            return api.search('/api/notes', store.currentQuery);
-          })
-          .then(response => {
-            store.notes = response;
-            render();
-          })
-          .catch(handleErrors);
+        saveNote(noteObj, store.currentNote.version);
       } else {
         api.create('/api/notes', noteObj)
           .then(createResponse => {
             store.currentNote = createResponse;
-            return api.search('/api/notes', store.currentQuery);
+            return fetchNotes();
           })
           .then(response => {
             store.notes = response;
@@ -208,6 +486,7 @@ const noteful = (function () {
     $('.js-start-new-note-form').on('submit', event => {
       event.preventDefault();
       store.currentNote = {};
+      store.noteConflict = null;
       render();
     });
   }
@@ -222,7 +501,7 @@ const noteful = (function () {
           if (noteId === store.currentNote.id) {
             store.currentNote = {};
           }
-          return api.search('/api/notes', store.currentQuery);
+          return fetchNotes();
         })
         .then(response => {
           store.notes = response;
@@ -241,11 +520,12 @@ const noteful = (function () {
 
       const folderId = getFolderIdFromElement(event.currentTarget);
       store.currentQuery.folderId = folderId;
+      store.currentQuery.savedSearchId = null;
       if (folderId !== store.currentNote.folderId) {
         store.currentNote = {};
       }
 
-      api.search('/api/notes', store.currentQuery)
+      fetchNotes()
         .then(response => {
           store.notes = response;
           render();
@@ -262,7 +542,7 @@ const noteful = (function () {
       api.create('/api/folders', { name: newFolderEl.val() })
         .then(() => {
           newFolderEl.val('');
-          return api.search('/api/folders');
+          return fetchFolders();
         })
         .then(response => {
           store.folders = response;
@@ -287,8 +567,8 @@ const noteful = (function () {
       api.remove(`/api/folders/${folderId}`)
         .then(() => {
           return Promise.all([
-            api.search('/api/notes'),
-            api.search('/api/folders')
+            fetchNotes(),
+            fetchFolders()
           ]);
         })
         .then(([notes, folders]) => {
@@ -300,6 +580,79 @@ const noteful = (function () {
     });
   }
 
+  /**
+   * SAVED SEARCHES EVENT LISTENERS AND HANDLERS
+   */
+  function handleSavedSearchClick() {
+    $('.js-saved-searches-list').on('click', '.js-saved-search-link', event => {
+      event.preventDefault();
+
+      // The smart folder runs on its own, whatever was shown before
+      store.currentQuery = {
+        search: '',
+        savedSearchId: getSavedSearchIdFromElement(event.currentTarget)
+      };
+      store.currentNote = {};
+
+      fetchNotes()
+        .then(response => {
+          store.notes = response;
+          render();
+        })
+        .catch(handleErrors);
+    });
+  }
+
+  // Saves the search, folder and tag the notes are currently shown for
+  function handleNewSavedSearchSubmit() {
+    $('.js-new-saved-search-form').on('submit', event => {
+      event.preventDefault();
+
+      const { search, folderId, tagId } = store.currentQuery;
+      const newSavedSearchEl = $('.js-new-saved-search-entry');
+      api.create('/api/saved-searches', {
+        name: newSavedSearchEl.val(),
+        search,
+        folderId,
+        tags: tagId ? [tagId] : []
+      })
+        .then(() => {
+          newSavedSearchEl.val('');
+          return fetchSavedSearches();
+        })
+        .then(response => {
+          store.savedSearches = response;
+          render();
+        })
+        .catch(handleErrors);
+    });
+  }
+
+  function handleSavedSearchDeleteClick() {
+    $('.js-saved-searches-list').on('click', '.js-saved-search-delete', event => {
+      event.preventDefault();
+      const savedSearchId = getSavedSearchIdFromElement(event.currentTarget);
+
+      if (savedSearchId === store.currentQuery.savedSearchId) {
+        store.currentQuery.savedSearchId = null;
+      }
+
+      api.remove(`/api/saved-searches/${savedSearchId}`)
+        .then(() => {
+          return Promise.all([
+            fetchNotes(),
+            fetchSavedSearches()
+          ]);
+        })
+        .then(([notes, savedSearches]) => {
+          store.notes = notes;
+          store.savedSearches = savedSearches;
+          render();
+        })
+        .catch(handleErrors);
+    });
+  }
+
   /**
    * TAGS EVENT LISTENERS AND HANDLERS
    */
@@ -309,10 +662,11 @@ const noteful = (function () {
 
       const tagId = getTagIdFromElement(event.currentTarget);
       store.currentQuery.tagId = tagId;
+      store.currentQuery.savedSearchId = null;
 
       store.currentNote = {};
 
-      api.search('/api/notes', store.currentQuery)
+      fetchNotes()
         .then(response => {
           store.notes = response;
           render();
@@ -328,7 +682,7 @@ const noteful = (function () {
       const newTagName = $('.js-new-tag-entry').val();
       api.create('/api/tags', { name: newTagName })
         .then(() => {
-          return api.search('/api/tags');
+          return fetchTags();
         })
         .then(response => {
           store.tags = response;
@@ -351,11 +705,11 @@ const noteful = (function () {
 
       api.remove(`/api/tags/${tagId}`)
         .then(() => {
-          return api.search('/api/tags');
+          return fetchTags();
         })
         .then(response => {
           store.tags = response;
-          return api.search('/api/notes', store.currentQuery);
+          return fetchNotes();
         })
         .then(response => {
           store.notes = response;
@@ -398,48 +752,104 @@ const noteful = (function () {
       api.create('/api/login', loginUser)
         .then(response => {
           store.authToken = response.authToken;
-          store.authorized = true;
+          store.refreshToken = response.refreshToken;
+          store.currentUser = userFromToken(response.authToken);
           loginForm[0].reset();
 
-          return Promise.all([
-            api.search('/api/notes'),
-            api.search('/api/folders'),
-            api.search('/api/tags')
-          ]);
+          // What is kept from an earlier session may belong to someone else
+          return localDb.get('session');
         })
-        .then(([notes, folders, tags]) => {
-          store.notes = notes;
-          store.folders = folders;
-          store.tags = tags;
-          render();
+        .then(session => {
+          if (session && session.currentUser.id !== store.currentUser.id) {
+            return localDb.clear();
+          }
         })
+        .then(() => api.saveSession())
+        .then(startSession)
         .catch(handleErrors);
     });
   }
 
+  function userFromToken(token) {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).user;
+  }
+
+  /**
+   * Load everything for the signed in user, after sending the changes made
+   * while offline. The same happens when the connection comes back.
+   */
+  function startSession() {
+    store.authorized = true;
+    if (!stopLiveUpdates) {
+      stopLiveUpdates = api.subscribe('/api/events', applyChange);
+    }
+
+    return api.replay(handleErrors)
+      .then(() => Promise.all([
+        fetchNotes(),
+        fetchFolders(),
+        fetchTags(),
+        fetchSavedSearches()
+      ]))
+      .then(([notes, folders, tags, savedSearches]) => {
+        store.notes = notes;
+        store.folders = folders;
+        store.tags = tags;
+        store.savedSearches = savedSearches;
+        render();
+      })
+      .catch(handleErrors);
+  }
+
+  // Sessions are kept across reloads, so the app opens where it was left
+  function resumeSession() {
+    return localDb.get('session').then(session => {
+      if (session) {
+        Object.assign(store, session);
+        return startSession();
+      }
+    });
+  }
+
+  function handleOnline() {
+    window.addEventListener('online', () => {
+      if (store.authorized) {
+        startSession();
+      }
+    });
+  }
+
   function bindEventListeners() {
     handleNoteItemClick();
     handleNoteSearchSubmit();
+    handleNotesMoreClick();
 
     handleNoteFormSubmit();
+    handleNoteConflictClick();
     handleNoteStartNewSubmit();
     handleNoteDeleteClick();
 
     handleFolderClick();
     handleNewFolderSubmit();
     handleFolderDeleteClick();
+    handleSavedSearchClick();
+    handleNewSavedSearchSubmit();
+    handleSavedSearchDeleteClick();
     handleTagClick();
     handleNewTagSubmit();
     handleTagDeleteClick();
 
     handleSignupSubmit();
     handleLoginSubmit();
+    handleOnline();
   }
 
   // This object contains the only exposed methods from this module:
   return {
     render: render,
     bindEventListeners: bindEventListeners,
+    resumeSession: resumeSession,
   };
 
 }());
@@ -3,13 +3,17 @@
 const store = (function() {
   return {
     notes: [],
+    notesCursor: null,
     folders: [],
     tags: [],
+    savedSearches: [],
     currentNote: {},
+    noteConflict: null,
     currentQuery: {
-      searchTerm: '',
+      search: '',
     },
     currentUser: {},
     authToken: '',
+    refreshToken: '',
   };
 })();
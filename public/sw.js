@@ -0,0 +1,55 @@
+/* eslint-env serviceworker */
+'use strict';
+
+const CACHE_NAME = 'noteful-v1';
+
+// Everything the app needs to start, the data comes from the API
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/styles/index.css',
+  '/scripts/localDb.js',
+  '/scripts/api.js',
+  '/scripts/store.js',
+  '/scripts/noteful.js',
+  '/scripts/index.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/normalize/4.2.0/normalize.min.css',
+  'https://code.jquery.com/jquery-3.2.1.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/moment.js/2.20.1/moment.min.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME)
+    .then(cache => cache.addAll(APP_SHELL))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key !== CACHE_NAME)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// The app is loaded from the network whenever possible, so updates show up
+// right away, and from the cache while offline. API responses are left to the
+// page, which keeps its own copies in IndexedDB.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const { pathname } = new URL(request.url);
+  if (request.method !== 'GET' || pathname.startsWith('/api/')
+    || pathname.startsWith('/public/')) {
+    return;
+  }
+
+  event.respondWith(fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request)));
+});
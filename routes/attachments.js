@@ -0,0 +1,218 @@
+/* eslint-disable consistent-return, no-param-reassign */
+
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
+
+const { ATTACHMENT_MAX_SIZE_MB, ATTACHMENT_QUOTA_MB } = require('../config');
+const Note = require('../models/note');
+const storage = require('../lib/storage');
+const { publishNote } = require('../lib/events');
+
+// Mounted below `/api/notes/:id`, so `req.params.id` is the note id
+const router = express.Router({ mergeParams: true });
+
+const MB = 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_SIZE_MB * MB, files: 1 },
+}).single('file');
+
+function validateParams(req, res, next) {
+  const { id, attachmentId } = req.params;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  if (attachmentId !== undefined && !mongoose.Types.ObjectId.isValid(attachmentId)) {
+    const err = new Error('The `attachmentId` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+// Collaborators the note is shared with can download its attachments, writers
+// can also add and remove them. Sets `req.note`.
+function loadNote(permission) {
+  return (req, res, next) => {
+    const { id } = req.params;
+    const { id: userId } = req.user;
+
+    const filter = Object.assign(
+      { _id: id, deletedAt: null },
+      Note.accessibleBy(userId, permission),
+    );
+    Note.findOne(filter)
+      .then((note) => {
+        if (!note) {
+          return next('route');
+        }
+
+        req.note = note;
+        next();
+      })
+      .catch(next);
+  };
+}
+
+function receiveFile(req, res, next) {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        err.message = `The file must not be larger than ${ATTACHMENT_MAX_SIZE_MB} MB`;
+        err.status = 413;
+      } else {
+        err.status = 400;
+      }
+    }
+    next(err);
+  });
+}
+
+// Attachments count against the quota of the note's owner, who may not be the
+// one uploading. Trashed notes keep their files until they are purged.
+function storageUsed(userId) {
+  return Note.aggregate([
+    { $match: { userId, 'attachments.0': { $exists: true } } },
+    { $unwind: '$attachments' },
+    { $group: { _id: null, size: { $sum: '$attachments.size' } } },
+  ]).then(([result]) => (result ? result.size : 0));
+}
+
+// Browsers often send files they don't know as `application/octet-stream`,
+// in which case the type is guessed from the file name
+function contentTypeOf(file, filename) {
+  const { mimetype } = file;
+  return mimetype && mimetype !== 'application/octet-stream'
+    ? mimetype
+    : express.static.mime.lookup(filename);
+}
+
+/* ========== GET/READ ALL ATTACHMENTS OF A NOTE ========== */
+router.get('/', validateParams, loadNote('read'), (req, res) => {
+  res.json(req.note.attachments || []);
+});
+
+/* ========== GET/DOWNLOAD A SINGLE ATTACHMENT ========== */
+router.get('/:attachmentId', validateParams, loadNote('read'), (req, res, next) => {
+  const { attachmentId } = req.params;
+  const attachment = req.note.attachments && req.note.attachments.id(attachmentId);
+
+  if (!attachment) {
+    return next();
+  }
+
+  storage.get(attachment.key)
+    .then((stream) => {
+      // Always offered as a download and never sniffed, so that uploaded HTML
+      // can't run as part of the app
+      res.attachment(attachment.filename);
+      res.type(attachment.contentType);
+      res.set({
+        'Content-Length': attachment.size,
+        'X-Content-Type-Options': 'nosniff',
+      });
+
+      stream.on('error', (err) => {
+        if (res.headersSent) {
+          res.destroy(err);
+        } else {
+          next(err);
+        }
+      });
+      stream.pipe(res);
+    })
+    .catch(next);
+});
+
+/* ========== POST/UPLOAD AN ATTACHMENT ========== */
+router.post('/', validateParams, loadNote('write'), receiveFile, (req, res, next) => {
+  const { id } = req.params;
+  const { file, note } = req;
+
+  /** *** Never trust users - validate input **** */
+  if (!file) {
+    const err = new Error('Missing `file` in request body');
+    err.status = 400;
+    return next(err);
+  }
+
+  const filename = path.basename(file.originalname.replace(/\\/g, '/')) || 'attachment';
+  const attachment = {
+    _id: new mongoose.Types.ObjectId(),
+    filename,
+    contentType: contentTypeOf(file, filename),
+    size: file.size,
+  };
+  attachment.key = `${note.userId}/${attachment._id}`;
+
+  storageUsed(note.userId)
+    .then((used) => {
+      if (used + file.size > ATTACHMENT_QUOTA_MB * MB) {
+        const err = new Error(
+          `The attachment would exceed the storage quota of ${ATTACHMENT_QUOTA_MB} MB`,
+        );
+        err.status = 413;
+        return Promise.reject(err);
+      }
+
+      return storage.put(attachment.key, file.buffer);
+    })
+    .then(() => Note.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $push: { attachments: attachment } },
+      { new: true },
+    ))
+    .then((result) => {
+      // The note was deleted while the file was being stored
+      if (!result) {
+        return storage.remove([attachment.key]).then(() => next());
+      }
+
+      publishNote('updated', result);
+      res
+        .location(`${req.originalUrl}/${attachment._id}`)
+        .status(201)
+        .json(result.attachments.id(attachment._id));
+    })
+    .catch(next);
+});
+
+/* ========== DELETE/REMOVE A SINGLE ATTACHMENT ========== */
+router.delete('/:attachmentId', validateParams, loadNote('write'), (req, res, next) => {
+  const { id, attachmentId } = req.params;
+  const attachment = req.note.attachments && req.note.attachments.id(attachmentId);
+
+  if (!attachment) {
+    return next();
+  }
+
+  Note.findOneAndUpdate(
+    { _id: id, 'attachments._id': attachmentId },
+    { $pull: { attachments: { _id: attachmentId } } },
+    { new: true },
+  )
+    .then((result) => {
+      if (!result) {
+        return next();
+      }
+
+      return storage.remove([attachment.key]).then(() => {
+        publishNote('updated', result);
+        res.sendStatus(204);
+      });
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -3,20 +3,63 @@
 const express = require('express');
 const passport = require('passport');
 
-const { createAuthToken } = require('../auth/tokens');
+const {
+  issueTokens,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+} = require('../auth/tokens');
+const { loginThrottle } = require('../auth/loginThrottle');
 const tokenAuth = require('../auth/tokenAuth');
 
 const router = new express.Router();
 const authOptions = { session: false, failWithError: true };
 
-router.post('/login', passport.authenticate('local', authOptions), (req, res) => {
-  const authToken = createAuthToken(req.user.toObject());
-  res.json({ authToken });
+router.post(
+  '/login',
+  loginThrottle,
+  passport.authenticate('local', authOptions),
+  (req, res, next) => {
+    issueTokens(req.user.toObject())
+      .then((tokens) => {
+        res.json(tokens);
+      })
+      .catch(next);
+  },
+);
+
+// Refreshing doesn't need the access token, which has usually expired by then
+router.post('/refresh', (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  /** *** Never trust users - validate input **** */
+  if (!refreshToken) {
+    const err = new Error('Missing `refreshToken` in request body');
+    err.status = 400;
+    return next(err);
+  }
+
+  return rotateRefreshToken(refreshToken)
+    .then((tokens) => {
+      res.json(tokens);
+    })
+    .catch(next);
+});
+
+router.post('/logout', tokenAuth, (req, res, next) => {
+  revokeSession(req.authInfo, req.body.refreshToken)
+    .then(() => {
+      res.sendStatus(204);
+    })
+    .catch(next);
 });
 
-router.post('/refresh', tokenAuth, (req, res) => {
-  const authToken = createAuthToken(req.user);
-  res.json({ authToken });
+router.post('/logout-all', tokenAuth, (req, res, next) => {
+  revokeAllSessions(req.authInfo)
+    .then(() => {
+      res.sendStatus(204);
+    })
+    .catch(next);
 });
 
 module.exports = router;
@@ -0,0 +1,25 @@
+'use strict';
+
+const express = require('express');
+
+const tokenAuth = require('../auth/tokenAuth');
+const { createBackup } = require('../lib/backup');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+/* ========== GET/BACK UP THE WHOLE NOTEBOOK ========== */
+router.get('/', (req, res, next) => {
+  const { id: userId } = req.user;
+  const now = new Date();
+
+  createBackup(userId, now)
+    .then((backup) => {
+      res
+        .attachment(`noteful-backup-${now.toISOString().slice(0, 10)}.json`)
+        .json(backup);
+    })
+    .catch(next);
+});
+
+module.exports = router;
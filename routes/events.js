@@ -0,0 +1,44 @@
+'use strict';
+
+const express = require('express');
+
+const events = require('../lib/events');
+const tokenAuth = require('../auth/tokenAuth');
+
+// Comments sent on an otherwise idle stream, so proxies keep it open
+const HEARTBEAT_MS = 30 * 1000;
+// Longest delay `setTimeout` supports
+const MAX_TIMEOUT_MS = 2147483647;
+
+const router = express.Router();
+router.use(tokenAuth);
+
+/* ========== GET/STREAM CHANGES AS SERVER-SENT EVENTS ========== */
+router.get('/', (req, res) => {
+  const { id: userId } = req.user;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const unsubscribe = events.subscribe(userId, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  // The stream is only authenticated when it is opened, so it ends when the
+  // access token expires and the client reconnects with a new one
+  const expiresIn = req.authInfo.exp * 1000 - Date.now();
+  const expiry = setTimeout(() => res.end(), Math.min(expiresIn, MAX_TIMEOUT_MS));
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const AdmZip = require('adm-zip');
+const express = require('express');
+
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Tag = require('../models/tag');
+const tokenAuth = require('../auth/tokenAuth');
+const { itemPaths } = require('../lib/hierarchy');
+const { safeFileName, toMarkdown, uniqueName } = require('../lib/markdown');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+const FORMATS = ['markdown'];
+
+// Map every folder id to its directory in the archive, e.g. `Work/Projects/`.
+// Sibling folders whose names only differ by characters which aren't allowed
+// in file names are told apart by a number.
+function folderDirectories(folders) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const directories = new Map();
+  const takenByParent = new Map();
+
+  function directoryOf(folder) {
+    if (directories.has(folder.id)) {
+      return directories.get(folder.id);
+    }
+
+    const parent = folder.parentId && byId.get(folder.parentId.toString());
+    const parentDirectory = parent ? directoryOf(parent) : '';
+    if (!takenByParent.has(parentDirectory)) {
+      takenByParent.set(parentDirectory, new Set());
+    }
+
+    const name = uniqueName(
+      safeFileName(folder.name),
+      takenByParent.get(parentDirectory),
+    );
+    const directory = `${parentDirectory}${name}/`;
+    directories.set(folder.id, directory);
+    return directory;
+  }
+
+  folders.forEach(directoryOf);
+  return directories;
+}
+
+/* ========== GET/EXPORT THE WHOLE NOTEBOOK ========== */
+router.get('/', (req, res, next) => {
+  const { format = 'markdown' } = req.query;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!FORMATS.includes(format)) {
+    const err = new Error(`The \`format\` must be one of: ${FORMATS.join(', ')}`);
+    err.status = 400;
+    return next(err);
+  }
+
+  Promise.all([
+    Note.find({ userId, deletedAt: null }).sort('title'),
+    Folder.find({ userId, deletedAt: null }).sort('name'),
+    Tag.find({ userId, deletedAt: null }),
+  ])
+    .then(([notes, folders, tags]) => {
+      const zip = new AdmZip();
+      const directories = folderDirectories(folders);
+      // Nested tags are written as their path, e.g. `work/clients`
+      const tagNames = itemPaths(tags);
+      const takenByDirectory = new Map();
+
+      // Empty folders are kept as directory entries
+      directories.forEach((directory) => {
+        zip.addFile(directory, Buffer.alloc(0));
+      });
+
+      notes.forEach((note) => {
+        const folderId = note.folderId && note.folderId.toString();
+        const directory = directories.get(folderId) || '';
+        if (!takenByDirectory.has(directory)) {
+          takenByDirectory.set(directory, new Set());
+        }
+
+        const fileName = uniqueName(
+          safeFileName(note.title),
+          takenByDirectory.get(directory),
+          '.md',
+        );
+        const names = note.tags
+          .map(tagId => tagNames.get(tagId.toString()))
+          .filter(Boolean);
+        zip.addFile(`${directory}${fileName}`, Buffer.from(toMarkdown(note, names)));
+      });
+
+      res
+        .attachment('noteful-export.zip')
+        .type('application/zip')
+        .send(zip.toBuffer());
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -6,26 +6,75 @@ const express = require('express');
 const mongoose = require('mongoose');
 
 const Folder = require('../models/folder');
-const Note = require('../models/note');
+const events = require('../lib/events');
 const tokenAuth = require('../auth/tokenAuth');
+const trash = require('../lib/trash');
+const {
+  buildTree, createsCycle, loadItems, validateParent,
+} = require('../lib/hierarchy');
+const { paginate, validatePage } = require('../lib/pagination');
+const { noteCounts, withCounts } = require('../lib/stats');
+const {
+  reorder, sortObject, validateReorder, validateSort,
+} = require('../lib/sorting');
 
 const router = express.Router();
 router.use(tokenAuth);
 
+const SORT_KEYS = ['name', 'createdAt', 'updatedAt', 'manual'];
+
+const validateParentFolder = validateParent(Folder);
+
 /* ========== GET/READ ALL ITEMS ========== */
-router.get('/', (req, res, next) => {
+router.get('/', validatePage, validateSort(SORT_KEYS, 'name'), (req, res, next) => {
+  const { tree } = req.query;
   const { id: userId } = req.user;
 
-  Folder.find({ userId })
-    .sort('name')
-    .then((results) => {
-      res.json(results);
+  // `withCounts` adds the `noteCount` of each folder
+  const counts = req.query.withCounts === 'true'
+    ? noteCounts(userId, 'folderId')
+    : Promise.resolve(null);
+  const format = (items, noteCountsById) => (noteCountsById
+    ? withCounts(items, noteCountsById)
+    : items);
+
+  // The nested view always contains every folder
+  if (tree === 'true') {
+    return Promise.all([loadItems(Folder, userId, sortObject(req.sort)), counts])
+      .then(([results, noteCountsById]) => {
+        res.json(format(buildTree(results), noteCountsById));
+      })
+      .catch(next);
+  }
+
+  const query = Folder.find({ userId, deletedAt: null }).sort(sortObject(req.sort));
+  Promise.all([req.page ? paginate(query, req.sort, req.page) : query, counts])
+    .then(([results, noteCountsById]) => {
+      if (req.page) {
+        res.json(Object.assign(results, {
+          results: format(results.results, noteCountsById),
+        }));
+      } else {
+        res.json(format(results, noteCountsById));
+      }
     })
     .catch((err) => {
       next(err);
     });
 });
 
+/* ========== PUT/SET THE MANUAL ORDER ========== */
+router.put('/order', validateReorder, (req, res, next) => {
+  const { ids } = req.body;
+  const { id: userId } = req.user;
+
+  reorder(Folder, { userId, deletedAt: null }, ids)
+    .then((ordered) => {
+      res.json({ ids: ordered });
+    })
+    .catch(next);
+});
+
 /* ========== GET/READ A SINGLE ITEM ========== */
 router.get('/:id', (req, res, next) => {
   const { id } = req.params;
@@ -38,7 +87,7 @@ router.get('/:id', (req, res, next) => {
     return next(err);
   }
 
-  Folder.findOne({ _id: id, userId })
+  Folder.findOne({ _id: id, userId, deletedAt: null })
     .then((result) => {
       if (result) {
         res.json(result);
@@ -52,11 +101,14 @@ router.get('/:id', (req, res, next) => {
 });
 
 /* ========== POST/CREATE AN ITEM ========== */
-router.post('/', (req, res, next) => {
-  const { name } = req.body;
+router.post('/', validateParentFolder, (req, res, next) => {
+  const { name, parentId } = req.body;
   const { id: userId } = req.user;
 
   const newFolder = { name, userId };
+  if (parentId) {
+    newFolder.parentId = parentId;
+  }
 
   /** *** Never trust users - validate input **** */
   if (!name) {
@@ -73,6 +125,7 @@ router.post('/', (req, res, next) => {
 
   Folder.create(newFolder)
     .then((result) => {
+      events.publish(userId, 'folder', 'created', result);
       res
         .location(`${req.originalUrl}/${result.id}`)
         .status(201)
@@ -88,7 +141,7 @@ router.post('/', (req, res, next) => {
 });
 
 /* ========== PUT/UPDATE A SINGLE ITEM ========== */
-router.put('/:id', (req, res, next) => {
+router.put('/:id', validateParentFolder, (req, res, next) => {
   const { id } = req.params;
   const { name } = req.body;
   const { id: userId } = req.user;
@@ -114,9 +167,30 @@ router.put('/:id', (req, res, next) => {
 
   const updateFolder = { name, userId };
 
-  Folder.findOneAndUpdate({ _id: id, userId }, updateFolder, { new: true })
+  // Moving a folder brings its whole subtree along with it
+  const { parentId } = req.body;
+  if ('parentId' in req.body) {
+    if (parentId) {
+      updateFolder.parentId = parentId;
+    } else {
+      updateFolder.$unset = { parentId: 1 };
+    }
+  }
+
+  createsCycle(Folder, userId, id, parentId)
+    .then((cycle) => {
+      if (cycle) {
+        const err = new Error('Cannot move a folder inside itself');
+        err.status = 422;
+        return Promise.reject(err);
+      }
+
+      const filter = { _id: id, userId, deletedAt: null };
+      return Folder.findOneAndUpdate(filter, updateFolder, { new: true });
+    })
     .then((result) => {
       if (result) {
+        events.publish(userId, 'folder', 'updated', result);
         res.json(result);
       } else {
         next();
@@ -134,6 +208,7 @@ router.put('/:id', (req, res, next) => {
 /* ========== DELETE/REMOVE A SINGLE ITEM ========== */
 router.delete('/:id', (req, res, next) => {
   const { id } = req.params;
+  const { children = 'reparent' } = req.query;
   const { id: userId } = req.user;
 
   /** *** Never trust users - validate input **** */
@@ -143,14 +218,14 @@ router.delete('/:id', (req, res, next) => {
     return next(err);
   }
 
-  Folder.findOneAndDelete({ _id: id, userId })
-    .then((deleted) => {
-      if (!deleted) {
-        return;
-      }
+  if (children !== 'reparent' && children !== 'cascade') {
+    const err = new Error('The `children` option must be `reparent` or `cascade`');
+    err.status = 400;
+    return next(err);
+  }
 
-      return Note.updateMany({ folderId: id }, { $unset: { folderId: '' } });
-    })
+  Folder.findOne({ _id: id, userId, deletedAt: null })
+    .then(folder => folder && trash.trashFolder(folder, children, new Date()))
     .then(() => {
       res.sendStatus(204);
     })
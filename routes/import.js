@@ -0,0 +1,221 @@
+/* eslint-disable consistent-return, no-param-reassign */
+
+'use strict';
+
+const AdmZip = require('adm-zip');
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Tag = require('../models/tag');
+const events = require('../lib/events');
+const tokenAuth = require('../auth/tokenAuth');
+const { fromMarkdown } = require('../lib/markdown');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+const MAX_ARCHIVE_SIZE = 10 * 1024 * 1024;
+// Archives compress well, so the size of their content is limited separately
+const MAX_CONTENT_SIZE = 50 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARCHIVE_SIZE, files: 1 },
+}).single('file');
+
+function receiveArchive(req, res, next) {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    }
+    next(err);
+  });
+}
+
+// Split an entry name into its directories and file name, ignoring anything
+// which would point outside of the archive
+function pathParts(entryName) {
+  return entryName
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..');
+}
+
+function asTagNames(tags) {
+  if (tags === undefined || tags === null) {
+    return [];
+  }
+  return (Array.isArray(tags) ? tags : [tags])
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+}
+
+function validDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+}
+
+/**
+ * Import the Markdown files of an archive as new notes of `userId`. Folders
+ * and tags are matched by name, and created when they don't exist yet.
+ */
+function importArchive(entries, userId) {
+  const folderIds = new Map();
+  const tagIds = new Map();
+
+  // Nested folders or tags, matched by their path one level at a time
+  function idFor(Model, ids, names) {
+    if (!names.length) {
+      return Promise.resolve(undefined);
+    }
+
+    const key = names.join('/');
+    if (!ids.has(key)) {
+      const name = names[names.length - 1];
+      ids.set(
+        key,
+        idFor(Model, ids, names.slice(0, -1)).then((parentId) => {
+          const filter = {
+            name,
+            userId,
+            parentId: parentId || null,
+            deletedAt: null,
+          };
+          return Model.findOne(filter).then(
+            item => item || Model.create({ name, userId, parentId }),
+          );
+        }).then(item => item._id),
+      );
+    }
+    return ids.get(key);
+  }
+
+  // Directories are nested folders
+  const folderIdFor = directories => idFor(Folder, folderIds, directories);
+
+  // Tags are written as their path, e.g. `work/clients`
+  const tagIdFor = path => idFor(Tag, tagIds, path
+    .split('/')
+    .map(name => name.trim())
+    .filter(Boolean));
+
+  function importFile(entry, parts) {
+    const file = parts.join('/');
+    let parsed;
+    try {
+      parsed = fromMarkdown(entry.getData().toString('utf8'));
+    } catch (e) {
+      return Promise.resolve({
+        file,
+        status: 'error',
+        message: 'The front matter is not valid YAML',
+      });
+    }
+
+    const { attributes, content } = parsed;
+    const fileName = parts[parts.length - 1];
+    const title = String(attributes.title || fileName.replace(/\.md$/i, ''));
+
+    // Importing the same export twice must not duplicate its notes
+    const { id } = attributes;
+    const existing = mongoose.Types.ObjectId.isValid(id)
+      ? Note.findOne({ _id: id, userId, deletedAt: null })
+      : Promise.resolve(null);
+
+    return existing.then((note) => {
+      if (note) {
+        return {
+          file,
+          status: 'conflict',
+          id: note.id,
+          message: 'A note with this `id` already exists',
+        };
+      }
+
+      return Promise.all([
+        folderIdFor(parts.slice(0, -1)),
+        Promise.all(asTagNames(attributes.tags).map(tagIdFor)),
+      ])
+        .then(([folderId, tags]) => Note.create({
+          title,
+          content,
+          folderId,
+          tags: tags.filter(Boolean),
+          userId,
+          createdAt: validDate(attributes.createdAt),
+        }))
+        .then(created => ({ file, status: 'created', id: created.id }));
+    });
+  }
+
+  // One file at a time, so that the folders and tags they share are only
+  // created once
+  return entries.reduce((previous, entry) => previous.then((results) => {
+    const parts = pathParts(entry.entryName);
+    if (!parts.length || parts[0] === '__MACOSX') {
+      return results;
+    }
+
+    if (entry.isDirectory) {
+      return folderIdFor(parts).then(() => results);
+    }
+
+    if (!/\.md$/i.test(parts[parts.length - 1])) {
+      return results.concat({
+        file: parts.join('/'),
+        status: 'error',
+        message: 'Only Markdown (`.md`) files can be imported',
+      });
+    }
+
+    return importFile(entry, parts).then(result => results.concat(result));
+  }), Promise.resolve([]));
+}
+
+/* ========== POST/IMPORT AN ARCHIVE OF MARKDOWN FILES ========== */
+router.post('/', receiveArchive, (req, res, next) => {
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!req.file) {
+    const err = new Error('Missing `file` in request body');
+    err.status = 400;
+    return next(err);
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(req.file.buffer).getEntries();
+  } catch (e) {
+    const err = new Error('The `file` is not a valid zip archive');
+    err.status = 400;
+    return next(err);
+  }
+
+  const contentSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (contentSize > MAX_CONTENT_SIZE) {
+    const err = new Error('The content of the archive is too large');
+    err.status = 413;
+    return next(err);
+  }
+
+  importArchive(entries, userId)
+    .then((files) => {
+      const count = status => files.filter(file => file.status === status).length;
+      const summary = {
+        created: count('created'),
+        conflicts: count('conflict'),
+        errors: count('error'),
+      };
+      // Too much may have changed to tell about each item, so sessions load
+      // the whole notebook again
+      events.publish(userId, 'notebook', 'imported', summary);
+      res.json(Object.assign(summary, { files }));
+    })
+    .catch(next);
+});
+
+module.exports = router;
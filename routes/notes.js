@@ -7,23 +7,50 @@ const mongoose = require('mongoose');
 
 const Folder = require('../models/folder');
 const Note = require('../models/note');
+const Revision = require('../models/revision');
+const SavedSearch = require('../models/savedSearch');
 const Tag = require('../models/tag');
+const Template = require('../models/template');
+const User = require('../models/user');
+const { descendantIds } = require('../lib/hierarchy');
+const { escapeRegExp, highlight, parseSearch } = require('../lib/search');
+const { merge3 } = require('../lib/merge');
+const { placeholderValues, render } = require('../lib/templates');
+const {
+  validateFolderOwnership, validateObjectIds, validateTagOwnership,
+} = require('../lib/ownership');
+const { publishNote } = require('../lib/events');
+const {
+  etag, ifMatches, matchedVersion, nextVersion, preconditionFailed, sameVersion,
+} = require('../lib/versioning');
+const { paginate, validatePage } = require('../lib/pagination');
+const { queryFilter, validateQuery } = require('../lib/query');
+const {
+  NOTE_SORT_KEYS, reorder, sortObject, validateReorder, validateSort,
+} = require('../lib/sorting');
+const attachmentsRouter = require('./attachments');
+const publishRouter = require('./publish');
+const revisionsRouter = require('./revisions');
+const sharesRouter = require('./shares');
 const tokenAuth = require('../auth/tokenAuth');
 
 const router = express.Router();
 router.use(tokenAuth);
+router.use('/:id/revisions', revisionsRouter);
+router.use('/:id/shares', sharesRouter);
+router.use('/:id/publish', publishRouter);
+router.use('/:id/attachments', attachmentsRouter);
 
-function validateObjectIds(req, res, next) {
-  const { folderId, tags } = req.body;
+// Flags which are only ever `true` or unset, see `models/note.js`
+const NOTE_FLAGS = ['pinned', 'favorite'];
 
-  if (folderId && !mongoose.Types.ObjectId.isValid(folderId)) {
-    const err = new Error('The `folderId` is invalid');
-    err.status = 400;
-    return next(err);
-  }
+function validateFlags(req, res, next) {
+  const invalid = NOTE_FLAGS.find(
+    flag => flag in req.body && typeof req.body[flag] !== 'boolean',
+  );
 
-  if (tags && tags.some(tag => !mongoose.Types.ObjectId.isValid(tag))) {
-    const err = new Error('The `tags` array contains an invalid id');
+  if (invalid) {
+    const err = new Error(`The \`${invalid}\` must be a boolean`);
     err.status = 400;
     return next(err);
   }
@@ -31,77 +58,161 @@ function validateObjectIds(req, res, next) {
   next();
 }
 
-function validateFolderOwnership(req, res, next) {
-  const { folderId } = req.body;
+// Parameters of a saved search which apply unless the request has its own
+const SAVED_PARAMS = ['search', 'searchTerm', 'q', 'sort', 'folderId'];
+
+/**
+ * Middleware running the saved search `savedSearchId`, if any, by filling in
+ * the query parameters it was saved with. Its tags are kept in
+ * `req.savedSearch` for the handler.
+ */
+function applySavedSearch(req, res, next) {
+  const { savedSearchId } = req.query;
   const { id: userId } = req.user;
 
-  if (!folderId) {
+  if (!savedSearchId) {
     return next();
   }
 
-  Folder.findOne({ _id: folderId, userId }).then((folder) => {
-    if (!folder) {
-      const err = new Error('The `folderId` does not exist');
-      err.status = 422;
-      return next(err);
-    }
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(savedSearchId)) {
+    const err = new Error('The `savedSearchId` is not valid');
+    err.status = 400;
+    return next(err);
+  }
 
-    next();
-  });
+  SavedSearch.findOne({ _id: savedSearchId, userId })
+    .then((savedSearch) => {
+      if (!savedSearch) {
+        const err = new Error('The `savedSearchId` does not exist');
+        err.status = 422;
+        return next(err);
+      }
+
+      SAVED_PARAMS.forEach((param) => {
+        if (savedSearch[param] && !req.query[param]) {
+          req.query[param] = String(savedSearch[param]);
+        }
+      });
+      if (savedSearch.recursive && !req.query.recursive) {
+        req.query.recursive = 'true';
+      }
+
+      req.savedSearch = savedSearch;
+      next();
+    })
+    .catch(next);
 }
 
-function validateTagOwnership(req, res, next) {
-  const { tags } = req.body;
-  const { id: userId } = req.user;
+/* ========== GET/READ ALL ITEMS ========== */
+router.get(
+  '/',
+  validatePage,
+  applySavedSearch,
+  validateSort(NOTE_SORT_KEYS, '-updatedAt'),
+  validateQuery,
+  (req, res, next) => {
+    const {
+      search, searchTerm, folderId, tagId, recursive, shared, favorite,
+    } = req.query;
+    const { id: userId } = req.user;
 
-  if (!tags) {
-    return next();
-  }
+    // `shared` lists the notes other users have shared with me instead of my own
+    const filter = shared === 'true'
+      ? { 'shares.userId': userId, deletedAt: null }
+      : { userId, deletedAt: null };
 
-  Tag.find({ _id: { $in: tags }, userId }).then((results) => {
-    const ownedTagIds = results.map(tag => tag.id.toString());
-    const badIds = tags.filter(tag => !ownedTagIds.includes(tag));
-    if (badIds.length) {
-      const err = new Error(
-        `The following tag ids don't exist: [${badIds.join(', ')}]`,
-      );
-      err.status = 422;
-      return next(err);
+    if (searchTerm) {
+      const re = new RegExp(escapeRegExp(searchTerm), 'i');
+      filter.$or = [{ title: re }, { content: re }];
     }
 
-    next();
-  });
-}
+    if (search) {
+      filter.$text = { $search: search };
+    }
 
-/* ========== GET/READ ALL ITEMS ========== */
-router.get('/', (req, res, next) => {
-  const { searchTerm, folderId, tagId } = req.query;
-  const { id: userId } = req.user;
+    if (favorite === 'true') {
+      filter.favorite = true;
+    } else if (favorite === 'false') {
+      filter.favorite = { $ne: true };
+    }
+
+    // `recursive` also includes the notes filed in any descendant folder, or
+    // tagged with any descendant tag
+    const withDescendants = (Model, id) => (id && recursive === 'true'
+      ? descendantIds(Model, userId, id).then(ids => ({ $in: [id].concat(ids) }))
+      : Promise.resolve(id));
+
+    // Full-text searches are ranked by relevance, unless sorted otherwise, and
+    // get a highlighted snippet
+    const parsed = search && parseSearch(search);
+    const ranked = search && !req.query.sort;
+    const format = search
+      ? note => Object.assign(note.toJSON(), {
+        score: note.get('score'),
+        snippet: highlight(note.content, parsed),
+      })
+      : note => note;
+
+    Promise.all([
+      withDescendants(Folder, folderId),
+      withDescendants(Tag, tagId),
+      req.noteQuery ? queryFilter(userId, req.noteQuery) : null,
+    ])
+      .then(([folderCondition, tagCondition, queryCondition]) => {
+        if (folderCondition) {
+          filter.folderId = folderCondition;
+        }
 
-  const filter = { userId };
+        if (tagCondition) {
+          filter.tags = tagCondition;
+        }
 
-  if (searchTerm) {
-    const re = new RegExp(searchTerm, 'i');
-    filter.$or = [{ title: re }, { content: re }];
-  }
+        // The structured query `q` and the tags of a saved search apply on
+        // top of everything else
+        const conditions = [];
+        if (queryCondition) {
+          conditions.push(queryCondition);
+        }
+        if (req.savedSearch && req.savedSearch.tags.length) {
+          conditions.push({ tags: { $all: req.savedSearch.tags } });
+        }
+        if (conditions.length) {
+          filter.$and = conditions;
+        }
 
-  if (folderId) {
-    filter.folderId = folderId;
-  }
+        // Pinned notes always come first
+        const score = { $meta: 'textScore' };
+        const sort = [['pinned', -1]].concat(req.sort);
+        const query = search ? Note.find(filter, { score }) : Note.find(filter);
+        query.sort(ranked ? { pinned: -1, score, updatedAt: -1 } : sortObject(sort));
 
-  if (tagId) {
-    filter.tags = tagId;
-  }
+        query.populate('tags');
+        return req.page ? paginate(query, ranked ? null : sort, req.page) : query;
+      })
+      .then((results) => {
+        if (req.page) {
+          res.json(Object.assign(results, { results: results.results.map(format) }));
+        } else {
+          res.json(results.map(format));
+        }
+      })
+      .catch((err) => {
+        next(err);
+      });
+  },
+);
 
-  Note.find(filter)
-    .populate('tags')
-    .sort({ updatedAt: 'desc' })
-    .then((results) => {
-      res.json(results);
+/* ========== PUT/SET THE MANUAL ORDER ========== */
+router.put('/order', validateReorder, (req, res, next) => {
+  const { ids } = req.body;
+  const { id: userId } = req.user;
+
+  reorder(Note, { userId, deletedAt: null }, ids)
+    .then((ordered) => {
+      res.json({ ids: ordered });
     })
-    .catch((err) => {
-      next(err);
-    });
+    .catch(next);
 });
 
 /* ========== GET/READ A SINGLE ITEM ========== */
@@ -116,11 +227,12 @@ router.get('/:id', (req, res, next) => {
     return next(err);
   }
 
-  Note.findOne({ _id: id, userId })
+  const filter = Object.assign({ _id: id, deletedAt: null }, Note.accessibleBy(userId));
+  Note.findOne(filter)
     .populate('tags')
     .then((result) => {
       if (result) {
-        res.json(result);
+        res.set('ETag', etag(result)).json(result);
       } else {
         next();
       }
@@ -130,10 +242,66 @@ router.get('/:id', (req, res, next) => {
     });
 });
 
+/**
+ * Middleware starting the new note from the template `fromTemplate`, if any.
+ * Its rendered title and content, folder and tags apply unless the body has
+ * its own, and are then validated like the rest of the body.
+ */
+function applyTemplate(req, res, next) {
+  const { fromTemplate } = req.query;
+  const { id: userId } = req.user;
+
+  if (!fromTemplate) {
+    return next();
+  }
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(fromTemplate)) {
+    const err = new Error('The `fromTemplate` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  // The token's copy of the user may be older than the last change of name
+  Promise.all([
+    Template.findOne({ _id: fromTemplate, userId }),
+    User.findById(userId),
+  ])
+    .then(([template, found]) => {
+      if (!template) {
+        const err = new Error('The `fromTemplate` does not exist');
+        err.status = 422;
+        return next(err);
+      }
+
+      const { body } = req;
+      const user = found || req.user;
+      const now = new Date();
+      if (!body.title && template.title) {
+        body.title = render(template.title, placeholderValues(user, '', now));
+      }
+      if (!body.content && template.content) {
+        const values = placeholderValues(user, body.title || '', now);
+        body.content = render(template.content, values);
+      }
+      if (!body.folderId && template.folderId) {
+        body.folderId = template.folderId.toString();
+      }
+      if (!body.tags && template.tags.length) {
+        body.tags = template.tags.map(String);
+      }
+
+      next();
+    })
+    .catch(next);
+}
+
 /* ========== POST/CREATE AN ITEM ========== */
 router.post(
   '/',
+  applyTemplate,
   validateObjectIds,
+  validateFlags,
   validateFolderOwnership,
   validateTagOwnership,
   (req, res, next) => {
@@ -160,6 +328,11 @@ router.post(
     if (newNote.folderId === '') {
       delete newNote.folderId;
     }
+    NOTE_FLAGS.forEach((flag) => {
+      if (req.body[flag]) {
+        newNote[flag] = true;
+      }
+    });
 
     if (req.body.userId && req.body.userId !== userId) {
       const err = new Error('Cannot create a note on behalf of another user');
@@ -169,8 +342,10 @@ router.post(
 
     Note.create(newNote)
       .then((result) => {
+        publishNote('created', result);
         res
-          .location(`${req.originalUrl}/${result.id}`)
+          .location(`${req.baseUrl}/${result.id}`)
+          .set('ETag', etag(result))
           .status(201)
           .json(result);
       })
@@ -180,10 +355,182 @@ router.post(
   },
 );
 
+const BULK_ACTIONS = ['move', 'addTags', 'removeTags', 'delete', 'restore'];
+const MAX_BULK_IDS = 500;
+
+function validateBulk(req, res, next) {
+  const {
+    action, ids, folderId, tags,
+  } = req.body;
+
+  /** *** Never trust users - validate input **** */
+  let err;
+  if (!BULK_ACTIONS.includes(action)) {
+    err = new Error(`The \`action\` must be one of: ${BULK_ACTIONS.join(', ')}`);
+  } else if (!Array.isArray(ids) || !ids.length) {
+    err = new Error('The `ids` must be a non-empty array');
+  } else if (ids.length > MAX_BULK_IDS) {
+    err = new Error(`The \`ids\` must not contain more than ${MAX_BULK_IDS} ids`);
+  } else if (tags !== undefined && !Array.isArray(tags)) {
+    err = new Error('The `tags` must be an array');
+  } else if (folderId && typeof folderId !== 'string') {
+    err = new Error('The `folderId` must be a string');
+  } else if (action === 'move' && folderId === undefined) {
+    err = new Error('Missing `folderId` in request body');
+  } else if (['addTags', 'removeTags'].includes(action)) {
+    if (!Array.isArray(tags) || !tags.length) {
+      err = new Error('The `tags` must be a non-empty array');
+    }
+  }
+
+  if (err) {
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+// The conditions a note has to meet for each bulk action, and the update
+// applied to the notes which do
+function bulkUpdate(action, { folderId, tags }, now) {
+  const $inc = { version: 1 };
+  switch (action) {
+    case 'move':
+      return {
+        filter: { deletedAt: null },
+        update: folderId ? { folderId, $inc } : { $unset: { folderId: 1 }, $inc },
+      };
+    case 'addTags':
+      return {
+        filter: { deletedAt: null },
+        update: { $addToSet: { tags: { $each: tags } }, $inc },
+      };
+    case 'removeTags':
+      return {
+        filter: { deletedAt: null },
+        update: { $pull: { tags: { $in: tags } }, $inc },
+      };
+    case 'delete':
+      return { filter: { deletedAt: null }, update: { deletedAt: now } };
+    default:
+      return {
+        filter: { deletedAt: { $ne: null } },
+        update: { $unset: { deletedAt: 1 } },
+      };
+  }
+}
+
+/* ========== POST/UPDATE MANY ITEMS AT ONCE ========== */
+router.post(
+  '/bulk',
+  validateBulk,
+  validateObjectIds,
+  validateFolderOwnership,
+  validateTagOwnership,
+  (req, res, next) => {
+    const { action, ids } = req.body;
+    const { id: userId } = req.user;
+    const { filter, update } = bulkUpdate(action, req.body, new Date());
+
+    // Unlike for a single note, a bad id only fails that id, not the request
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    Note.find(Object.assign({ _id: { $in: validIds }, userId }, filter))
+      .then((notes) => {
+        // Moving and tagging change a note, so its previous state is kept
+        const snapshots = ['move', 'addTags', 'removeTags'].includes(action)
+          ? Promise.all(notes.map(note => Revision.snapshot(note)))
+          : Promise.resolve();
+
+        // `$inc` would set a missing `version` to the 1 such notes count as
+        const noteIds = notes.map(note => note._id);
+        return snapshots
+          .then(() => update.$inc && Note.updateMany(
+            { _id: { $in: noteIds }, version: null },
+            { version: 1 },
+          ))
+          .then(() => Note.updateMany({ _id: { $in: noteIds } }, update))
+          .then(() => (action === 'delete'
+            ? notes
+            : Note.find({ _id: { $in: noteIds } })))
+          .then((changed) => {
+            changed.forEach((note) => {
+              publishNote(action === 'delete' ? 'deleted' : 'updated', note);
+            });
+            return new Set(notes.map(note => note.id));
+          });
+      })
+      .then((updated) => {
+        const results = ids.map((id) => {
+          if (updated.has(String(id))) {
+            return { id, status: 'ok' };
+          }
+          if (!mongoose.Types.ObjectId.isValid(id)) {
+            return { id, status: 'error', message: 'The `id` is not valid' };
+          }
+          return { id, status: 'error', message: 'Not Found' };
+        });
+
+        const succeeded = results.filter(result => result.status === 'ok').length;
+        res.json({
+          action,
+          succeeded,
+          failed: results.length - succeeded,
+          results,
+        });
+      })
+      .catch(next);
+  },
+);
+
 /* ========== PUT/UPDATE A SINGLE ITEM ========== */
+/**
+ * Rebase an update made to an outdated copy of `note` onto its current state.
+ * The `content` is merged line by line with the changes saved since the copy
+ * was loaded, found through the revision kept of that version. Rejects with a
+ * 412 when there is nothing to merge, and with a 409 including the merged
+ * content and its conflict markers when the changes overlap.
+ */
+function mergeUpdate(note, ifMatch, toUpdate) {
+  const version = matchedVersion(ifMatch);
+  if (!version || !('content' in toUpdate)) {
+    return Promise.reject(preconditionFailed(note));
+  }
+
+  return Revision.findOne({ noteId: note._id, version }).then((base) => {
+    if (!base) {
+      return Promise.reject(preconditionFailed(note));
+    }
+
+    const { text, conflicts } = merge3(base.content, toUpdate.content, note.content, {
+      mine: 'yours',
+      theirs: 'saved',
+    });
+
+    if (conflicts) {
+      const err = new Error(
+        'The changes conflict with changes saved since the note was loaded',
+      );
+      err.status = 409;
+      err.current = note;
+      err.merged = text;
+      return Promise.reject(err);
+    }
+
+    // An unchanged title must not undo a title saved in the meantime
+    const merged = Object.assign({}, toUpdate, { content: text });
+    if (merged.title === base.title) {
+      delete merged.title;
+    }
+    return merged;
+  });
+}
+
 router.put(
   '/:id',
   validateObjectIds,
+  validateFlags,
   validateFolderOwnership,
   validateTagOwnership,
   (req, res, next) => {
@@ -191,7 +538,8 @@ router.put(
     const { id: userId } = req.user;
 
     const toUpdate = {};
-    const updateableFields = ['title', 'content', 'folderId', 'tags', 'userId'];
+    const updateableFields = ['title', 'content', 'folderId', 'tags', 'userId']
+      .concat(NOTE_FLAGS);
 
     updateableFields.forEach((field) => {
       if (field in req.body) {
@@ -223,15 +571,88 @@ router.put(
       toUpdate.$unset = { folderId: 1 };
     }
 
-    Note.findOneAndUpdate({ _id: id, userId }, toUpdate, { new: true })
+    NOTE_FLAGS.forEach((flag) => {
+      if (toUpdate[flag] === false) {
+        delete toUpdate[flag];
+        toUpdate.$unset = Object.assign({}, toUpdate.$unset, { [flag]: 1 });
+      }
+    });
+
+    // Only the owner can file or tag a note, collaborators edit its text
+    const { folderId, tags } = req.body;
+    const ifMatch = req.get('If-Match');
+    const refilesNote = Boolean(folderId) || Boolean(tags && tags.length);
+    const filter = Object.assign(
+      { _id: id, deletedAt: null },
+      Note.accessibleBy(userId, 'write'),
+    );
+
+    Note.findOne(filter)
+      .then((note) => {
+        if (!note) {
+          return null;
+        }
+
+        if (note.userId.toString() !== userId) {
+          if (refilesNote) {
+            const err = new Error(
+              'Only the owner can change the folder or tags of a note',
+            );
+            err.status = 403;
+            return Promise.reject(err);
+          }
+
+          ['folderId', 'tags', 'userId', '$unset']
+            .concat(NOTE_FLAGS)
+            .forEach((field) => {
+              delete toUpdate[field];
+            });
+        }
+
+        const update = ifMatches(ifMatch, note)
+          ? Promise.resolve(toUpdate)
+          : mergeUpdate(note, ifMatch, toUpdate);
+
+        // Fetch the pre-update state atomically so it can be kept as a revision.
+        // Conditional updates also fail if the note changed since it was read.
+        return update.then((changes) => {
+          const current = Object.assign(
+            { _id: id, deletedAt: null },
+            ifMatch ? sameVersion(note) : {},
+          );
+          return Note.findOneAndUpdate(
+            current,
+            Object.assign({}, changes, nextVersion(note)),
+          );
+        }).then((previous) => {
+          if (previous || !ifMatch) {
+            return previous;
+          }
+
+          return Note.findOne({ _id: id, deletedAt: null }).then(
+            latest => latest && Promise.reject(preconditionFailed(latest)),
+          );
+        });
+      })
+      .then((previous) => {
+        if (!previous) {
+          return null;
+        }
+
+        return Revision.snapshot(previous).then(() => Note.findById(id));
+      })
       .then((result) => {
         if (result) {
-          res.json(result);
+          publishNote('updated', result);
+          res.set('ETag', etag(result)).json(result);
         } else {
           next();
         }
       })
       .catch((err) => {
+        if (err.status === 409 || err.status === 412) {
+          res.set('ETag', etag(err.current));
+        }
         next(err);
       });
   },
@@ -249,11 +670,44 @@ router.delete('/:id', (req, res, next) => {
     return next(err);
   }
 
-  Note.findOneAndDelete({ _id: id, userId })
+  const ifMatch = req.get('If-Match');
+  const filter = { _id: id, userId, deletedAt: null };
+
+  // Conditional deletes must not remove a note which changed since it was read
+  const conditions = ifMatch
+    ? Note.findOne(filter).then((note) => {
+      if (note && !ifMatches(ifMatch, note)) {
+        return Promise.reject(preconditionFailed(note));
+      }
+      return note ? sameVersion(note) : {};
+    })
+    : Promise.resolve({});
+
+  // Deleted notes are moved to the trash, see `routes/trash.js`
+  conditions
+    .then(versionFilter => Note.findOneAndUpdate(
+      Object.assign({}, filter, versionFilter),
+      { deletedAt: new Date() },
+    ))
+    .then((deleted) => {
+      if (deleted) {
+        publishNote('deleted', deleted);
+      }
+      if (deleted || !ifMatch) {
+        return;
+      }
+
+      return Note.findOne(filter).then(
+        latest => latest && Promise.reject(preconditionFailed(latest)),
+      );
+    })
     .then(() => {
       res.sendStatus(204);
     })
     .catch((err) => {
+      if (err.status === 412) {
+        res.set('ETag', etag(err.current));
+      }
       next(err);
     });
 });
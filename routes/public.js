@@ -0,0 +1,82 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+
+const Note = require('../models/note');
+const PublicLink = require('../models/publicLink');
+const { escapeHtml } = require('../lib/search');
+
+// Not guarded by `tokenAuth`: anyone who has the token of a published note can
+// read it, but nothing else.
+const router = express.Router();
+
+function renderHtml(note) {
+  const title = escapeHtml(note.title);
+  const paragraphs = (note.content || '')
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${title}</title>
+</head>
+<body>
+  <article>
+    <h1>${title}</h1>
+    ${paragraphs.join('\n    ')}
+  </article>
+</body>
+</html>
+`;
+}
+
+/* ========== GET/READ A PUBLISHED NOTE ========== */
+router.get('/notes/:token', (req, res, next) => {
+  const { token } = req.params;
+
+  PublicLink.findOne({ token })
+    .then((link) => {
+      if (!link) {
+        return next();
+      }
+
+      if (link.isExpired()) {
+        const err = new Error('This link has expired');
+        err.status = 410;
+        return Promise.reject(err);
+      }
+
+      return Note.findOne({ _id: link.noteId, deletedAt: null }).then((note) => {
+        if (!note) {
+          return next();
+        }
+
+        // Only expose the text of the note, not how its owner has organised it
+        const { id, title, content } = note;
+        res.format({
+          json: () => {
+            res.json({
+              id,
+              title,
+              content,
+              updatedAt: note.updatedAt,
+              expiresAt: link.expiresAt,
+            });
+          },
+          html: () => {
+            res.send(renderHtml(note));
+          },
+        });
+      });
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Note = require('../models/note');
+const PublicLink = require('../models/publicLink');
+
+// Mounted below `/api/notes/:id`, so `req.params.id` is the note id
+const router = express.Router({ mergeParams: true });
+
+function validateParams(req, res, next) {
+  const { id } = req.params;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+function serializeLink(req, link) {
+  return Object.assign(link.toJSON(), {
+    url: `${req.protocol}://${req.get('host')}/public/notes/${link.token}`,
+  });
+}
+
+/* ========== GET/READ THE PUBLIC LINK OF A NOTE ========== */
+router.get('/', validateParams, (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  PublicLink.findOne({ noteId: id, userId })
+    .then((link) => {
+      if (link) {
+        res.json(serializeLink(req, link));
+      } else {
+        next();
+      }
+    })
+    .catch(next);
+});
+
+/* ========== POST/PUBLISH A NOTE ========== */
+router.post('/', validateParams, (req, res, next) => {
+  const { id } = req.params;
+  const { expiresAt } = req.body;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime())) {
+      const err = new Error('The `expiresAt` is not a valid date');
+      err.status = 400;
+      return next(err);
+    }
+
+    if (expiry <= new Date()) {
+      const err = new Error('The `expiresAt` must be in the future');
+      err.status = 400;
+      return next(err);
+    }
+  }
+
+  // Only the owner may publish a note, so it is looked up by `userId`
+  Promise.all([
+    Note.findOne({ _id: id, userId, deletedAt: null }),
+    PublicLink.findOne({ noteId: id }),
+  ])
+    .then(([note, existing]) => {
+      if (!note) {
+        return next();
+      }
+
+      // Publishing again keeps the link, only its expiry date changes
+      let save;
+      if (existing) {
+        existing.set('expiresAt', expiry || undefined);
+        save = existing.save();
+      } else {
+        save = PublicLink.create({
+          token: PublicLink.generateToken(),
+          noteId: id,
+          userId,
+          expiresAt: expiry || undefined,
+        });
+      }
+
+      return save.then((link) => {
+        res
+          .location(req.originalUrl)
+          .status(existing ? 200 : 201)
+          .json(serializeLink(req, link));
+      });
+    })
+    .catch(next);
+});
+
+/* ========== DELETE/REVOKE THE PUBLIC LINK OF A NOTE ========== */
+router.delete('/', validateParams, (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  PublicLink.findOneAndDelete({ noteId: id, userId })
+    .then((link) => {
+      if (link) {
+        res.sendStatus(204);
+      } else {
+        next();
+      }
+    })
+    .catch(next);
+});
+
+module.exports = router;
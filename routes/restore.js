@@ -0,0 +1,36 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+
+const events = require('../lib/events');
+const tokenAuth = require('../auth/tokenAuth');
+const { MODES, restoreBackup } = require('../lib/backup');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+/* ========== POST/RESTORE A BACKUP ========== */
+// The body is a document from `GET /api/backup`
+router.post('/', (req, res, next) => {
+  const { mode } = req.query;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!MODES.includes(mode)) {
+    const err = new Error(`The \`mode\` must be one of: ${MODES.join(', ')}`);
+    err.status = 400;
+    return next(err);
+  }
+
+  restoreBackup(userId, req.body, mode)
+    .then((result) => {
+      // Sessions load the whole notebook again, see `routes/import.js`
+      events.publish(userId, 'notebook', 'restored', result);
+      res.json(result);
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Revision = require('../models/revision');
+const Tag = require('../models/tag');
+const { publishNote } = require('../lib/events');
+const { nextVersion } = require('../lib/versioning');
+
+// Mounted below `/api/notes/:id`, so `req.params.id` is the note id
+const router = express.Router({ mergeParams: true });
+
+function validateParams(req, res, next) {
+  const { id, rev } = req.params;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  if (rev !== undefined && !/^[1-9]\d*$/.test(rev)) {
+    const err = new Error('The `rev` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+// Collaborators the note is shared with can see its history, writers can also
+// restore it
+function findNote(id, userId, permission) {
+  return Note.findOne(
+    Object.assign({ _id: id, deletedAt: null }, Note.accessibleBy(userId, permission)),
+  );
+}
+
+/* ========== GET/READ ALL REVISIONS OF A NOTE ========== */
+router.get('/', validateParams, (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  findNote(id, userId)
+    .then((note) => {
+      if (!note) {
+        return next();
+      }
+
+      return Revision.find({ noteId: id })
+        .sort({ rev: 'desc' })
+        .then((results) => {
+          res.json(results);
+        });
+    })
+    .catch(next);
+});
+
+/* ========== GET/READ A SINGLE REVISION ========== */
+router.get('/:rev', validateParams, (req, res, next) => {
+  const { id, rev } = req.params;
+  const { id: userId } = req.user;
+
+  Promise.all([
+    findNote(id, userId),
+    Revision.findOne({ noteId: id, rev }),
+  ])
+    .then(([note, result]) => {
+      if (note && result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(next);
+});
+
+/* ========== POST/RESTORE A NOTE TO A REVISION ========== */
+router.post('/:rev/restore', validateParams, (req, res, next) => {
+  const { id, rev } = req.params;
+  const { id: userId } = req.user;
+
+  Promise.all([
+    findNote(id, userId, 'write'),
+    Revision.findOne({ noteId: id, rev }),
+  ])
+    .then(([note, revision]) => {
+      if (!note || !revision) {
+        return next();
+      }
+
+      // The folder or some tags may have been deleted since the snapshot was
+      // taken, so only restore the references which still resolve. They belong
+      // to the owner of the note, and only the owner may change them: for
+      // collaborators only the text is restored, as with `PUT /api/notes/:id`.
+      const owner = note.userId;
+      const refiles = owner.toString() === userId;
+      return Promise.all([
+        refiles && revision.folderId
+          ? Folder.findOne({ _id: revision.folderId, userId: owner, deletedAt: null })
+          : null,
+        refiles
+          ? Tag.find({ _id: { $in: revision.tags }, userId: owner, deletedAt: null })
+          : null,
+        Revision.snapshot(note),
+      ]).then(([folder, tags]) => {
+        const toUpdate = Object.assign({
+          title: revision.title,
+          content: revision.content,
+        }, nextVersion(note));
+
+        if (refiles) {
+          toUpdate.tags = tags.map(tag => tag._id);
+          if (folder) {
+            toUpdate.folderId = folder._id;
+          } else {
+            toUpdate.$unset = { folderId: 1 };
+          }
+        }
+
+        if (revision.content === undefined) {
+          delete toUpdate.content;
+          toUpdate.$unset = Object.assign({}, toUpdate.$unset, { content: 1 });
+        }
+
+        const filter = { _id: id, deletedAt: null };
+        return Note.findOneAndUpdate(filter, toUpdate, { new: true });
+      }).then((result) => {
+        if (result) {
+          publishNote('updated', result);
+          res.json(result);
+        } else {
+          next();
+        }
+      });
+    })
+    .catch(next);
+});
+
+module.exports = router;
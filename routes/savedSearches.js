@@ -0,0 +1,146 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const SavedSearch = require('../models/savedSearch');
+const events = require('../lib/events');
+const tokenAuth = require('../auth/tokenAuth');
+const { parseQuery } = require('../lib/query');
+const { NOTE_SORT_KEYS, checkSort } = require('../lib/sorting');
+const { documentOf, duplicateName, validateBody } = require('../lib/namedItems');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+const LABEL = 'saved search';
+const TEXT_FIELDS = ['search', 'searchTerm', 'q', 'sort'];
+const FIELDS = TEXT_FIELDS.concat('folderId', 'recursive');
+
+// The search itself, which `routes/notes.js` runs the same way as the
+// parameters of `GET /api/notes`
+function checkSearch({ q, sort, recursive }) {
+  if (recursive !== undefined && typeof recursive !== 'boolean') {
+    const err = new Error('The `recursive` must be a boolean');
+    err.status = 400;
+    throw err;
+  }
+  if (q) {
+    parseQuery(q);
+  }
+  if (sort) {
+    checkSort(NOTE_SORT_KEYS, sort);
+  }
+}
+
+const validateSearch = validateBody(LABEL, TEXT_FIELDS, checkSearch);
+
+/* ========== GET/READ ALL ITEMS ========== */
+router.get('/', (req, res, next) => {
+  const { id: userId } = req.user;
+
+  SavedSearch.find({ userId })
+    .sort('name')
+    .then((results) => {
+      res.json(results);
+    })
+    .catch(next);
+});
+
+/* ========== GET/READ A SINGLE ITEM ========== */
+router.get('/:id', (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  SavedSearch.findOne({ _id: id, userId })
+    .then((result) => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(next);
+});
+
+/* ========== POST/CREATE AN ITEM ========== */
+router.post('/', validateSearch, (req, res, next) => {
+  const { id: userId } = req.user;
+  const { doc: search } = documentOf(req.body, userId, FIELDS);
+
+  SavedSearch.create(search)
+    .then((result) => {
+      events.publish(userId, 'savedSearch', 'created', result);
+      res
+        .location(`${req.originalUrl}/${result.id}`)
+        .status(201)
+        .json(result);
+    })
+    .catch((err) => {
+      next(duplicateName(LABEL, err));
+    });
+});
+
+/* ========== PUT/UPDATE A SINGLE ITEM ========== */
+router.put('/:id', validateSearch, (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  const { doc: search, unset } = documentOf(req.body, userId, FIELDS);
+  const update = Object.keys(unset).length
+    ? Object.assign({ $unset: unset }, search)
+    : search;
+
+  SavedSearch.findOneAndUpdate({ _id: id, userId }, update, { new: true })
+    .then((result) => {
+      if (result) {
+        events.publish(userId, 'savedSearch', 'updated', result);
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch((err) => {
+      next(duplicateName(LABEL, err));
+    });
+});
+
+/* ========== DELETE/REMOVE A SINGLE ITEM ========== */
+router.delete('/:id', (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  SavedSearch.findOneAndDelete({ _id: id, userId })
+    .then((result) => {
+      if (result) {
+        events.publish(userId, 'savedSearch', 'deleted', result);
+      }
+      res.sendStatus(204);
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Note = require('../models/note');
+const User = require('../models/user');
+
+// Mounted below `/api/notes/:id`, so `req.params.id` is the note id
+const router = express.Router({ mergeParams: true });
+
+function validateParams(req, res, next) {
+  const { id, userId } = req.params;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  if (userId !== undefined && !mongoose.Types.ObjectId.isValid(userId)) {
+    const err = new Error('The `userId` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+// Shares are listed with the username of each recipient rather than just
+// their id, as usernames are what owners share by
+function serializeShares(note) {
+  const shares = note.shares || [];
+  return User.find({ _id: { $in: shares.map(share => share.userId) } })
+    .select('username fullname')
+    .then((users) => {
+      const byId = new Map(users.map(user => [user.id, user]));
+      return shares.map((share) => {
+        const user = byId.get(share.userId.toString()) || {};
+        return {
+          userId: share.userId,
+          username: user.username,
+          fullname: user.fullname,
+          permission: share.permission,
+        };
+      });
+    });
+}
+
+/* ========== GET/READ ALL SHARES OF A NOTE ========== */
+router.get('/', validateParams, (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  Note.findOne({ _id: id, userId, deletedAt: null })
+    .then((note) => {
+      if (!note) {
+        return next();
+      }
+
+      return serializeShares(note).then((results) => {
+        res.json(results);
+      });
+    })
+    .catch(next);
+});
+
+/* ========== POST/GRANT ACCESS TO ANOTHER USER ========== */
+router.post('/', validateParams, (req, res, next) => {
+  const { id } = req.params;
+  const { username, permission } = req.body;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!username) {
+    const err = new Error('Missing `username` in request body');
+    err.status = 400;
+    return next(err);
+  }
+
+  if (!Note.PERMISSIONS.includes(permission)) {
+    const err = new Error(
+      `The \`permission\` must be one of: ${Note.PERMISSIONS.join(', ')}`,
+    );
+    err.status = 400;
+    return next(err);
+  }
+
+  // Only the owner may share a note, so it is looked up by `userId`
+  Promise.all([
+    Note.findOne({ _id: id, userId, deletedAt: null }),
+    User.findOne({ username }),
+  ])
+    .then(([note, recipient]) => {
+      if (!note) {
+        return next();
+      }
+
+      if (!recipient) {
+        const err = new Error('The `username` does not exist');
+        err.status = 422;
+        return Promise.reject(err);
+      }
+
+      if (recipient.id === userId) {
+        const err = new Error('Cannot share a note with yourself');
+        err.status = 422;
+        return Promise.reject(err);
+      }
+
+      // Sharing again with the same user changes their permission
+      const shares = note.shares || [];
+      const existing = shares.find(share => share.userId.equals(recipient._id));
+      if (existing) {
+        existing.permission = permission;
+      } else {
+        note.set('shares', shares.concat({ userId: recipient._id, permission }));
+      }
+
+      return note.save().then(() => {
+        res
+          .location(`${req.originalUrl}/${recipient.id}`)
+          .status(existing ? 200 : 201)
+          .json({
+            userId: recipient.id,
+            username: recipient.username,
+            fullname: recipient.fullname,
+            permission,
+          });
+      });
+    })
+    .catch(next);
+});
+
+/* ========== DELETE/REVOKE A SHARE ========== */
+router.delete('/:userId', validateParams, (req, res, next) => {
+  const { id, userId: recipientId } = req.params;
+  const { id: userId } = req.user;
+
+  // Owners can revoke anyone's access, recipients can only give up their own
+  const filter = { _id: id, deletedAt: null };
+  if (recipientId !== userId) {
+    filter.userId = userId;
+  }
+
+  Note.findOneAndUpdate(filter, { $pull: { shares: { userId: recipientId } } })
+    .then((note) => {
+      const shares = (note && note.shares) || [];
+      if (shares.some(share => share.userId.equals(recipientId))) {
+        res.sendStatus(204);
+      } else {
+        next();
+      }
+    })
+    .catch(next);
+});
+
+module.exports = router;
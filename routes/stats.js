@@ -0,0 +1,34 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+
+const stats = require('../lib/stats');
+const tokenAuth = require('../auth/tokenAuth');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+const MAX_DAYS = 365;
+
+/* ========== GET/READ THE STATISTICS OF THE NOTEBOOK ========== */
+router.get('/', (req, res, next) => {
+  const { days = '30' } = req.query;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!/^[1-9]\d*$/.test(days) || Number(days) > MAX_DAYS) {
+    const err = new Error(`The \`days\` must be an integer between 1 and ${MAX_DAYS}`);
+    err.status = 400;
+    return next(err);
+  }
+
+  stats.summarize(userId, Number(days))
+    .then((result) => {
+      res.json(result);
+    })
+    .catch(next);
+});
+
+module.exports = router;
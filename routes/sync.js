@@ -0,0 +1,65 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+
+const sync = require('../lib/sync');
+const tokenAuth = require('../auth/tokenAuth');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+/* ========== GET/READ THE CHANGES SINCE A SYNC TOKEN ========== */
+router.get('/', (req, res, next) => {
+  const { since } = req.query;
+  const { id: userId } = req.user;
+
+  (since ? sync.decodeToken(since) : Promise.resolve(null))
+    .then(date => sync.changesSince(userId, date))
+    .then((result) => {
+      res.json(result);
+    })
+    .catch(next);
+});
+
+/* ========== POST/APPLY A BATCH OF CLIENT CHANGES ========== */
+router.post('/', (req, res, next) => {
+  const { changes } = req.body;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!Array.isArray(changes) || !changes.length) {
+    const err = new Error('The `changes` must be a non-empty array');
+    err.status = 400;
+    return next(err);
+  }
+
+  if (changes.length > sync.MAX_CHANGES) {
+    const err = new Error(
+      `The \`changes\` must not contain more than ${sync.MAX_CHANGES} changes`,
+    );
+    err.status = 400;
+    return next(err);
+  }
+
+  if (changes.some(change => !change || typeof change !== 'object')) {
+    const err = new Error('The `changes` must be objects');
+    err.status = 400;
+    return next(err);
+  }
+
+  sync.applyChanges(userId, changes)
+    .then((results) => {
+      const count = status => results.filter(result => result.status === status).length;
+      res.json({
+        succeeded: count('ok'),
+        conflicts: count('conflict'),
+        failed: count('error'),
+        results,
+      });
+    })
+    .catch(next);
+});
+
+module.exports = router;
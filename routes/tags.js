@@ -5,27 +5,143 @@
 const express = require('express');
 const mongoose = require('mongoose');
 
-const Tag = require('../models/tag');
 const Note = require('../models/note');
+const Revision = require('../models/revision');
+const Tag = require('../models/tag');
+const Tombstone = require('../models/tombstone');
+const events = require('../lib/events');
+const references = require('../lib/references');
 const tokenAuth = require('../auth/tokenAuth');
+const trash = require('../lib/trash');
+const {
+  buildTree, createsCycle, loadItems, validateParent,
+} = require('../lib/hierarchy');
+const { paginate, validatePage } = require('../lib/pagination');
+const { noteCounts, withCounts } = require('../lib/stats');
+const {
+  reorder, sortObject, validateReorder, validateSort,
+} = require('../lib/sorting');
 
 const router = express.Router();
 router.use(tokenAuth);
 
+const SORT_KEYS = ['name', 'createdAt', 'updatedAt', 'manual'];
+
+const validateParentTag = validateParent(Tag);
+
+/**
+ * Fold `source` into `target`: every note, saved search and template tagged
+ * with `source` gets `target` instead, without duplicates, and the child tags
+ * of `source` move under `target`. `source` is then removed for good. Retagged
+ * notes get a new version and a revision of their previous state, like any
+ * other change.
+ * Resolves to the number of notes retagged.
+ */
+function mergeTags(source, target) {
+  const { userId } = source;
+  let notes;
+  let noteIds;
+
+  return Note.find({ tags: source._id, userId })
+    .then((results) => {
+      notes = results;
+      noteIds = notes.map(note => note._id);
+      return Tag.find({ parentId: source._id, userId, deletedAt: null });
+    })
+    .then(children => Tag.countDocuments({
+      name: { $in: children.map(child => child.name) },
+      parentId: target._id,
+      userId,
+      deletedAt: null,
+    }))
+    .then((conflicts) => {
+      if (conflicts) {
+        const err = new Error('Tag name already exists');
+        err.status = 400;
+        return Promise.reject(err);
+      }
+
+      return Promise.all(notes.map(note => Revision.snapshot(note)));
+    })
+    // `$inc` would set a missing `version` to the 1 such notes count as
+    .then(() => Note.updateMany(
+      { _id: { $in: noteIds }, version: null },
+      { version: 1 },
+    ))
+    .then(() => Promise.all([
+      Note.updateMany(
+        { _id: { $in: noteIds } },
+        { $addToSet: { tags: target._id }, $inc: { version: 1 } },
+      ),
+      Tag.updateMany(
+        { parentId: source._id, userId, deletedAt: null },
+        { parentId: target._id },
+      ),
+    ]))
+    .then(() => Promise.all([
+      Note.updateMany({ _id: { $in: noteIds } }, { $pull: { tags: source._id } }),
+      references.replaceTag(userId, source._id, target._id),
+      Tag.deleteOne({ _id: source._id }),
+      Tombstone.record('tags', [source]),
+    ]))
+    .then(() => Note.find({ _id: { $in: noteIds } }))
+    .then((retagged) => {
+      retagged.forEach(note => events.publishNote('updated', note));
+      events.publish(userId, 'tag', 'deleted', source);
+      return retagged.length;
+    });
+}
+
 /* ========== GET/READ ALL ITEMS ========== */
-router.get('/', (req, res, next) => {
+router.get('/', validatePage, validateSort(SORT_KEYS, 'name'), (req, res, next) => {
+  const { tree } = req.query;
   const { id: userId } = req.user;
 
-  Tag.find({ userId })
-    .sort('name')
-    .then((results) => {
-      res.json(results);
+  // `withCounts` adds the `noteCount` of each tag
+  const counts = req.query.withCounts === 'true'
+    ? noteCounts(userId, 'tags')
+    : Promise.resolve(null);
+  const format = (items, noteCountsById) => (noteCountsById
+    ? withCounts(items, noteCountsById)
+    : items);
+
+  // The nested view always contains every tag
+  if (tree === 'true') {
+    return Promise.all([loadItems(Tag, userId, sortObject(req.sort)), counts])
+      .then(([results, noteCountsById]) => {
+        res.json(format(buildTree(results), noteCountsById));
+      })
+      .catch(next);
+  }
+
+  const query = Tag.find({ userId, deletedAt: null }).sort(sortObject(req.sort));
+  Promise.all([req.page ? paginate(query, req.sort, req.page) : query, counts])
+    .then(([results, noteCountsById]) => {
+      if (req.page) {
+        res.json(Object.assign(results, {
+          results: format(results.results, noteCountsById),
+        }));
+      } else {
+        res.json(format(results, noteCountsById));
+      }
     })
     .catch((err) => {
       next(err);
     });
 });
 
+/* ========== PUT/SET THE MANUAL ORDER ========== */
+router.put('/order', validateReorder, (req, res, next) => {
+  const { ids } = req.body;
+  const { id: userId } = req.user;
+
+  reorder(Tag, { userId, deletedAt: null }, ids)
+    .then((ordered) => {
+      res.json({ ids: ordered });
+    })
+    .catch(next);
+});
+
 /* ========== GET/READ A SINGLE ITEM ========== */
 router.get('/:id', (req, res, next) => {
   const { id } = req.params;
@@ -38,7 +154,7 @@ router.get('/:id', (req, res, next) => {
     return next(err);
   }
 
-  Tag.findOne({ _id: id, userId })
+  Tag.findOne({ _id: id, userId, deletedAt: null })
     .then((result) => {
       if (result) {
         res.json(result);
@@ -52,11 +168,14 @@ router.get('/:id', (req, res, next) => {
 });
 
 /* ========== POST/CREATE AN ITEM ========== */
-router.post('/', (req, res, next) => {
-  const { name } = req.body;
+router.post('/', validateParentTag, (req, res, next) => {
+  const { name, parentId } = req.body;
   const { id: userId } = req.user;
 
   const newTag = { name, userId };
+  if (parentId) {
+    newTag.parentId = parentId;
+  }
 
   /** *** Never trust users - validate input **** */
   if (!name) {
@@ -73,6 +192,7 @@ router.post('/', (req, res, next) => {
 
   Tag.create(newTag)
     .then((result) => {
+      events.publish(userId, 'tag', 'created', result);
       res
         .location(`${req.originalUrl}/${result.id}`)
         .status(201)
@@ -88,7 +208,7 @@ router.post('/', (req, res, next) => {
 });
 
 /* ========== PUT/UPDATE A SINGLE ITEM ========== */
-router.put('/:id', (req, res, next) => {
+router.put('/:id', validateParentTag, (req, res, next) => {
   const { id } = req.params;
   const { name } = req.body;
   const { id: userId } = req.user;
@@ -114,9 +234,30 @@ router.put('/:id', (req, res, next) => {
 
   const updateTag = { name, userId };
 
-  Tag.findOneAndUpdate({ _id: id, userId }, updateTag, { new: true })
+  // Moving a tag brings its whole subtree along with it
+  const { parentId } = req.body;
+  if ('parentId' in req.body) {
+    if (parentId) {
+      updateTag.parentId = parentId;
+    } else {
+      updateTag.$unset = { parentId: 1 };
+    }
+  }
+
+  createsCycle(Tag, userId, id, parentId)
+    .then((cycle) => {
+      if (cycle) {
+        const err = new Error('Cannot move a tag inside itself');
+        err.status = 422;
+        return Promise.reject(err);
+      }
+
+      const filter = { _id: id, userId, deletedAt: null };
+      return Tag.findOneAndUpdate(filter, updateTag, { new: true });
+    })
     .then((result) => {
       if (result) {
+        events.publish(userId, 'tag', 'updated', result);
         res.json(result);
       } else {
         next();
@@ -131,9 +272,10 @@ router.put('/:id', (req, res, next) => {
     });
 });
 
-/* ========== DELETE/REMOVE A SINGLE ITEM ========== */
-router.delete('/:id', (req, res, next) => {
+/* ========== POST/MERGE AN ITEM INTO ANOTHER ========== */
+router.post('/:id/merge', (req, res, next) => {
   const { id } = req.params;
+  const { targetId } = req.body;
   const { id: userId } = req.user;
 
   /** *** Never trust users - validate input **** */
@@ -143,14 +285,60 @@ router.delete('/:id', (req, res, next) => {
     return next(err);
   }
 
-  Tag.findOneAndDelete({ _id: id, userId })
-    .then((deleted) => {
-      if (!deleted) {
-        return;
+  if (!targetId) {
+    const err = new Error('Missing `targetId` in request body');
+    err.status = 400;
+    return next(err);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    const err = new Error('The `targetId` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  Promise.all([
+    Tag.findOne({ _id: id, userId, deletedAt: null }),
+    Tag.findOne({ _id: targetId, userId, deletedAt: null }),
+    createsCycle(Tag, userId, id, targetId),
+  ])
+    .then(([source, target, cycle]) => {
+      if (!source) {
+        return next();
+      }
+
+      if (!target) {
+        const err = new Error('The `targetId` does not exist');
+        err.status = 422;
+        return Promise.reject(err);
+      }
+
+      if (cycle) {
+        const err = new Error('Cannot merge a tag into itself or a tag inside it');
+        err.status = 422;
+        return Promise.reject(err);
       }
 
-      return Note.updateMany({ tags: id }, { $pull: { tags: id } });
+      return mergeTags(source, target).then((notes) => {
+        res.json({ tag: target, notes });
+      });
     })
+    .catch(next);
+});
+
+/* ========== DELETE/REMOVE A SINGLE ITEM ========== */
+router.delete('/:id', (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  trash.trashTag(id, userId, new Date())
     .then(() => res.sendStatus(204))
     .catch(next);
 });
@@ -0,0 +1,120 @@
+/* eslint-disable consistent-return */
+
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Template = require('../models/template');
+const tokenAuth = require('../auth/tokenAuth');
+const { documentOf, duplicateName, validateBody } = require('../lib/namedItems');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+const LABEL = 'template';
+const TEXT_FIELDS = ['title', 'content'];
+const FIELDS = TEXT_FIELDS.concat('folderId');
+
+const validateTemplate = validateBody(LABEL, TEXT_FIELDS);
+
+/* ========== GET/READ ALL ITEMS ========== */
+router.get('/', (req, res, next) => {
+  const { id: userId } = req.user;
+
+  Template.find({ userId })
+    .sort('name')
+    .then((results) => {
+      res.json(results);
+    })
+    .catch(next);
+});
+
+/* ========== GET/READ A SINGLE ITEM ========== */
+router.get('/:id', (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  Template.findOne({ _id: id, userId })
+    .then((result) => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(next);
+});
+
+/* ========== POST/CREATE AN ITEM ========== */
+router.post('/', validateTemplate, (req, res, next) => {
+  const { id: userId } = req.user;
+  const { doc: template } = documentOf(req.body, userId, FIELDS);
+
+  Template.create(template)
+    .then((result) => {
+      res
+        .location(`${req.originalUrl}/${result.id}`)
+        .status(201)
+        .json(result);
+    })
+    .catch((err) => {
+      next(duplicateName(LABEL, err));
+    });
+});
+
+/* ========== PUT/UPDATE A SINGLE ITEM ========== */
+router.put('/:id', validateTemplate, (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  const { doc: template, unset } = documentOf(req.body, userId, FIELDS);
+  const update = Object.keys(unset).length
+    ? Object.assign({ $unset: unset }, template)
+    : template;
+
+  Template.findOneAndUpdate({ _id: id, userId }, update, { new: true })
+    .then((result) => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch((err) => {
+      next(duplicateName(LABEL, err));
+    });
+});
+
+/* ========== DELETE/REMOVE A SINGLE ITEM ========== */
+router.delete('/:id', (req, res, next) => {
+  const { id } = req.params;
+  const { id: userId } = req.user;
+
+  /** *** Never trust users - validate input **** */
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  Template.deleteOne({ _id: id, userId })
+    .then(() => res.sendStatus(204))
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+/* eslint-disable consistent-return, no-param-reassign */
+
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const { TRASH_RETENTION_DAYS } = require('../config');
+const Note = require('../models/note');
+const events = require('../lib/events');
+const tokenAuth = require('../auth/tokenAuth');
+const trash = require('../lib/trash');
+
+const router = express.Router();
+router.use(tokenAuth);
+
+function validateParams(req, res, next) {
+  const { type, id } = req.params;
+
+  /** *** Never trust users - validate input **** */
+  if (!Object.prototype.hasOwnProperty.call(trash.models, type)) {
+    return next('route');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('The `id` is not valid');
+    err.status = 400;
+    return next(err);
+  }
+
+  next();
+}
+
+// Put back the note references that were removed when a folder or tag was
+// trashed, leaving alone any note which has since been filed elsewhere
+function reattachNotes(type, item) {
+  const { _id: id, userId, detachedNoteIds } = item;
+  if (type === 'notes' || !detachedNoteIds || !detachedNoteIds.length) {
+    return Promise.resolve();
+  }
+
+  if (type === 'folders') {
+    return Note.updateMany(
+      { _id: { $in: detachedNoteIds }, userId, folderId: null },
+      { folderId: id },
+    );
+  }
+
+  return Note.updateMany(
+    { _id: { $in: detachedNoteIds }, userId },
+    { $addToSet: { tags: id } },
+  );
+}
+
+/* ========== GET/READ ALL TRASHED ITEMS ========== */
+router.get('/', (req, res, next) => {
+  const { id: userId } = req.user;
+  const types = Object.keys(trash.models);
+
+  Promise.all(
+    types.map(type => trash.models[type]
+      .find({ userId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: 'desc' })),
+  )
+    .then((results) => {
+      const body = { retentionDays: TRASH_RETENTION_DAYS };
+      types.forEach((type, i) => {
+        body[type] = results[i];
+      });
+      res.json(body);
+    })
+    .catch(next);
+});
+
+/* ========== POST/RESTORE A TRASHED ITEM ========== */
+router.post('/:type/:id/restore', validateParams, (req, res, next) => {
+  const { type, id } = req.params;
+  const { id: userId } = req.user;
+  const Model = trash.models[type];
+
+  const update = { $unset: { deletedAt: 1, detachedNoteIds: 1 } };
+
+  Model.findOne({ _id: id, userId, deletedAt: { $ne: null } })
+    .then((item) => {
+      if (!item) {
+        return next();
+      }
+
+      // Folders whose parent is gone are restored at the top level
+      const parent = item.parentId
+        ? Model.findOne({ _id: item.parentId, userId, deletedAt: null })
+        : Promise.resolve(true);
+
+      return parent
+        .then((found) => {
+          if (!found) {
+            update.$unset.parentId = 1;
+          }
+          return Model.findByIdAndUpdate(id, update, { new: true });
+        })
+        .then(result => reattachNotes(type, item).then(() => {
+          if (type === 'notes') {
+            events.publishNote('created', result);
+          } else {
+            events.publish(userId, type.slice(0, -1), 'created', result);
+          }
+          res.json(result);
+        }));
+    })
+    .catch((err) => {
+      if (err.code === 11000) {
+        err = new Error('An item with the same name already exists');
+        err.status = 400;
+      }
+      next(err);
+    });
+});
+
+/* ========== DELETE/PURGE A SINGLE TRASHED ITEM ========== */
+router.delete('/:type/:id', validateParams, (req, res, next) => {
+  const { type, id } = req.params;
+  const { id: userId } = req.user;
+
+  trash
+    .purge(type, { _id: id, userId })
+    .then((count) => {
+      if (count) {
+        res.sendStatus(204);
+      } else {
+        next();
+      }
+    })
+    .catch(next);
+});
+
+/* ========== DELETE/EMPTY THE TRASH ========== */
+router.delete('/', (req, res, next) => {
+  const { id: userId } = req.user;
+
+  Promise.all(Object.keys(trash.models).map(type => trash.purge(type, { userId })))
+    .then(() => {
+      res.sendStatus(204);
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -2,10 +2,49 @@
 
 const express = require('express');
 
+const Folder = require('../models/folder');
+const LoginAttempt = require('../models/loginAttempt');
+const Note = require('../models/note');
+const PublicLink = require('../models/publicLink');
+const RefreshToken = require('../models/refreshToken');
+const Revision = require('../models/revision');
+const SavedSearch = require('../models/savedSearch');
+const Tag = require('../models/tag');
+const Template = require('../models/template');
+const Tombstone = require('../models/tombstone');
 const User = require('../models/user');
+const storage = require('../lib/storage');
+const { issueTokens, revokeAllSessions } = require('../auth/tokens');
+const tokenAuth = require('../auth/tokenAuth');
 
 const router = new express.Router();
 
+function invalidField(message) {
+  const err = new Error(message);
+  err.status = 422;
+  return err;
+}
+
+function checkUsername(username) {
+  if (username.length < 1) {
+    return invalidField('`username` must have a minimum length of 1');
+  }
+  if (username.trim() !== username) {
+    return invalidField('usernames must not have leading/trailing whitespace');
+  }
+  return null;
+}
+
+function checkPassword(password) {
+  if (password.length < 8 || password.length > 72) {
+    return invalidField('`password` must be between 8 and 72 characters long');
+  }
+  if (password.trim() !== password) {
+    return invalidField('passwords must not have leading/trailing whitespace');
+  }
+  return null;
+}
+
 function validateNewUser(req, res, next) {
   const { username, password } = req.body;
 
@@ -16,17 +55,8 @@ function validateNewUser(req, res, next) {
   } else if (!password) {
     err = new Error('Missing `password` field');
     err.status = 400;
-  } else if (username.length < 1) {
-    err = new Error('`username` must have a minimum length of 1');
-    err.status = 422;
-  } else if (password.length < 8 || password.length > 72) {
-    err = new Error('`password` must be between 8 and 72 characters long');
-    err.status = 422;
-  } else if (username.trim() !== username || password.trim() !== password) {
-    err = new Error(
-      'usernames and passwords must not have leading/trailing whitespace',
-    );
-    err.status = 422;
+  } else {
+    err = checkUsername(username) || checkPassword(password);
   }
 
   if (err) {
@@ -37,6 +67,64 @@ function validateNewUser(req, res, next) {
   next();
 }
 
+function translateDuplicateUsername(err) {
+  if (err.code === 11000 && err.name === 'MongoError') {
+    const returnable = new Error('The username already exists');
+    returnable.status = 400;
+    return Promise.reject(returnable);
+  }
+  return Promise.reject(err);
+}
+
+// Resolve to the signed in user if `password` is theirs. `field` names the
+// request body field the password was sent in.
+function verifyPassword(userId, password, field = 'password') {
+  return User.findById(userId).then((user) => {
+    if (!user) {
+      return null;
+    }
+
+    return user.validatePassword(String(password || '')).then((isValid) => {
+      if (!isValid) {
+        const err = new Error(`The \`${field}\` is incorrect`);
+        err.status = 422;
+        err.location = field;
+        return Promise.reject(err);
+      }
+      return user;
+    });
+  });
+}
+
+// Remove everything which belongs to a user, then the user themselves
+function removeUser(user) {
+  const userId = user._id;
+
+  let notes;
+  return Note.find({ userId })
+    .select('_id attachments')
+    .then((results) => {
+      notes = results;
+      const noteIds = notes.map(note => note._id);
+      return Promise.all([
+        Note.deleteMany({ userId }),
+        Revision.deleteMany({ noteId: { $in: noteIds } }),
+        PublicLink.deleteMany({ userId }),
+        Folder.deleteMany({ userId }),
+        Tag.deleteMany({ userId }),
+        SavedSearch.deleteMany({ userId }),
+        Template.deleteMany({ userId }),
+        Tombstone.deleteMany({ userId }),
+        RefreshToken.deleteMany({ userId }),
+        LoginAttempt.deleteMany({ key: `username:${user.username}` }),
+        // Notes other users shared with them
+        Note.updateMany({ 'shares.userId': userId }, { $pull: { shares: { userId } } }),
+      ]);
+    })
+    .then(() => storage.removeAttachments(notes))
+    .then(() => User.deleteOne({ _id: userId }));
+}
+
 router.post('/', validateNewUser, (req, res, next) => {
   const { username, password, fullname } = req.body;
 
@@ -48,13 +136,119 @@ router.post('/', validateNewUser, (req, res, next) => {
         .location(`${req.baseUrl}/${result._id}`)
         .json(result);
     })
-    .catch((err) => {
-      if (err.code === 11000 && err.name === 'MongoError') {
-        const returnable = new Error('The username already exists');
-        returnable.status = 400;
-        return Promise.reject(returnable);
+    .catch(translateDuplicateUsername)
+    .catch(next);
+});
+
+/* ========== GET/READ THE SIGNED IN USER ========== */
+router.get('/me', tokenAuth, (req, res, next) => {
+  User.findById(req.user.id)
+    .then((user) => {
+      if (user) {
+        res.json(user);
+      } else {
+        next();
       }
-      return Promise.reject(err);
+    })
+    .catch(next);
+});
+
+/* ========== PATCH/UPDATE THE SIGNED IN USER ========== */
+router.patch('/me', tokenAuth, (req, res, next) => {
+  const toUpdate = {};
+  ['username', 'fullname'].forEach((field) => {
+    if (field in req.body) {
+      toUpdate[field] = req.body[field];
+    }
+  });
+
+  /** *** Never trust users - validate input **** */
+  if ('username' in toUpdate) {
+    const err = typeof toUpdate.username === 'string'
+      ? checkUsername(toUpdate.username)
+      : invalidField('`username` must be a string');
+    if (err) {
+      next(err);
+      return;
+    }
+  }
+
+  User.findByIdAndUpdate(req.user.id, toUpdate, { new: true })
+    .then((user) => {
+      if (user) {
+        res.json(user);
+      } else {
+        next();
+      }
+    })
+    .catch(translateDuplicateUsername)
+    .catch(next);
+});
+
+/* ========== POST/CHANGE THE PASSWORD OF THE SIGNED IN USER ========== */
+router.post('/me/password', tokenAuth, (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  /** *** Never trust users - validate input **** */
+  let err;
+  if (!currentPassword) {
+    err = new Error('Missing `currentPassword` field');
+    err.status = 400;
+  } else if (!newPassword) {
+    err = new Error('Missing `newPassword` field');
+    err.status = 400;
+  } else {
+    err = checkPassword(newPassword);
+  }
+
+  if (err) {
+    next(err);
+    return;
+  }
+
+  verifyPassword(req.user.id, currentPassword, 'currentPassword')
+    .then((user) => {
+      if (!user) {
+        next();
+        return null;
+      }
+
+      // Log out every other session, this one gets a fresh pair of tokens
+      return User.hashPassword(newPassword)
+        .then(digest => User.updateOne({ _id: user._id }, { password: digest }))
+        .then(() => revokeAllSessions(req.authInfo))
+        .then(() => issueTokens(user.toObject()))
+        .then((tokens) => {
+          res.json(tokens);
+        });
+    })
+    .catch(next);
+});
+
+/* ========== DELETE/REMOVE THE SIGNED IN USER ========== */
+router.delete('/me', tokenAuth, (req, res, next) => {
+  const { password } = req.body;
+
+  /** *** Never trust users - validate input **** */
+  if (!password) {
+    const err = new Error('Missing `password` field');
+    err.status = 400;
+    next(err);
+    return;
+  }
+
+  verifyPassword(req.user.id, password)
+    .then((user) => {
+      if (!user) {
+        next();
+        return null;
+      }
+
+      return revokeAllSessions(req.authInfo)
+        .then(() => removeUser(user))
+        .then(() => {
+          res.sendStatus(204);
+        });
     })
     .catch(next);
 });
@@ -7,19 +7,35 @@ const morgan = require('morgan');
 const mongoose = require('mongoose');
 const passport = require('passport');
 
-const { PORT, MONGODB_URI } = require('./config');
+const { PORT, MONGODB_URI, TRUST_PROXY } = require('./config');
+const trash = require('./lib/trash');
+const { dropLegacyIndexes } = require('./lib/migrations');
 
 const authRouter = require('./routes/auth');
+const backupRouter = require('./routes/backup');
+const eventsRouter = require('./routes/events');
+const exportRouter = require('./routes/export');
+const importRouter = require('./routes/import');
 const notesRouter = require('./routes/notes');
 const foldersRouter = require('./routes/folders');
 const jwtStrategy = require('./auth/jwtStrategy');
 const localStrategy = require('./auth/localStrategy');
+const publicRouter = require('./routes/public');
+const restoreRouter = require('./routes/restore');
+const savedSearchesRouter = require('./routes/savedSearches');
+const statsRouter = require('./routes/stats');
+const syncRouter = require('./routes/sync');
 const tagsRouter = require('./routes/tags');
+const templatesRouter = require('./routes/templates');
+const trashRouter = require('./routes/trash');
 const usersRouter = require('./routes/users');
 
 // Create an Express application
 const app = express();
 
+// Which proxies may report the client's address, see `config.js`
+app.set('trust proxy', TRUST_PROXY);
+
 // Log all requests. Skip logging during
 app.use(
   morgan(process.env.NODE_ENV === 'production' ? 'common' : 'dev', {
@@ -34,15 +50,28 @@ passport.use(jwtStrategy);
 // Create a static webserver
 app.use(express.static('public'));
 
-// Parse request body
+// Parse request body. Backups are restored in one request, so they are allowed
+// to be larger than everything else.
+app.use('/api/restore', express.json({ limit: '20mb' }));
 app.use(express.json());
 
 // Mount routers
 app.use('/api/notes', notesRouter);
 app.use('/api/folders', foldersRouter);
 app.use('/api/tags', tagsRouter);
+app.use('/api/saved-searches', savedSearchesRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/export', exportRouter);
+app.use('/api/import', importRouter);
+app.use('/api/backup', backupRouter);
+app.use('/api/restore', restoreRouter);
 app.use('/api/users', usersRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/sync', syncRouter);
+app.use('/api/stats', statsRouter);
 app.use('/api', authRouter);
+app.use('/public', publicRouter);
 
 // Custom 404 Not Found route handler
 app.use((req, res, next) => {
@@ -76,6 +105,7 @@ if (require.main === module) {
     .then((instance) => {
       const conn = instance.connections[0];
       console.info(`Connected to: mongodb://${conn.host}:${conn.port}/${conn.name}`);
+      return dropLegacyIndexes();
     })
     .catch((err) => {
       console.error(err);
@@ -88,6 +118,13 @@ if (require.main === module) {
     .on('error', (err) => {
       console.error(err);
     });
+
+  // Periodically empty the trash of items older than the retention period
+  setInterval(() => {
+    trash.purgeExpired().catch((err) => {
+      console.error(err);
+    });
+  }, 60 * 60 * 1000);
 }
 
 module.exports = app; // Export for testing
@@ -0,0 +1,253 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+const app = require('../server');
+const Note = require('../models/note');
+const storage = require('../lib/storage');
+const trash = require('../lib/trash');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+const sandbox = sinon.createSandbox();
+
+function makeDir() {
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), 'noteful-'));
+}
+
+function removeDir(dir) {
+  return fs.promises.rm(dir, { recursive: true, force: true });
+}
+
+describe('Local attachment storage', function () {
+  let dir;
+  let local;
+
+  beforeEach(() => makeDir().then((tmp) => {
+    dir = tmp;
+    local = storage.localStorage(dir);
+  }));
+
+  afterEach(() => removeDir(dir));
+
+  it('should store and read back files', function () {
+    return local.put('user/file', Buffer.from('Hello'))
+      .then(() => local.get('user/file'))
+      .then(stream => new Promise((resolve) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      }))
+      .then((content) => {
+        expect(content).to.equal('Hello');
+      });
+  });
+
+  it('should reject missing files with a 404', function () {
+    return local.get('user/missing').then(
+      () => expect.fail('The file should not be found'),
+      (err) => {
+        expect(err.status).to.equal(404);
+      },
+    );
+  });
+
+  it('should ignore missing files when removing', function () {
+    return local.put('user/file', Buffer.from('Hello'))
+      .then(() => local.remove(['user/file', 'user/missing']))
+      .then(() => fs.promises.readdir(path.join(dir, 'user')))
+      .then((files) => {
+        expect(files).to.be.empty;
+      });
+  });
+});
+
+describe('Noteful API - Attachments', function () {
+  let dir;
+  let userId;
+  let bearerAuth;
+  let note;
+
+  before(() => utils.connectToDatabase()
+    .then(makeDir)
+    .then((tmp) => {
+      dir = tmp;
+      storage.use(storage.localStorage(dir));
+    }));
+
+  after(() => removeDir(dir).then(utils.disconnectFromDatabase));
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+      return Note.findOne({ userId });
+    })
+    .then((_note) => {
+      note = _note;
+    }));
+
+  afterEach(() => {
+    sandbox.restore();
+    return utils.cleanDatabase();
+  });
+
+  function upload(content, filename) {
+    return chai
+      .request(app)
+      .post(`/api/notes/${note.id}/attachments`)
+      .set('Authorization', bearerAuth)
+      .attach('file', Buffer.from(content), filename);
+  }
+
+  describe('POST /api/notes/:id/attachments', function () {
+    it('should store the file and list it on the note', function () {
+      let attachment;
+      return upload('Hello', 'hello.txt')
+        .then((res) => {
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          attachment = res.body;
+          expect(attachment).to.have.all.keys(
+            'id',
+            'filename',
+            'contentType',
+            'size',
+            'createdAt',
+          );
+          expect(attachment).to.include({
+            filename: 'hello.txt',
+            contentType: 'text/plain',
+            size: 5,
+          });
+          return chai
+            .request(app)
+            .get(`/api/notes/${note.id}`)
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          expect(res.body.attachments).to.deep.equal([attachment]);
+        });
+    });
+
+    it('should respond with a 400 without a file', function () {
+      return chai
+        .request(app)
+        .post(`/api/notes/${note.id}/attachments`)
+        .set('Authorization', bearerAuth)
+        .field('title', 'Not a file')
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('Missing `file` in request body');
+        });
+    });
+
+    it('should respond with a 413 when over the storage quota', function () {
+      sandbox.stub(Note, 'aggregate').resolves([{ size: 100 * 1024 * 1024 }]);
+
+      return upload('Hello', 'hello.txt').then((res) => {
+        expect(res).to.have.status(413);
+        expect(res.body.message).to.equal(
+          'The attachment would exceed the storage quota of 100 MB',
+        );
+      });
+    });
+
+    it("should respond with a 404 for another user's note", function () {
+      return Note.findOne({ userId: { $ne: userId } })
+        .then((other) => {
+          note = other;
+          return upload('Hello', 'hello.txt');
+        })
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+  });
+
+  describe('GET /api/notes/:id/attachments/:attachmentId', function () {
+    it('should download the file with its content type', function () {
+      return upload('# Notes', 'notes.md')
+        .then(res => chai
+          .request(app)
+          .get(`/api/notes/${note.id}/attachments/${res.body.id}`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('content-type', /^text\/markdown/);
+          expect(res).to.have.header('content-disposition', /notes\.md/);
+          expect(res.text).to.equal('# Notes');
+        });
+    });
+
+    it('should respond with a 404 for an attachment that does not exist', function () {
+      return chai
+        .request(app)
+        .get(`/api/notes/${note.id}/attachments/DOESNOTEXIST`)
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should respond with a 400 for an invalid attachment id', function () {
+      return chai
+        .request(app)
+        .get(`/api/notes/${note.id}/attachments/NOT-A-VALID-ID`)
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The `attachmentId` is not valid');
+        });
+    });
+  });
+
+  describe('Removing attachments', function () {
+    it('should remove the file of a deleted attachment', function () {
+      let attachment;
+      return upload('Hello', 'hello.txt')
+        .then((res) => {
+          attachment = res.body;
+          return chai
+            .request(app)
+            .delete(`/api/notes/${note.id}/attachments/${attachment.id}`)
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.attachments).to.be.empty;
+          return fs.promises.readdir(path.join(dir, userId));
+        })
+        .then((files) => {
+          expect(files).to.be.empty;
+        });
+    });
+
+    it('should keep the files of trashed notes until they are purged', function () {
+      return upload('Hello', 'hello.txt')
+        .then(() => chai
+          .request(app)
+          .delete(`/api/notes/${note.id}`)
+          .set('Authorization', bearerAuth))
+        .then(() => fs.promises.readdir(path.join(dir, userId)))
+        .then((files) => {
+          expect(files).to.have.length(1);
+          return trash.purge('notes', { _id: note.id });
+        })
+        .then(() => fs.promises.readdir(path.join(dir, userId)))
+        .then((files) => {
+          expect(files).to.be.empty;
+        });
+    });
+  });
+});
@@ -6,7 +6,7 @@ const jsonwebtoken = require('jsonwebtoken');
 
 const { JWT_SECRET } = require('../config');
 const server = require('../server');
-const tokens = require('../auth/tokens');
+const LoginAttempt = require('../models/loginAttempt');
 const User = require('../models/user');
 const utils = require('./utils');
 
@@ -41,7 +41,7 @@ describe('Authentication endpoints', () => {
           .then((res) => {
             expect(res).to.have.status(200);
             expect(res).to.be.json;
-            expect(res.body).to.include.all.keys('authToken');
+            expect(res.body).to.include.all.keys('authToken', 'refreshToken');
 
             let payload;
             expect(() => {
@@ -92,17 +92,203 @@ describe('Authentication endpoints', () => {
     });
   });
 
+  describe('POST /api/login throttling', () => {
+    const url = '/api/login';
+
+    it('should not reveal whether the username exists', function () {
+      return chai
+        .request(server)
+        .post(url)
+        .send({ username: 'brendan', password: 'haha' })
+        .then((unknownRes) => {
+          expect(unknownRes).to.have.status(401);
+          // Both failures come from the same address, which has to wait
+          return LoginAttempt.deleteMany().then(() => chai
+            .request(server)
+            .post(url)
+            .send({ username: user.username, password: 'haha' })
+            .then((wrongRes) => {
+              expect(wrongRes).to.have.status(401);
+              expect(wrongRes.body).to.deep.equal(unknownRes.body);
+            }));
+        });
+    });
+
+    it('should make clients wait before trying again after a failure', function () {
+      return chai
+        .request(server)
+        .post(url)
+        .send({ username: user.username, password: 'haha' })
+        .then(() => chai
+          .request(server)
+          .post(url)
+          .send(user))
+        .then((res) => {
+          expect(res).to.have.status(429);
+          expect(res).to.have.header('Retry-After', '1');
+        });
+    });
+
+    it('should lock the username out after too many failures', function () {
+      return LoginAttempt.create({
+        key: `username:${user.username}`,
+        failures: 5,
+        lastFailureAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      })
+        .then(() => chai
+          .request(server)
+          .post(url)
+          .send(user))
+        .then((res) => {
+          expect(res).to.have.status(429);
+          expect(Number(res.header['retry-after'])).to.be.above(60);
+        });
+    });
+
+    it('should reset the count of failures after logging in', function () {
+      return LoginAttempt.create({
+        key: `username:${user.username}`,
+        failures: 1,
+        lastFailureAt: new Date(Date.now() - 5000),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      })
+        .then(() => chai
+          .request(server)
+          .post(url)
+          .send(user))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return LoginAttempt.findOne({ key: `username:${user.username}` });
+        })
+        .then((attempt) => {
+          expect(attempt).to.be.null;
+        });
+    });
+  });
+
+  function login() {
+    return chai
+      .request(server)
+      .post('/api/login')
+      .send(user)
+      .then(res => res.body);
+  }
+
+  function refresh(refreshToken) {
+    return chai
+      .request(server)
+      .post('/api/refresh')
+      .send({ refreshToken });
+  }
+
   describe('POST /api/refresh', () => {
-    const requester = chai.request(server).post('/api/refresh');
-
-    it('should return a new, valid authToken', () => {
-      const authToken = tokens.createAuthToken(user);
-      requester.set('Authorization', `Bearer ${authToken}`).then((res) => {
-        expect(res.authToken).to.not.equal(authToken);
-        expect(() => jsonwebtoken.verify(res.body.authToken, JWT_SECRET, {
-          subject: user.username,
-        })).to.not.throw();
+    it('should return a new, valid authToken and refreshToken', function () {
+      let tokens;
+      return login()
+        .then((_tokens) => {
+          tokens = _tokens;
+          return refresh(tokens.refreshToken);
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.authToken).to.not.equal(tokens.authToken);
+          expect(res.body.refreshToken).to.not.equal(tokens.refreshToken);
+          expect(() => jsonwebtoken.verify(res.body.authToken, JWT_SECRET, {
+            subject: user.username,
+          })).to.not.throw();
+        });
+    });
+
+    it('should return 401 for an unknown refresh token', function () {
+      return refresh('not-a-real-token').then((res) => {
+        expect(res).to.have.status(401);
       });
     });
+
+    it('should revoke the whole family when a refresh token is reused', function () {
+      let first;
+      let second;
+      return login()
+        .then((tokens) => {
+          first = tokens;
+          return refresh(first.refreshToken);
+        })
+        .then((res) => {
+          second = res.body;
+          return refresh(first.refreshToken);
+        })
+        .then((res) => {
+          expect(res).to.have.status(401);
+          return Promise.all([
+            refresh(second.refreshToken),
+            chai
+              .request(server)
+              .get('/api/notes')
+              .set('Authorization', `Bearer ${second.authToken}`),
+          ]);
+        })
+        .then(([refreshRes, notesRes]) => {
+          expect(refreshRes).to.have.status(401);
+          expect(notesRes).to.have.status(401);
+        });
+    });
+  });
+
+  describe('POST /api/logout', () => {
+    it('should revoke the access and refresh tokens', function () {
+      let tokens;
+      return login()
+        .then((_tokens) => {
+          tokens = _tokens;
+          return chai
+            .request(server)
+            .post('/api/logout')
+            .set('Authorization', `Bearer ${tokens.authToken}`)
+            .send({ refreshToken: tokens.refreshToken });
+        })
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Promise.all([
+            refresh(tokens.refreshToken),
+            chai
+              .request(server)
+              .get('/api/notes')
+              .set('Authorization', `Bearer ${tokens.authToken}`),
+          ]);
+        })
+        .then(([refreshRes, notesRes]) => {
+          expect(refreshRes).to.have.status(401);
+          expect(notesRes).to.have.status(401);
+        });
+    });
+  });
+
+  describe('POST /api/logout-all', () => {
+    it('should revoke the tokens of every session', function () {
+      let sessions;
+      return Promise.all([login(), login()])
+        .then((_sessions) => {
+          sessions = _sessions;
+          return chai
+            .request(server)
+            .post('/api/logout-all')
+            .set('Authorization', `Bearer ${sessions[0].authToken}`);
+        })
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Promise.all([
+            refresh(sessions[1].refreshToken),
+            chai
+              .request(server)
+              .get('/api/notes')
+              .set('Authorization', `Bearer ${sessions[1].authToken}`),
+          ]);
+        })
+        .then(([refreshRes, notesRes]) => {
+          expect(refreshRes).to.have.status(401);
+          expect(notesRes).to.have.status(401);
+        });
+    });
   });
 });
@@ -0,0 +1,301 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const SavedSearch = require('../models/savedSearch');
+const Tag = require('../models/tag');
+const Template = require('../models/template');
+const events = require('../lib/events');
+const { inSequence } = require('../lib/backup');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+const sandbox = sinon.createSandbox();
+
+describe('Restore steps', function () {
+  it('should run one step at a time and resolve to their results', function () {
+    let running = 0;
+    let most = 0;
+    const step = value => () => {
+      running += 1;
+      most = Math.max(most, running);
+      return new Promise(resolve => setTimeout(() => {
+        running -= 1;
+        resolve(value);
+      }, 5));
+    };
+
+    return inSequence([step('a'), step('b'), step('c')]).then((results) => {
+      expect(results).to.deep.equal(['a', 'b', 'c']);
+      expect(most).to.equal(1);
+    });
+  });
+
+  it('should stop at the first step which fails', function () {
+    let ran = false;
+    return inSequence([
+      () => Promise.reject(new Error('Failed')),
+      () => {
+        ran = true;
+      },
+    ]).then(
+      () => expect.fail('The steps should fail'),
+      (err) => {
+        expect(err.message).to.equal('Failed');
+        expect(ran).to.be.false;
+      },
+    );
+  });
+});
+
+describe('Noteful API - Backup and restore', function () {
+  let userId;
+  let bearerAuth;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function backup() {
+    return chai
+      .request(app)
+      .get('/api/backup')
+      .set('Authorization', bearerAuth);
+  }
+
+  function restore(mode, body) {
+    return chai
+      .request(app)
+      .post(`/api/restore?mode=${mode}`)
+      .set('Authorization', bearerAuth)
+      .send(body);
+  }
+
+  function counts() {
+    const live = { userId, deletedAt: null };
+    return Promise.all([
+      Folder.countDocuments(live),
+      Tag.countDocuments(live),
+      Note.countDocuments(live),
+    ]);
+  }
+
+  describe('GET /api/backup', function () {
+    it('should return every folder, tag and note with ids and timestamps', function () {
+      return Promise.all([backup(), counts()]).then(([res, [folders, tags, notes]]) => {
+        expect(res).to.have.status(200);
+        expect(res.body.version).to.equal(1);
+        expect(res.body.folders).to.have.length(folders);
+        expect(res.body.tags).to.have.length(tags);
+        expect(res.body.notes).to.have.length(notes);
+        expect(res.body.notes[0]).to.include.keys('id', 'title', 'createdAt');
+      });
+    });
+  });
+
+  describe('GET /api/backup', function () {
+    it('should keep the flags and manual order of notes', function () {
+      return Note.findOneAndUpdate(
+        { userId, deletedAt: null },
+        { pinned: true, favorite: true, position: 3 },
+      )
+        .then(note => backup().then((res) => {
+          const saved = res.body.notes.find(item => item.id === note.id);
+          expect(saved).to.include({ pinned: true, favorite: true, position: 3 });
+        }));
+    });
+  });
+
+  describe('POST /api/restore', function () {
+    afterEach(() => sandbox.restore());
+
+    it('should return an error for an invalid backup', function () {
+      return restore('merge', { version: 1, notes: [] }).then((res) => {
+        expect(res).to.have.status(422);
+      });
+    });
+
+    it('should return an error without a mode', function () {
+      return restore('', { version: 1 }).then((res) => {
+        expect(res).to.have.status(400);
+      });
+    });
+
+    it('should return a 503 without support for transactions', function () {
+      const command = sandbox.stub().resolves({ ismaster: true });
+      sandbox.stub(mongoose.connection.db, 'admin').returns({ command });
+
+      let before;
+      return Promise.all([backup(), counts()])
+        .then(([res, _before]) => {
+          before = _before;
+          return restore('replace', res.body);
+        })
+        .then((res) => {
+          expect(res).to.have.status(503);
+          expect(res.body.message).to.equal(
+            'Restoring a backup needs MongoDB running as a replica set',
+          );
+          return counts();
+        })
+        .then((after) => {
+          expect(after).to.deep.equal(before);
+        });
+    });
+  });
+
+  describe('POST /api/restore with transactions', function () {
+    // Restores run in a transaction, which needs a replica set. Against a
+    // standalone MongoDB these are skipped, see the README for running the
+    // tests against a replica set
+    before(function () {
+      return utils.supportsTransactions().then((supported) => {
+        if (!supported) {
+          this.skip();
+        }
+      });
+    });
+
+    it('should replace the notebook and keep the references of notes', function () {
+      let saved;
+      let before;
+      return Promise.all([backup(), counts()])
+        .then(([res, _before]) => {
+          saved = res.body;
+          before = _before;
+          return Note.deleteMany({ userId });
+        })
+        .then(() => restore('replace', saved))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return counts();
+        })
+        .then((after) => {
+          expect(after).to.deep.equal(before);
+
+          const original = saved.notes.find(note => note.folderId && note.tags.length);
+          return Note.findOne({ userId, title: original.title })
+            .populate('folderId tags')
+            .then((note) => {
+              const folder = saved.folders.find(item => item.id === original.folderId);
+              expect(note.folderId.name).to.equal(folder.name);
+              expect(note.tags).to.have.length(original.tags.length);
+              expect(note.createdAt.toISOString()).to.equal(original.createdAt);
+            });
+        });
+    });
+
+    it('should point saved searches and templates at the restored items', function () {
+      let folder;
+      let tag;
+      let saved;
+      return Promise.all([Folder.findOne({ userId }), Tag.findOne({ userId })])
+        .then(([_folder, _tag]) => {
+          [folder, tag] = [_folder, _tag];
+          return Promise.all([
+            SavedSearch.create({
+              name: 'Filed', userId, folderId: folder.id, tags: [tag.id],
+            }),
+            Template.create({ name: 'Meeting', userId, folderId: folder.id }),
+            backup(),
+          ]);
+        })
+        .then(([, , res]) => {
+          saved = res.body;
+          return Tag.create({ name: 'Not backed up', userId });
+        })
+        .then(extra => Template.create({ name: 'Gone', userId, tags: [extra.id] }))
+        .then(() => restore('replace', saved))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return Promise.all([
+            Folder.findOne({ userId, name: folder.name, parentId: folder.parentId }),
+            Tag.findOne({ userId, name: tag.name, parentId: tag.parentId }),
+            SavedSearch.findOne({ userId, name: 'Filed' }),
+            Template.find({ userId }).sort('name'),
+          ]);
+        })
+        .then(([restoredFolder, restoredTag, savedSearch, [gone, template]]) => {
+          expect(restoredFolder.id).to.not.equal(folder.id);
+          expect(savedSearch.folderId.toString()).to.equal(restoredFolder.id);
+          expect(savedSearch.tags.map(String)).to.deep.equal([restoredTag.id]);
+          expect(template.folderId.toString()).to.equal(restoredFolder.id);
+          expect(gone.tags).to.be.empty;
+        });
+    });
+
+    it("should tell the user's sessions to load the notebook again", function () {
+      const received = [];
+      let unsubscribe;
+      return backup()
+        .then((res) => {
+          unsubscribe = events.subscribe(userId, event => received.push(event));
+          return restore('merge', res.body);
+        })
+        .then((res) => {
+          unsubscribe();
+          expect(res).to.have.status(200);
+          expect(received).to.deep.equal([
+            { type: 'notebook.restored', data: res.body },
+          ]);
+        });
+    });
+
+    it('should add notes and reuse folders and tags when merging', function () {
+      let saved;
+      let before;
+      return Promise.all([backup(), counts()])
+        .then(([res, _before]) => {
+          saved = res.body;
+          before = _before;
+          return restore('merge', saved);
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.include({ folders: 0, tags: 0, notes: before[2] });
+          return counts();
+        })
+        .then(([folders, tags, notes]) => {
+          expect([folders, tags]).to.deep.equal(before.slice(0, 2));
+          expect(notes).to.equal(before[2] * 2);
+        });
+    });
+
+    it('should leave the notebook alone when the restore fails', function () {
+      let before;
+      return counts()
+        .then((_before) => {
+          before = _before;
+          return restore('replace', {
+            version: 1,
+            folders: [],
+            tags: [],
+            // Fails validation when the notes are inserted, after the delete
+            notes: [{ id: 'a', title: 'Broken', content: { not: 'a string' } }],
+          });
+        })
+        .then((res) => {
+          expect(res).to.have.status(500);
+          return counts();
+        })
+        .then((after) => {
+          expect(after).to.deep.equal(before);
+        });
+    });
+  });
+});
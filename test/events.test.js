@@ -0,0 +1,121 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const http = require('http');
+
+const app = require('../server');
+const events = require('../lib/events');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Change events', function () {
+  describe('publish', function () {
+    it('should reach every subscription of the users', function () {
+      const received = [];
+      const unsubscribeA = events.subscribe('a', event => received.push(['a', event]));
+      const unsubscribeB = events.subscribe('b', event => received.push(['b', event]));
+
+      events.publish(['a', 'a', 'c'], 'tag', 'created', { name: 'work' });
+      unsubscribeA();
+      unsubscribeB();
+      events.publish('a', 'tag', 'updated', { name: 'home' });
+
+      expect(received).to.deep.equal([
+        ['a', { type: 'tag.created', data: { name: 'work' } }],
+      ]);
+    });
+
+    it('should only send the id of deleted items', function () {
+      const received = [];
+      const unsubscribe = events.subscribe('a', event => received.push(event));
+
+      events.publish('a', 'folder', 'deleted', { id: '123', name: 'Archive' });
+      unsubscribe();
+
+      expect(received).to.deep.equal([{ type: 'folder.deleted', data: { id: '123' } }]);
+    });
+
+    it('should tell the collaborators of a shared note', function () {
+      const received = [];
+      const unsubscribe = events.subscribe('b', event => received.push(event));
+
+      const note = { userId: 'a', shares: [{ userId: 'b', permission: 'read' }] };
+      events.publishNote('updated', note);
+      unsubscribe();
+
+      expect(received).to.deep.equal([{ type: 'note.updated', data: note }]);
+    });
+  });
+
+  describe('GET /api/events', function () {
+    let server;
+    let bearerAuth;
+
+    before(() => utils.connectToDatabase().then(() => new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    })));
+
+    after(() => new Promise(resolve => server.close(resolve))
+      .then(utils.disconnectFromDatabase));
+
+    beforeEach(() => utils
+      .seedDatabase()
+      .then(() => utils.generateBearerToken())
+      .then((obj) => {
+        ({ bearerAuth } = obj);
+      }));
+
+    afterEach(utils.cleanDatabase);
+
+    function openStream(headers) {
+      return new Promise((resolve, reject) => {
+        http
+          .get({ port: server.address().port, path: '/api/events', headers }, resolve)
+          .on('error', reject);
+      });
+    }
+
+    it('should stream changes made by the user', function () {
+      let stream;
+      return openStream({ Authorization: bearerAuth })
+        .then((res) => {
+          stream = res;
+          expect(res.statusCode).to.equal(200);
+          expect(res.headers['content-type']).to.match(/^text\/event-stream/);
+
+          const received = new Promise((resolve) => {
+            let text = '';
+            res.on('data', (chunk) => {
+              text += chunk;
+              if (text.includes('\n\n')) {
+                resolve(text);
+              }
+            });
+          });
+
+          return chai
+            .request(app)
+            .post('/api/folders')
+            .set('Authorization', bearerAuth)
+            .send({ name: 'Live' })
+            .then(() => received);
+        })
+        .then((text) => {
+          const [eventLine, dataLine] = text.split('\n');
+          expect(eventLine).to.equal('event: folder.created');
+          expect(JSON.parse(dataLine.replace(/^data: /, '')).name).to.equal('Live');
+          stream.destroy();
+        });
+    });
+
+    it('should reject requests without a token', function () {
+      return openStream({}).then((res) => {
+        res.resume();
+        expect(res.statusCode).to.equal(401);
+      });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+const AdmZip = require('adm-zip');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Tag = require('../models/tag');
+const events = require('../lib/events');
+const { fromMarkdown } = require('../lib/markdown');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+// chai-http doesn't buffer binary responses by itself
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Noteful API - Markdown export and import', function () {
+  let userId;
+  let bearerAuth;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function exportNotebook() {
+    return chai
+      .request(app)
+      .get('/api/export?format=markdown')
+      .set('Authorization', bearerAuth)
+      .buffer()
+      .parse(binaryParser);
+  }
+
+  function importArchive(buffer) {
+    return chai
+      .request(app)
+      .post('/api/import')
+      .set('Authorization', bearerAuth)
+      .attach('file', buffer, 'notes.zip');
+  }
+
+  describe('GET /api/export', function () {
+    it('should return a zip with one Markdown file per note', function () {
+      let zip;
+      return exportNotebook()
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('content-type', 'application/zip');
+          zip = new AdmZip(res.body);
+          return Note.find({ userId, deletedAt: null });
+        })
+        .then((notes) => {
+          const files = zip.getEntries().filter(entry => !entry.isDirectory);
+          expect(files).to.have.length(notes.length);
+
+          const ids = files.map((entry) => {
+            const { attributes } = fromMarkdown(entry.getData().toString());
+            return attributes.id;
+          });
+          expect(ids).to.have.members(notes.map(note => note.id));
+        });
+    });
+
+    it('should put notes in the directory of their folder', function () {
+      return Note.findOne({ userId, folderId: { $exists: true } })
+        .populate('folderId')
+        .then(note => exportNotebook().then((res) => {
+          const names = new AdmZip(res.body).getEntries().map(entry => entry.entryName);
+          expect(names).to.include(`${note.folderId.name}/${note.title}.md`);
+        }));
+    });
+
+    it('should return an error for an unknown format', function () {
+      return chai
+        .request(app)
+        .get('/api/export?format=pdf')
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(400);
+        });
+    });
+  });
+
+  describe('POST /api/import', function () {
+    it('should create notes along with missing folders and tags', function () {
+      const zip = new AdmZip();
+      zip.addFile(
+        'Travel/Japan/Tokyo.md',
+        Buffer.from('---\ntags: [trips, food]\n---\n\nRamen every day'),
+      );
+
+      return importArchive(zip.toBuffer())
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.include({ created: 1, conflicts: 0, errors: 0 });
+          return Note.findById(res.body.files[0].id).populate('folderId tags');
+        })
+        .then((note) => {
+          expect(note.title).to.equal('Tokyo');
+          expect(note.content).to.equal('Ramen every day');
+          expect(note.folderId.name).to.equal('Japan');
+          expect(note.tags.map(tag => tag.name)).to.have.members(['trips', 'food']);
+          return Folder.findById(note.folderId.parentId);
+        })
+        .then((parent) => {
+          expect(parent.name).to.equal('Travel');
+        });
+    });
+
+    it("should tell the user's sessions to load the notebook again", function () {
+      const zip = new AdmZip();
+      zip.addFile('Tokyo.md', Buffer.from('Ramen every day'));
+
+      const received = [];
+      const unsubscribe = events.subscribe(userId, event => received.push(event));
+      return importArchive(zip.toBuffer())
+        .then((res) => {
+          unsubscribe();
+          expect(res).to.have.status(200);
+          expect(received).to.deep.equal([{
+            type: 'notebook.imported',
+            data: { created: 1, conflicts: 0, errors: 0 },
+          }]);
+        });
+    });
+
+    it('should keep nested tags apart on a round trip', function () {
+      let note;
+      return Promise.all([
+        Tag.create({ name: 'work', userId }),
+        Tag.create({ name: 'home', userId }),
+      ])
+        .then(([work, home]) => Promise.all([
+          Tag.create({ name: 'urgent', userId, parentId: work.id }),
+          Tag.create({ name: 'urgent', userId, parentId: home.id }),
+        ]))
+        .then(tags => Note.create({ title: 'Taxes', userId, tags }))
+        .then((_note) => {
+          note = _note;
+          return exportNotebook();
+        })
+        .then((res) => {
+          const entry = new AdmZip(res.body)
+            .getEntries()
+            .find(item => item.entryName === 'Taxes.md');
+          const { attributes } = fromMarkdown(entry.getData().toString());
+          expect(attributes.tags).to.have.members(['work/urgent', 'home/urgent']);
+
+          // Imported again as a new note, its tags are the same ones
+          const zip = new AdmZip();
+          zip.addFile('Taxes again.md', Buffer.from(
+            `---\ntags: [${attributes.tags.join(', ')}]\n---\n`,
+          ));
+          return importArchive(zip.toBuffer());
+        })
+        .then(res => Note.findById(res.body.files[0].id))
+        .then((imported) => {
+          expect(imported.tags.map(String)).to.have.members(note.tags.map(String));
+        });
+    });
+
+    it('should report notes which already exist as conflicts', function () {
+      let before;
+      return Promise.all([
+        Note.countDocuments({ userId }),
+        Tag.countDocuments({ userId }),
+      ])
+        .then((counts) => {
+          before = counts;
+          return exportNotebook();
+        })
+        .then(res => importArchive(res.body))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.created).to.equal(0);
+          expect(res.body.conflicts).to.equal(before[0]);
+          return Promise.all([
+            Note.countDocuments({ userId }),
+            Tag.countDocuments({ userId }),
+          ]);
+        })
+        .then((after) => {
+          expect(after).to.deep.equal(before);
+        });
+    });
+
+    it('should report files which can not be imported', function () {
+      const zip = new AdmZip();
+      zip.addFile('broken.md', Buffer.from('---\ntitle: [oops\n---\n'));
+      zip.addFile('picture.png', Buffer.from('not markdown'));
+
+      return importArchive(zip.toBuffer()).then((res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.errors).to.equal(2);
+      });
+    });
+
+    it('should return an error when the file is not a zip archive', function () {
+      return importArchive(Buffer.from('not a zip')).then((res) => {
+        expect(res).to.have.status(400);
+      });
+    });
+  });
+});
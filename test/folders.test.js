@@ -8,7 +8,10 @@ const sinon = require('sinon');
 const app = require('../server');
 const Folder = require('../models/folder');
 const Note = require('../models/note');
+const SavedSearch = require('../models/savedSearch');
+const Template = require('../models/template');
 const User = require('../models/user');
+const { dropLegacyIndexes } = require('../lib/migrations');
 const utils = require('./utils');
 
 chai.use(chaiHttp);
@@ -95,6 +98,72 @@ describe('Noteful API - Folders', function () {
           expect(res.body.message).to.equal('Internal Server Error');
         });
     });
+
+    it('should return a page of folders when given a `limit`', function () {
+      return Promise.all([
+        Folder.find({ userId }).sort('name'),
+        chai
+          .request(app)
+          .get('/api/folders?limit=1')
+          .set('Authorization', bearerAuth),
+      ]).then(([data, res]) => {
+        expect(res).to.have.status(200);
+        expect(res.body.total).to.equal(data.length);
+        expect(res.body.results).to.have.length(1);
+        expect(res.body.results[0].id).to.equal(data[0].id);
+        expect(res.body.nextCursor).to.be.a('string');
+      });
+    });
+  });
+
+  describe('Sorting folders', function () {
+    it('should sort by the `sort` key', function () {
+      return Promise.all([
+        Folder.find({ userId }).sort({ name: 'desc' }),
+        chai
+          .request(app)
+          .get('/api/folders?sort=-name')
+          .set('Authorization', bearerAuth),
+      ]).then(([data, res]) => {
+        expect(res).to.have.status(200);
+        expect(res.body.map(item => item.id)).to.deep.equal(data.map(item => item.id));
+      });
+    });
+
+    it('should keep the manual order set with PUT /api/folders/order', function () {
+      let ids;
+      return Folder.find({ userId })
+        .then((folders) => {
+          ids = folders.map(folder => folder.id).reverse();
+          return chai
+            .request(app)
+            .put('/api/folders/order')
+            .set('Authorization', bearerAuth)
+            .send({ ids });
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return chai
+            .request(app)
+            .get('/api/folders?sort=manual')
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          expect(res.body.map(item => item.id)).to.deep.equal(ids);
+        });
+    });
+
+    it('should respond with a 400 for an invalid list of ids', function () {
+      return chai
+        .request(app)
+        .put('/api/folders/order')
+        .set('Authorization', bearerAuth)
+        .send({ ids: ['NOT-A-VALID-ID'] })
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The `ids` array contains an invalid id');
+        });
+    });
   });
 
   describe('GET /api/folders/:id', function () {
@@ -479,13 +548,39 @@ describe('Noteful API - Folders', function () {
         .then(function (res) {
           expect(res).to.have.status(204);
           expect(res.body).to.be.empty;
-          return Folder.countDocuments({ _id: data.id });
+          return Folder.countDocuments({ _id: data.id, deletedAt: null });
         })
         .then((count) => {
           expect(count).to.equal(0);
         });
     });
 
+    it('should remove the folder from saved searches and templates', function () {
+      let folder;
+      return Folder.findOne({ userId })
+        .then((_folder) => {
+          folder = _folder;
+          return Promise.all([
+            SavedSearch.create({ name: 'Filed', userId, folderId: folder.id }),
+            Template.create({ name: 'Meeting', userId, folderId: folder.id }),
+          ]);
+        })
+        .then(() => chai
+          .request(app)
+          .delete(`/api/folders/${folder.id}`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Promise.all([
+            SavedSearch.countDocuments({ folderId: folder._id }),
+            Template.countDocuments({ folderId: folder._id }),
+          ]);
+        })
+        .then((counts) => {
+          expect(counts).to.deep.equal([0, 0]);
+        });
+    });
+
     // eslint-disable-next-line max-len
     it('should delete an existing folder and remove folderId reference from note', function () {
       let folderId;
@@ -547,7 +642,7 @@ describe('Noteful API - Folders', function () {
         .then((res) => {
           expect(res).to.have.status(204);
         })
-        .then(() => Folder.countDocuments({ _id: fixture.id }))
+        .then(() => Folder.countDocuments({ _id: fixture.id, deletedAt: null }))
         .then((count) => {
           expect(count).to.equal(1);
         });
@@ -575,4 +670,177 @@ describe('Noteful API - Folders', function () {
         });
     });
   });
+
+  describe('Nested folders', function () {
+    let root;
+    let child;
+    let grandchild;
+
+    beforeEach(function () {
+      return Folder.create({ name: 'Root', userId })
+        .then((folder) => {
+          root = folder;
+          return Folder.create({ name: 'Child', parentId: root.id, userId });
+        })
+        .then((folder) => {
+          child = folder;
+          return Folder.create({ name: 'Grandchild', parentId: child.id, userId });
+        })
+        .then((folder) => {
+          grandchild = folder;
+        });
+    });
+
+    function put(folder, body) {
+      return chai
+        .request(app)
+        .put(`/api/folders/${folder.id}`)
+        .set('Authorization', bearerAuth)
+        .send(Object.assign({ name: folder.name }, body));
+    }
+
+    it('should create a folder inside a parent folder', function () {
+      return chai
+        .request(app)
+        .post('/api/folders')
+        .set('Authorization', bearerAuth)
+        .send({ name: 'Child', parentId: grandchild.id })
+        .then((res) => {
+          expect(res).to.have.status(201);
+          expect(res.body.parentId).to.equal(grandchild.id);
+        });
+    });
+
+    it('should only require names to be unique within a parent', function () {
+      return chai
+        .request(app)
+        .post('/api/folders')
+        .set('Authorization', bearerAuth)
+        .send({ name: 'Child', parentId: root.id })
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('Folder name already exists');
+        });
+    });
+
+    it("should return 422 for a parent which doesn't exist", function () {
+      return chai
+        .request(app)
+        .post('/api/folders')
+        .set('Authorization', bearerAuth)
+        .send({ name: 'Orphan', parentId: 'DOESNOTEXIST' })
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `parentId` does not exist');
+        });
+    });
+
+    it('should move a subtree with PUT', function () {
+      return put(child, { parentId: '' })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.parentId).to.not.exist;
+          return Folder.findById(grandchild.id);
+        })
+        .then(folder => expect(folder.parentId.toString()).to.equal(child.id));
+    });
+
+    it('should refuse to move a folder inside its own subtree', function () {
+      return Promise.all([
+        put(root, { parentId: grandchild.id }),
+        put(root, { parentId: root.id }),
+      ]).then((results) => {
+        results.forEach((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Cannot move a folder inside itself');
+        });
+      });
+    });
+
+    it('should return the nested view with `tree=true`', function () {
+      return chai
+        .request(app)
+        .get('/api/folders?tree=true')
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(200);
+          const rootNode = res.body.find(node => node.id === root.id);
+          expect(rootNode.path).to.equal('Root');
+          expect(rootNode.children).to.have.length(1);
+          const [grandchildNode] = rootNode.children[0].children;
+          expect(grandchildNode.id).to.equal(grandchild.id);
+          expect(grandchildNode.path).to.equal('Root/Child/Grandchild');
+        });
+    });
+
+    // eslint-disable-next-line max-len
+    it('should list the notes of descendant folders with `recursive=true`', function () {
+      return Promise.all([
+        Note.create({ title: 'In root', folderId: root.id, userId }),
+        Note.create({ title: 'In grandchild', folderId: grandchild.id, userId }),
+      ])
+        .then(() => chai
+          .request(app)
+          .get(`/api/notes?folderId=${root.id}&recursive=true`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(note => note.title)).to.have.members([
+            'In root',
+            'In grandchild',
+          ]);
+        });
+    });
+
+    it('should re-parent the children of a deleted folder by default', function () {
+      return chai
+        .request(app)
+        .delete(`/api/folders/${child.id}`)
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Folder.findById(grandchild.id);
+        })
+        .then((folder) => {
+          expect(folder.deletedAt).to.not.exist;
+          expect(folder.parentId.toString()).to.equal(root.id);
+        });
+    });
+
+    it('should trash the whole subtree with `children=cascade`', function () {
+      return chai
+        .request(app)
+        .delete(`/api/folders/${root.id}?children=cascade`)
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Folder.find({ _id: { $in: [root.id, child.id, grandchild.id] } });
+        })
+        .then((folders) => {
+          expect(folders).to.have.length(3);
+          folders.forEach(folder => expect(folder.deletedAt).to.exist);
+        });
+    });
+
+    it('should respond with a 400 for an unknown `children` option', function () {
+      return chai
+        .request(app)
+        .delete(`/api/folders/${root.id}?children=nope`)
+        .set('Authorization', bearerAuth)
+        .then(res => expect(res).to.have.status(400));
+    });
+  });
+
+  describe('Legacy indexes', function () {
+    it('should drop the unique index on names per user', function () {
+      return Folder.collection
+        .createIndex({ name: 1, userId: 1 }, { unique: true, name: 'name_1_userId_1' })
+        .then(() => dropLegacyIndexes())
+        .then(() => dropLegacyIndexes())
+        .then(() => Folder.collection.indexExists('name_1_userId_1'))
+        .then((exists) => {
+          expect(exists).to.be.false;
+        });
+    });
+  });
 });
@@ -21,5 +21,13 @@ describe('Auth token lifecycle', () => {
       const token = createAuthToken(fixture);
       expect(() => jsonwebtoken.verify(token, JWT_SECRET)).to.not.throw();
     });
+
+    it('should give every token a unique id so it can be revoked', function () {
+      const fixture = { username: 'testuser' };
+      const first = jsonwebtoken.decode(createAuthToken(fixture));
+      const second = jsonwebtoken.decode(createAuthToken(fixture));
+      expect(first.jti).to.be.a('string');
+      expect(first.jti).to.not.equal(second.jti);
+    });
   });
 });
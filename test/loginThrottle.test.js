@@ -0,0 +1,59 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const LoginAttempt = require('../models/loginAttempt');
+const { backoff, recordFailure } = require('../auth/loginThrottle');
+const { LOGIN_LOCKOUT_MINUTES } = require('../config');
+
+const sandbox = sinon.createSandbox();
+
+describe('Login throttling', () => {
+  describe('backoff', () => {
+    const lockout = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+
+    it('should not make the first attempt wait', function () {
+      expect(backoff(0, 5)).to.equal(0);
+    });
+
+    it('should double the wait after every failure', function () {
+      expect([1, 2, 3, 4].map(failures => backoff(failures, 5))).to.deep.equal([
+        1000,
+        2000,
+        4000,
+        8000,
+      ]);
+    });
+
+    it('should lock out once the maximum number of failures is reached', function () {
+      expect(backoff(5, 5)).to.equal(lockout);
+      expect(backoff(12, 5)).to.equal(lockout);
+    });
+
+    it('should never wait longer than the lockout', function () {
+      expect(backoff(19, 20)).to.equal(lockout);
+    });
+  });
+
+  describe('recordFailure', () => {
+    afterEach(() => sandbox.restore());
+
+    it('should count a failure which lost the race to insert the count', function () {
+      sandbox.stub(LoginAttempt, 'deleteMany').resolves();
+      const update = sandbox.stub(LoginAttempt, 'findOneAndUpdate');
+      const duplicate = Object.assign(new Error('Duplicate key'), { code: 11000 });
+      update.onFirstCall().rejects(duplicate);
+      update.resolves({});
+
+      return recordFailure('bobuser', '127.0.0.1').then(() => {
+        const keys = update.getCalls().map(call => call.args[0].key);
+        expect(keys).to.have.members([
+          'username:bobuser',
+          'ip:127.0.0.1',
+          'username:bobuser',
+        ]);
+      });
+    });
+  });
+});
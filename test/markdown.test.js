@@ -0,0 +1,57 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const {
+  fromMarkdown, safeFileName, toMarkdown, uniqueName,
+} = require('../lib/markdown');
+
+describe('Markdown helpers', () => {
+  const note = {
+    id: '000000000000000000000001',
+    title: 'Cats: a review',
+    content: '# Cats\n\nThey are great.',
+    createdAt: new Date('2018-01-01T00:00:00.000Z'),
+    updatedAt: new Date('2018-01-02T00:00:00.000Z'),
+  };
+
+  describe('toMarkdown and fromMarkdown', () => {
+    it('should keep the metadata in YAML front matter', function () {
+      const markdown = toMarkdown(note, ['pets', 'reviews']);
+      expect(markdown).to.match(/^---\n/);
+
+      const { attributes, content } = fromMarkdown(markdown);
+      expect(content).to.equal(note.content);
+      expect(attributes).to.include({ id: note.id, title: note.title });
+      expect(attributes.tags).to.deep.equal(['pets', 'reviews']);
+      expect(new Date(attributes.createdAt)).to.deep.equal(note.createdAt);
+    });
+
+    it('should treat files without front matter as content only', function () {
+      expect(fromMarkdown('Just text')).to.deep.equal({
+        attributes: {},
+        content: 'Just text',
+      });
+    });
+
+    it('should throw when the front matter is not valid YAML', function () {
+      expect(() => fromMarkdown('---\ntitle: [oops\n---\n')).to.throw();
+    });
+  });
+
+  describe('safeFileName', () => {
+    it('should replace characters which are not allowed in file names', function () {
+      expect(safeFileName('a/b\\c: d?')).to.equal('a-b-c- d-');
+      expect(safeFileName('...')).to.equal('Untitled');
+    });
+  });
+
+  describe('uniqueName', () => {
+    it('should number names which are already taken', function () {
+      const taken = new Set();
+      expect(uniqueName('Note', taken, '.md')).to.equal('Note.md');
+      expect(uniqueName('note', taken, '.md')).to.equal('note (2).md');
+      expect(uniqueName('Note', taken, '.md')).to.equal('Note (3).md');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const { diffLines, merge3 } = require('../lib/merge');
+
+describe('Three-way merge', () => {
+  describe('diffLines', () => {
+    it('should find no changes in equal texts', function () {
+      expect(diffLines(['a', 'b'], ['a', 'b'])).to.deep.equal([]);
+    });
+
+    it('should describe replaced, inserted and removed lines', function () {
+      expect(diffLines(['a', 'b', 'c', 'd'], ['a', 'B', 'c', 'x', 'd'])).to.deep.equal([
+        {
+          oStart: 1, oLength: 1, sStart: 1, sLength: 1,
+        },
+        {
+          oStart: 3, oLength: 0, sStart: 3, sLength: 1,
+        },
+      ]);
+      expect(diffLines(['a', 'b', 'c'], ['a', 'c'])).to.deep.equal([
+        {
+          oStart: 1, oLength: 1, sStart: 1, sLength: 0,
+        },
+      ]);
+    });
+  });
+
+  describe('merge3', () => {
+    const base = 'one\ntwo\nthree\nfour';
+
+    it('should keep changes made to different lines', function () {
+      const result = merge3(base, 'ONE\ntwo\nthree\nfour', 'one\ntwo\nthree\nFOUR');
+      expect(result).to.deep.equal({ text: 'ONE\ntwo\nthree\nFOUR', conflicts: 0 });
+    });
+
+    it('should keep lines added and removed on either side', function () {
+      const result = merge3(base, 'zero\none\ntwo\nthree\nfour', 'one\ntwo\nfour');
+      expect(result).to.deep.equal({ text: 'zero\none\ntwo\nfour', conflicts: 0 });
+    });
+
+    it('should accept the same change made on both sides', function () {
+      const result = merge3(base, 'one\n2\nthree\nfour', 'one\n2\nthree\nfour');
+      expect(result).to.deep.equal({ text: 'one\n2\nthree\nfour', conflicts: 0 });
+    });
+
+    it('should mark overlapping changes as conflicts', function () {
+      const mine = 'one\nmine\nthree\nfour';
+      const theirs = 'one\ntheirs\nthree\nFOUR';
+      const result = merge3(base, mine, theirs, { mine: 'yours', theirs: 'saved' });
+      expect(result.conflicts).to.equal(1);
+      expect(result.text).to.equal(
+        'one\n<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> saved\nthree\nFOUR',
+      );
+    });
+  });
+});
@@ -197,6 +197,35 @@ describe('Noteful API - Notes', function () {
         });
     });
 
+    it('should include descendant tags with `recursive`', function () {
+      let parent;
+      let note;
+      return Tag.findOne({ userId })
+        .then((tag) => {
+          parent = tag;
+          return Promise.all([
+            Tag.create({ name: 'nested', parentId: parent.id, userId }),
+            Note.findOne({ userId, tags: { $ne: parent._id } }),
+          ]);
+        })
+        .then(([child, _note]) => {
+          note = _note;
+          return Note.updateOne({ _id: note.id }, { tags: [child._id] });
+        })
+        .then(() => Promise.all([
+          Note.countDocuments({ userId, tags: parent._id }),
+          chai
+            .request(app)
+            .get(`/api/notes?tagId=${parent.id}&recursive=true`)
+            .set('Authorization', bearerAuth),
+        ]))
+        .then(([count, res]) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(count + 1);
+          expect(res.body.map(item => item.id)).to.include(note.id);
+        });
+    });
+
     it('should return an empty array for an incorrect query', function () {
       const searchTerm = 'NOT-A-VALID-QUERY';
       const re = new RegExp(searchTerm, 'i');
@@ -216,6 +245,72 @@ describe('Noteful API - Notes', function () {
       });
     });
 
+    it('should treat regular expression metacharacters literally', function () {
+      return chai
+        .request(app)
+        .get('/api/notes?searchTerm=(cats+')
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.be.a('array');
+          expect(res.body).to.have.length(0);
+        });
+    });
+
+    it('should rank full-text search results by relevance', function () {
+      return chai
+        .request(app)
+        .get('/api/notes?search=cats -government')
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.be.a('array');
+          expect(res.body).to.have.length.above(0);
+          res.body.forEach((item, i) => {
+            expect(item).to.include.all.keys('id', 'title', 'score', 'snippet');
+            expect(item.title).to.not.match(/government/i);
+            if (i > 0) {
+              expect(item.score).to.be.at.most(res.body[i - 1].score);
+            }
+          });
+        });
+    });
+
+    it('should page through every note with `limit` and `cursor`', function () {
+      const seen = [];
+      const fetchPage = cursor => chai
+        .request(app)
+        .get('/api/notes')
+        .query(cursor ? { limit: 2, cursor } : { limit: 2 })
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.all.keys('results', 'nextCursor', 'total');
+          expect(res.body.results).to.have.length.at.most(2);
+          seen.push(...res.body.results.map(item => item.id));
+          return res.body.nextCursor ? fetchPage(res.body.nextCursor) : res.body;
+        });
+
+      return Promise.all([
+        Note.find({ userId }).sort({ updatedAt: 'desc', _id: 'desc' }),
+        fetchPage(),
+      ]).then(([data, lastPage]) => {
+        expect(lastPage.total).to.equal(data.length);
+        expect(seen).to.deep.equal(data.map(item => item.id));
+      });
+    });
+
+    it('should respond with a 400 for an invalid cursor', function () {
+      return chai
+        .request(app)
+        .get('/api/notes?cursor=NOT-A-VALID-CURSOR')
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The `cursor` is not valid');
+        });
+    });
+
     it('should catch errors and respond properly', function () {
       sandbox.stub(Note.schema.options.toJSON, 'transform').throws('FakeError');
 
@@ -232,6 +327,212 @@ describe('Noteful API - Notes', function () {
     });
   });
 
+  describe('GET /api/notes?q=', function () {
+    const idsOf = items => items.map(item => item.id);
+
+    function query(q) {
+      return chai
+        .request(app)
+        .get('/api/notes')
+        .query({ q })
+        .set('Authorization', bearerAuth);
+    }
+
+    it('should return the notes with all of the tags', function () {
+      let tags;
+      return Tag.find({ userId }).limit(2)
+        .then((results) => {
+          tags = results;
+          return Promise.all([
+            Note.find({
+              userId,
+              deletedAt: null,
+              tags: { $all: tags.map(tag => tag._id) },
+            }),
+            query(`tag:"${tags[0].name}" tag:"${tags[1].name}"`),
+          ]);
+        })
+        .then(([data, res]) => {
+          expect(res).to.have.status(200);
+          expect(idsOf(res.body)).to.have.members(idsOf(data));
+        });
+    });
+
+    it('should return the notes with either tag using OR', function () {
+      let tags;
+      return Tag.find({ userId }).limit(2)
+        .then((results) => {
+          tags = results;
+          return Promise.all([
+            Note.find({
+              userId,
+              deletedAt: null,
+              tags: { $in: tags.map(tag => tag._id) },
+            }),
+            query(`tag:"${tags[0].name}" OR tag:"${tags[1].name}"`),
+          ]);
+        })
+        .then(([data, res]) => {
+          expect(res).to.have.status(200);
+          expect(idsOf(res.body)).to.have.members(idsOf(data));
+        });
+    });
+
+    it('should exclude the notes with a negated tag', function () {
+      let tag;
+      return Tag.findOne({ userId })
+        .then((result) => {
+          tag = result;
+          return query(`-tag:"${tag.name}"`);
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          res.body.forEach((item) => {
+            expect(item.tags.map(itemTag => itemTag.id)).to.not.include(tag.id);
+          });
+        });
+    });
+
+    it('should respond with a 400 and the position of a syntax error', function () {
+      return query('tag:work (title:meeting').then((res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.message).to.equal('Missing `)` at position 23');
+        expect(res.body.position).to.equal(23);
+      });
+    });
+  });
+
+  describe('Pinning, favorites and sorting', function () {
+    function update(id, body) {
+      return chai
+        .request(app)
+        .put(`/api/notes/${id}`)
+        .set('Authorization', bearerAuth)
+        .send(body);
+    }
+
+    it('should list pinned notes first', function () {
+      let oldest;
+      return Note.find({ userId }).sort({ updatedAt: 'asc' })
+        .then(([note]) => {
+          oldest = note;
+          return Note.updateOne({ _id: note.id }, { pinned: true });
+        })
+        .then(() => chai
+          .request(app)
+          .get('/api/notes?sort=-updatedAt')
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body[0].id).to.equal(oldest.id);
+          expect(res.body[0].pinned).to.be.true;
+          expect(res.body[1].pinned).to.be.false;
+        });
+    });
+
+    it('should mark and unmark a note as a favorite', function () {
+      let note;
+      return Note.findOne({ userId })
+        .then((_note) => {
+          note = _note;
+          return update(note.id, { favorite: true });
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.favorite).to.be.true;
+          return chai
+            .request(app)
+            .get('/api/notes?favorite=true')
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          expect(res.body.map(item => item.id)).to.deep.equal([note.id]);
+          return update(note.id, { favorite: false });
+        })
+        .then((res) => {
+          expect(res.body.favorite).to.be.false;
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.get('favorite')).to.be.undefined;
+        });
+    });
+
+    it('should reject flags which are not booleans', function () {
+      return Note.findOne({ userId })
+        .then(note => update(note.id, { pinned: 'yes' }))
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The `pinned` must be a boolean');
+        });
+    });
+
+    it('should sort by title', function () {
+      return Promise.all([
+        Note.find({ userId }).sort({ title: 'asc' }),
+        chai
+          .request(app)
+          .get('/api/notes?sort=title')
+          .set('Authorization', bearerAuth),
+      ]).then(([data, res]) => {
+        expect(res).to.have.status(200);
+        expect(res.body.map(item => item.id)).to.deep.equal(data.map(item => item.id));
+      });
+    });
+
+    it('should respond with a 400 for an unknown sort', function () {
+      return chai
+        .request(app)
+        .get('/api/notes?sort=content')
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal(
+            'The `sort` must be one of: title, createdAt, updatedAt, manual, '
+              + 'optionally prefixed with `-`',
+          );
+        });
+    });
+
+    it('should keep the manual order set with PUT /api/notes/order', function () {
+      let ids;
+      return Note.find({ userId }).limit(3)
+        .then((notes) => {
+          ids = notes.map(note => note.id).reverse();
+          return chai
+            .request(app)
+            .put('/api/notes/order')
+            .set('Authorization', bearerAuth)
+            .send({ ids });
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.ids).to.deep.equal(ids);
+          return chai
+            .request(app)
+            .get('/api/notes?sort=manual')
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          // Notes which were never placed come first
+          expect(res.body.slice(-3).map(item => item.id)).to.deep.equal(ids);
+        });
+    });
+
+    it('should not reorder notes of other users', function () {
+      return Note.findOne({ userId: { $ne: userId } })
+        .then(note => chai
+          .request(app)
+          .put('/api/notes/order')
+          .set('Authorization', bearerAuth)
+          .send({ ids: [note.id] }))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.ids).to.be.empty;
+        });
+    });
+  });
+
   describe('GET /api/notes/:id', function () {
     it('should return correct notes', function () {
       let data;
@@ -331,6 +632,9 @@ describe('Noteful API - Notes', function () {
             'updatedAt',
             'tags',
             'userId',
+            'version',
+            'pinned',
+            'favorite',
           );
           return Note.findById(res.body.id);
         })
@@ -367,6 +671,9 @@ describe('Noteful API - Notes', function () {
             'updatedAt',
             'tags',
             'userId',
+            'version',
+            'pinned',
+            'favorite',
           );
           return Note.findOne({ _id: res.body.id });
         })
@@ -945,6 +1252,118 @@ describe('Noteful API - Notes', function () {
     });
   });
 
+  describe('Conditional updates with If-Match', function () {
+    let note;
+
+    beforeEach(() => Note.findOne({ userId }).then((_note) => {
+      note = _note;
+    }));
+
+    function update(ifMatch, body = { title: 'Changed' }) {
+      return chai
+        .request(app)
+        .put(`/api/notes/${note.id}`)
+        .set('Authorization', bearerAuth)
+        .set('If-Match', ifMatch)
+        .send(body);
+    }
+
+    it('should expose the version as an ETag', function () {
+      return chai
+        .request(app)
+        .get(`/api/notes/${note.id}`)
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.version).to.equal(1);
+          expect(res).to.have.header('ETag', '"1"');
+        });
+    });
+
+    it('should update the note and its version when the ETag matches', function () {
+      return update('"1"').then((res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.version).to.equal(2);
+        expect(res).to.have.header('ETag', '"2"');
+      });
+    });
+
+    it('should respond with a 412 and the current note when outdated', function () {
+      return update('"1"', { title: 'First tab' })
+        .then(() => update('"1"', { title: 'Second tab' }))
+        .then((res) => {
+          expect(res).to.have.status(412);
+          expect(res).to.have.header('ETag', '"2"');
+          expect(res.body.current.version).to.equal(2);
+          expect(res.body.current.title).to.equal('First tab');
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.title).to.equal('First tab');
+        });
+    });
+
+    it('should merge content changed on different lines', function () {
+      return update('"1"', { content: 'one\ntwo\nthree' })
+        .then(() => update('"2"', { title: 'First tab', content: 'ONE\ntwo\nthree' }))
+        .then(() => update('"2"', { content: 'one\ntwo\nTHREE' }))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('ETag', '"4"');
+          expect(res.body.title).to.equal('First tab');
+          expect(res.body.content).to.equal('ONE\ntwo\nTHREE');
+        });
+    });
+
+    it('should respond with a 409 and conflict markers on overlaps', function () {
+      return update('"1"', { content: 'one\ntwo\nthree' })
+        .then(() => update('"2"', { content: 'one\nfirst tab\nthree' }))
+        .then(() => update('"2"', { content: 'one\nsecond tab\nthree' }))
+        .then((res) => {
+          expect(res).to.have.status(409);
+          expect(res).to.have.header('ETag', '"3"');
+          expect(res.body.current.content).to.equal('one\nfirst tab\nthree');
+          expect(res.body.merged).to.equal(
+            'one\n<<<<<<< yours\nsecond tab\n=======\nfirst tab\n>>>>>>> saved\nthree',
+          );
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.content).to.equal('one\nfirst tab\nthree');
+        });
+    });
+
+    it('should count notes from before versioning as version 1', function () {
+      return Note.collection.updateOne({ _id: note._id }, { $unset: { version: 1 } })
+        .then(() => update('"1"', { title: 'First tab' }))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('ETag', '"2"');
+          return update('"1"', { title: 'Second tab' });
+        })
+        .then((res) => {
+          expect(res).to.have.status(412);
+          expect(res.body.current.title).to.equal('First tab');
+        });
+    });
+
+    it('should not delete a note which changed since it was loaded', function () {
+      return update('"1"')
+        .then(() => chai
+          .request(app)
+          .delete(`/api/notes/${note.id}`)
+          .set('Authorization', bearerAuth)
+          .set('If-Match', '"1"'))
+        .then((res) => {
+          expect(res).to.have.status(412);
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.deletedAt).to.not.exist;
+        });
+    });
+  });
+
   describe('DELETE /api/notes/:id', function () {
     it('should delete an existing document and respond with 204', function () {
       let data;
@@ -958,7 +1377,7 @@ describe('Noteful API - Notes', function () {
         })
         .then((res) => {
           expect(res).to.have.status(204);
-          return Note.countDocuments({ _id: data.id });
+          return Note.countDocuments({ _id: data.id, deletedAt: null });
         })
         .then((count) => {
           expect(count).to.equal(0);
@@ -1002,8 +1421,165 @@ describe('Noteful API - Notes', function () {
             .delete(`/api/notes/${fixture.id}`)
             .set('Authorization', bearerAuth);
         })
-        .then(() => Note.countDocuments({ _id: fixture.id }))
+        .then(() => Note.countDocuments({ _id: fixture.id, deletedAt: null }))
         .then(count => expect(count).to.equal(1));
     });
   });
+
+  describe('POST /api/notes/bulk', function () {
+    function bulk(body) {
+      return chai
+        .request(app)
+        .post('/api/notes/bulk')
+        .set('Authorization', bearerAuth)
+        .send(body);
+    }
+
+    it('should move every note into a folder', function () {
+      let ids;
+      let folder;
+      return Promise.all([Note.find({ userId }).limit(3), Folder.findOne({ userId })])
+        .then(([notes, _folder]) => {
+          ids = notes.map(note => note.id);
+          folder = _folder;
+          return bulk({ action: 'move', ids, folderId: folder.id });
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.include({ action: 'move', succeeded: 3, failed: 0 });
+          return Note.find({ _id: { $in: ids } });
+        })
+        .then((notes) => {
+          notes.forEach((note) => {
+            expect(note.folderId.toString()).to.equal(folder.id);
+          });
+        });
+    });
+
+    it('should add and remove tags without duplicating them', function () {
+      let ids;
+      let tag;
+      return Promise.all([Note.find({ userId }).limit(2), Tag.findOne({ userId })])
+        .then(([notes, _tag]) => {
+          ids = notes.map(note => note.id);
+          tag = _tag;
+          return bulk({ action: 'addTags', ids, tags: [tag.id] })
+            .then(() => bulk({ action: 'addTags', ids, tags: [tag.id] }));
+        })
+        .then((res) => {
+          expect(res.body.succeeded).to.equal(2);
+          return Note.find({ _id: { $in: ids } });
+        })
+        .then((notes) => {
+          notes.forEach((note) => {
+            const matches = note.tags.filter(id => id.toString() === tag.id);
+            expect(matches).to.have.length(1);
+          });
+          return bulk({ action: 'removeTags', ids, tags: [tag.id] });
+        })
+        .then(() => Note.countDocuments({ _id: { $in: ids }, tags: tag._id }))
+        .then((count) => {
+          expect(count).to.equal(0);
+        });
+    });
+
+    it('should delete and restore notes', function () {
+      let ids;
+      return Note.find({ userId })
+        .limit(2)
+        .then((notes) => {
+          ids = notes.map(note => note.id);
+          return bulk({ action: 'delete', ids });
+        })
+        .then((res) => {
+          expect(res.body.succeeded).to.equal(2);
+          return Note.countDocuments({ _id: { $in: ids }, deletedAt: null });
+        })
+        .then((count) => {
+          expect(count).to.equal(0);
+          return bulk({ action: 'restore', ids });
+        })
+        .then((res) => {
+          expect(res.body.succeeded).to.equal(2);
+          return Note.countDocuments({ _id: { $in: ids }, deletedAt: null });
+        })
+        .then((count) => {
+          expect(count).to.equal(2);
+        });
+    });
+
+    it('should report the ids which could not be updated', function () {
+      let mine;
+      let theirs;
+      return fetchADifferentUser(userId)
+        .then(otherUser => Promise.all([
+          Note.findOne({ userId }),
+          Note.findOne({ userId: otherUser.id }),
+        ]))
+        .then(([_mine, _theirs]) => {
+          mine = _mine;
+          theirs = _theirs;
+          const ids = [mine.id, theirs.id, 'NOT-A-VALID-ID'];
+          return bulk({ action: 'delete', ids });
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.include({ succeeded: 1, failed: 2 });
+          expect(res.body.results.map(result => result.status)).to.deep.equal([
+            'ok',
+            'error',
+            'error',
+          ]);
+          return Note.findById(theirs.id);
+        })
+        .then((note) => {
+          expect(note.deletedAt).to.not.exist;
+        });
+    });
+
+    it('should check the folder belongs to the user once for the batch', function () {
+      return fetchADifferentUser(userId)
+        .then(otherUser => Promise.all([
+          Note.find({ userId }).limit(2),
+          Folder.findOne({ userId: otherUser.id }),
+        ]))
+        .then(([notes, folder]) => bulk({
+          action: 'move',
+          ids: notes.map(note => note.id),
+          folderId: folder.id,
+        }))
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `folderId` does not exist');
+        });
+    });
+
+    it('should return an error for an unknown action', function () {
+      return bulk({ action: 'explode', ids: [] }).then((res) => {
+        expect(res).to.have.status(400);
+      });
+    });
+
+    it('should return an error for fields of the wrong type', function () {
+      return Note.find({ userId }).limit(2)
+        .then((notes) => {
+          const ids = notes.map(note => note.id);
+          return Promise.all([
+            bulk({
+              action: 'move', ids, folderId: '', tags: 'work',
+            }),
+            bulk({ action: 'delete', ids, tags: 'work' }),
+            bulk({ action: 'restore', ids, folderId: { $ne: null } }),
+          ]);
+        })
+        .then(([move, remove, restore]) => {
+          [move, remove].forEach((res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.message).to.equal('The `tags` must be an array');
+          });
+          expect(restore).to.have.status(400);
+          expect(restore.body.message).to.equal('The `folderId` must be a string');
+        });
+    });
+  });
 });
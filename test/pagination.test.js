@@ -0,0 +1,70 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const { keysetFilter, validatePage } = require('../lib/pagination');
+
+describe('Pagination helpers', () => {
+  describe('validatePage', () => {
+    function run(query) {
+      const req = { query };
+      let error;
+      validatePage(req, {}, (err) => {
+        error = err;
+      });
+      return { page: req.page, error };
+    }
+
+    it('should not paginate when neither `limit` nor `cursor` is given', function () {
+      expect(run({})).to.deep.equal({ page: null, error: undefined });
+    });
+
+    it('should default the limit when only a cursor is given', function () {
+      expect(run({ cursor: 'abc' }).page).to.deep.equal({ limit: 20, cursor: 'abc' });
+    });
+
+    it('should reject limits which are not positive integers', function () {
+      ['0', '-1', '1.5', 'ten', '101'].forEach((limit) => {
+        const { error } = run({ limit });
+        expect(error).to.be.an('error');
+        expect(error.status).to.equal(400);
+      });
+    });
+  });
+
+  describe('keysetFilter', () => {
+    it('should compare each sort key in order', function () {
+      const sort = [['name', 1], ['_id', 1]];
+      expect(keysetFilter(sort, ['b', 'id'])).to.deep.equal({
+        $or: [
+          { $and: [{ name: { $gt: 'b' } }] },
+          { $and: [{ name: 'b' }, { _id: { $gt: 'id' } }] },
+        ],
+      });
+    });
+
+    it('should place missing values last in descending order', function () {
+      const sort = [['position', -1], ['_id', -1]];
+      expect(keysetFilter(sort, [3, 'id']).$or[0]).to.deep.equal({
+        $and: [{ $or: [{ position: { $lt: 3 } }, { position: null }] }],
+      });
+      expect(keysetFilter(sort, [null, 'id'])).to.deep.equal({
+        $or: [
+          {
+            $and: [
+              { position: null },
+              { $or: [{ _id: { $lt: 'id' } }, { _id: null }] },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('should place missing values first in ascending order', function () {
+      const sort = [['position', 1], ['_id', 1]];
+      expect(keysetFilter(sort, [null, 'id']).$or[0]).to.deep.equal({
+        $and: [{ position: { $ne: null } }],
+      });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Note = require('../models/note');
+const PublicLink = require('../models/publicLink');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Noteful API - Public note links', function () {
+  let userId;
+  let bearerAuth;
+  let note;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+      return Note.findOne({ userId });
+    })
+    .then((_note) => {
+      note = _note;
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function publish(body = {}) {
+    return chai
+      .request(app)
+      .post(`/api/notes/${note.id}/publish`)
+      .set('Authorization', bearerAuth)
+      .send(body);
+  }
+
+  describe('POST /api/notes/:id/publish', function () {
+    it('should create a link with an unguessable token', function () {
+      return publish().then((res) => {
+        expect(res).to.have.status(201);
+        expect(res.body).to.include.keys('token', 'url', 'noteId');
+        expect(res.body.token).to.match(/^[0-9a-f]{48}$/);
+        expect(res.body.url).to.match(new RegExp(`/public/notes/${res.body.token}$`));
+        expect(res.body.noteId).to.equal(note.id);
+      });
+    });
+
+    it('should keep the same token when publishing again', function () {
+      let token;
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      return publish()
+        .then((res) => {
+          ({ token } = res.body);
+          return publish({ expiresAt });
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.token).to.equal(token);
+          expect(res.body.expiresAt).to.equal(expiresAt);
+        });
+    });
+
+    it('should return an error when the expiry date is in the past', function () {
+      return publish({ expiresAt: '2000-01-01' }).then((res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.message).to.equal('The `expiresAt` must be in the future');
+      });
+    });
+
+    it('should respond with a 404 for a note of another user', function () {
+      return Note.findOne({ userId: { $ne: userId } })
+        .then(other => chai
+          .request(app)
+          .post(`/api/notes/${other.id}/publish`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+  });
+
+  describe('GET /public/notes/:token', function () {
+    it('should return the note as JSON without authentication', function () {
+      return publish()
+        .then(res => chai
+          .request(app)
+          .get(`/public/notes/${res.body.token}`)
+          .set('Accept', 'application/json'))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.be.json;
+          expect(res.body).to.include({ id: note.id, title: note.title });
+          expect(res.body).to.not.have.any.keys('userId', 'folderId', 'tags');
+        });
+    });
+
+    it('should render the note as an HTML page', function () {
+      return publish()
+        .then(res => chai
+          .request(app)
+          .get(`/public/notes/${res.body.token}`)
+          .set('Accept', 'text/html'))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.be.html;
+          expect(res.text).to.include('<h1>');
+        });
+    });
+
+    it('should respond with a 410 once the link has expired', function () {
+      return publish()
+        .then(res => PublicLink.findOneAndUpdate(
+          { token: res.body.token },
+          { expiresAt: new Date(Date.now() - 1000) },
+          { new: true },
+        ))
+        .then(link => chai.request(app).get(`/public/notes/${link.token}`))
+        .then((res) => {
+          expect(res).to.have.status(410);
+        });
+    });
+
+    it('should respond with a 404 for an unknown token', function () {
+      return chai
+        .request(app)
+        .get('/public/notes/not-a-real-token')
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+  });
+
+  describe('DELETE /api/notes/:id/publish', function () {
+    it('should revoke the link', function () {
+      let token;
+      return publish()
+        .then((res) => {
+          ({ token } = res.body);
+          return chai
+            .request(app)
+            .delete(`/api/notes/${note.id}/publish`)
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return chai.request(app).get(`/public/notes/${token}`);
+        })
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+  });
+});
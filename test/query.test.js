@@ -0,0 +1,101 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const { compileQuery, parseQuery } = require('../lib/query');
+
+function syntaxError(q) {
+  try {
+    parseQuery(q);
+  } catch (err) {
+    return err;
+  }
+  return expect.fail(`\`${q}\` should not parse`);
+}
+
+describe('Note queries', function () {
+  // Tags as `loadItems` returns them: `work` with `work/clients` inside it
+  const tags = [
+    { _id: 't1', id: 't1', name: 'work' },
+    {
+      _id: 't2', id: 't2', name: 'clients', parentId: 't1',
+    },
+    { _id: 't3', id: 't3', name: 'done' },
+  ];
+
+  describe('parseQuery', function () {
+    it('should join terms with AND, which binds tighter than OR', function () {
+      const tree = parseQuery('a b OR c');
+      expect(tree.type).to.equal('or');
+      expect(tree.children[0].type).to.equal('and');
+      expect(tree.children[1]).to.include({ type: 'term', value: 'c' });
+    });
+
+    it('should read fields, phrases, negations and groups', function () {
+      const tree = parseQuery('title:"team meeting" -(tag:done "old stuff")');
+      expect(tree.children[0]).to.include({ field: 'title', value: 'team meeting' });
+      expect(tree.children[1].type).to.equal('not');
+      expect(tree.children[1].child.children[1]).to.include({ value: 'old stuff' });
+    });
+
+    it('should point at the position of syntax errors', function () {
+      [
+        ['(a OR b', 7, 'Missing `)` at position 7'],
+        ['a ) b', 2, 'Unexpected `)` at position 2'],
+        ['OR a', 0, 'Unexpected `OR` at position 0'],
+        ['a AND', 5, 'Expected a search term at position 5'],
+        ['a "b c', 2, 'Unterminated quote at position 2'],
+        ['a colour:red', 2, 'Unknown field `colour` at position 2'],
+        ['tag:', 0, 'Missing a value for `tag:` at position 0'],
+      ].forEach(([q, position, message]) => {
+        const err = syntaxError(q);
+        expect(err.status).to.equal(400);
+        expect(err.position).to.equal(position);
+        expect(err.message).to.equal(message);
+      });
+    });
+  });
+
+  describe('compileQuery', function () {
+    it('should match tags by name or path, including nested tags', function () {
+      expect(compileQuery(parseQuery('tag:work -tag:Done'), { tags })).to.deep.equal({
+        $and: [
+          { tags: { $in: ['t1', 't2'] } },
+          { $nor: [{ tags: { $in: ['t3'] } }] },
+        ],
+      });
+      expect(compileQuery(parseQuery('tag:work/clients'), { tags })).to.deep.equal({
+        tags: { $in: ['t2'] },
+      });
+    });
+
+    it('should match words in the title or content', function () {
+      const filter = compileQuery(parseQuery('a.b'));
+      expect(filter.$or).to.have.length(2);
+      expect(filter.$or[0].title.test('A.B')).to.be.true;
+      expect(filter.$or[0].title.test('axb')).to.be.false;
+    });
+
+    it('should turn dates into ranges of whole days', function () {
+      const day = new Date('2026-01-01T00:00:00Z');
+      const next = new Date('2026-01-02T00:00:00Z');
+      expect(compileQuery(parseQuery('created:>2026-01-01'))).to.deep.equal({
+        createdAt: { $gte: next },
+      });
+      expect(compileQuery(parseQuery('updated:2026-01-01'))).to.deep.equal({
+        updatedAt: { $gte: day, $lt: next },
+      });
+    });
+
+    it('should reject invalid values with their position', function () {
+      [
+        ['a created:2026-02-30', 2],
+        ['is:archived', 0],
+      ].forEach(([q, position]) => {
+        expect(() => compileQuery(parseQuery(q)))
+          .to.throw()
+          .with.property('position', position);
+      });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const sinon = require('sinon');
+
+const app = require('../server');
+const Note = require('../models/note');
+const Revision = require('../models/revision');
+const User = require('../models/user');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+const sandbox = sinon.createSandbox();
+
+describe('Revision snapshots', function () {
+  afterEach(() => sandbox.restore());
+
+  it('should take the next number when another snapshot got there first', function () {
+    const latest = sandbox.stub().resolves({ rev: 1 });
+    latest.onSecondCall().resolves({ rev: 2 });
+    sandbox.stub(Revision, 'findOne').returns({ sort: latest });
+    const create = sandbox.stub(Revision, 'create');
+    const duplicate = Object.assign(new Error('Duplicate key'), { code: 11000 });
+    create.onFirstCall().rejects(duplicate);
+    create.onSecondCall().callsFake(revision => Promise.resolve(revision));
+
+    const note = { _id: 'n1', title: 'Note', version: 3 };
+    return Revision.snapshot(note).then((revision) => {
+      expect(create.firstCall.args[0].rev).to.equal(2);
+      expect(revision).to.include({ rev: 3, version: 3 });
+    });
+  });
+});
+
+describe('Noteful API - Note revisions', function () {
+  let userId;
+  let bearerAuth;
+  let note;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+      return Note.findOne({ userId });
+    })
+    .then((_note) => {
+      note = _note;
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function updateNote(update) {
+    return chai
+      .request(app)
+      .put(`/api/notes/${note.id}`)
+      .set('Authorization', bearerAuth)
+      .send(update);
+  }
+
+  describe('PUT /api/notes/:id', function () {
+    it('should snapshot the previous state of the note', function () {
+      return updateNote({ title: 'A brand new title' })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return Revision.find({ noteId: note.id });
+        })
+        .then((revisions) => {
+          expect(revisions).to.have.length(1);
+          expect(revisions[0].rev).to.equal(1);
+          expect(revisions[0].title).to.equal(note.title);
+          expect(revisions[0].content).to.equal(note.content);
+        });
+    });
+
+    it('should not snapshot a note that does not exist', function () {
+      return chai
+        .request(app)
+        .put('/api/notes/DOESNOTEXIST')
+        .set('Authorization', bearerAuth)
+        .send({ title: 'Nope' })
+        .then((res) => {
+          expect(res).to.have.status(404);
+          return Revision.countDocuments();
+        })
+        .then(count => expect(count).to.equal(0));
+    });
+  });
+
+  describe('GET /api/notes/:id/revisions', function () {
+    it('should list revisions newest first', function () {
+      return updateNote({ title: 'First edit' })
+        .then(() => updateNote({ title: 'Second edit' }))
+        .then(() => chai
+          .request(app)
+          .get(`/api/notes/${note.id}/revisions`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.be.json;
+          expect(res.body).to.be.an('array');
+          expect(res.body).to.have.length(2);
+          expect(res.body.map(revision => revision.rev)).to.deep.equal([2, 1]);
+          expect(res.body[0].title).to.equal('First edit');
+          expect(res.body[1].title).to.equal(note.title);
+        });
+    });
+
+    it("should respond with a 404 for another user's note", function () {
+      return User.findOne({ _id: { $ne: userId } })
+        .then(otherUser => Note.findOne({ userId: otherUser.id }))
+        .then(otherNote => chai
+          .request(app)
+          .get(`/api/notes/${otherNote.id}/revisions`)
+          .set('Authorization', bearerAuth))
+        .then(res => expect(res).to.have.status(404));
+    });
+  });
+
+  describe('GET /api/notes/:id/revisions/:rev', function () {
+    it('should return a single revision', function () {
+      return updateNote({ title: 'First edit' })
+        .then(() => chai
+          .request(app)
+          .get(`/api/notes/${note.id}/revisions/1`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.include.all.keys(
+            'id',
+            'noteId',
+            'rev',
+            'title',
+            'createdAt',
+            'userId',
+          );
+          expect(res.body.noteId).to.equal(note.id);
+          expect(res.body.title).to.equal(note.title);
+        });
+    });
+
+    it('should respond with a 400 for an invalid rev', function () {
+      return chai
+        .request(app)
+        .get(`/api/notes/${note.id}/revisions/0`)
+        .set('Authorization', bearerAuth)
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The `rev` is not valid');
+        });
+    });
+
+    it('should respond with a 404 for a rev that does not exist', function () {
+      return chai
+        .request(app)
+        .get(`/api/notes/${note.id}/revisions/42`)
+        .set('Authorization', bearerAuth)
+        .then(res => expect(res).to.have.status(404));
+    });
+  });
+
+  describe('POST /api/notes/:id/revisions/:rev/restore', function () {
+    it('should restore the note and snapshot the state it replaced', function () {
+      return updateNote({ title: 'Accidental overwrite', content: '' })
+        .then(() => chai
+          .request(app)
+          .post(`/api/notes/${note.id}/revisions/1/restore`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal(note.title);
+          expect(res.body.content).to.equal(note.content);
+          return Revision.find({ noteId: note.id }).sort({ rev: 'asc' });
+        })
+        .then((revisions) => {
+          expect(revisions).to.have.length(2);
+          expect(revisions[1].title).to.equal('Accidental overwrite');
+        });
+    });
+
+    it('should respond with a 404 for a rev that does not exist', function () {
+      return chai
+        .request(app)
+        .post(`/api/notes/${note.id}/revisions/42/restore`)
+        .set('Authorization', bearerAuth)
+        .then(res => expect(res).to.have.status(404));
+    });
+  });
+});
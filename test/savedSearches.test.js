@@ -0,0 +1,239 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const SavedSearch = require('../models/savedSearch');
+const Tag = require('../models/tag');
+const User = require('../models/user');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Noteful API - Saved searches', function () {
+  let userId;
+  let otherUserId;
+  let bearerAuth;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+      return User.findOne({ _id: { $ne: userId } });
+    })
+    .then((other) => {
+      otherUserId = other.id;
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function request(method, path) {
+    return chai
+      .request(app)[method](path)
+      .set('Authorization', bearerAuth);
+  }
+
+  describe('POST /api/saved-searches', function () {
+    it('should create and return a new saved search', function () {
+      let folder;
+      return Folder.findOne({ userId })
+        .then((_folder) => {
+          folder = _folder;
+          return request('post', '/api/saved-searches').send({
+            name: 'Drafts about cats',
+            searchTerm: 'cats',
+            folderId: folder.id,
+            sort: '-title',
+          });
+        })
+        .then((res) => {
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          expect(res.body).to.include({
+            name: 'Drafts about cats',
+            searchTerm: 'cats',
+            folderId: folder.id,
+            sort: '-title',
+            userId,
+          });
+          return SavedSearch.findById(res.body.id);
+        })
+        .then((savedSearch) => {
+          expect(savedSearch.name).to.equal('Drafts about cats');
+        });
+    });
+
+    it('should respond with a 400 for a duplicate name', function () {
+      return SavedSearch.create({ name: 'Cats', userId })
+        .then(() => request('post', '/api/saved-searches').send({ name: 'Cats' }))
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('Saved search name already exists');
+        });
+    });
+
+    it('should allow the same name for another user', function () {
+      return SavedSearch.create({ name: 'Cats', userId: otherUserId })
+        .then(() => request('post', '/api/saved-searches').send({ name: 'Cats' }))
+        .then((res) => {
+          expect(res).to.have.status(201);
+        });
+    });
+
+    it('should validate the query, sort and folder of the search', function () {
+      return Folder.findOne({ userId: { $ne: userId } })
+        .then(other => Promise.all([
+          { name: 'A', q: '(tag:a' },
+          { name: 'B', sort: 'size' },
+          { name: 'C', folderId: other.id },
+          { searchTerm: 'cats' },
+        ].map(body => request('post', '/api/saved-searches').send(body))))
+        .then(([query, sort, folder, name]) => {
+          expect(query).to.have.status(400);
+          expect(query.body.message).to.equal('Missing `)` at position 6');
+          expect(sort).to.have.status(400);
+          expect(folder).to.have.status(422);
+          expect(folder.body.message).to.equal('The `folderId` does not exist');
+          expect(name).to.have.status(400);
+          expect(name.body.message).to.equal('Missing `name` in request body');
+        });
+    });
+  });
+
+  describe('GET /api/saved-searches', function () {
+    it("should list the user's own saved searches sorted by name", function () {
+      return SavedSearch.insertMany([
+        { name: 'Work', userId },
+        { name: 'Cats', userId },
+        { name: 'Other', userId: otherUserId },
+      ])
+        .then(() => request('get', '/api/saved-searches'))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(savedSearch => savedSearch.name))
+            .to.deep.equal(['Cats', 'Work']);
+        });
+    });
+  });
+
+  describe('PUT /api/saved-searches/:id', function () {
+    it('should replace the search, dropping what is left out', function () {
+      return SavedSearch.create({ name: 'Cats', userId, searchTerm: 'cats' })
+        .then(savedSearch => request('put', `/api/saved-searches/${savedSearch.id}`)
+          .send({ name: 'Lessons', q: 'title:lessons' }))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.include({ name: 'Lessons', q: 'title:lessons' });
+          expect(res.body).to.not.have.property('searchTerm');
+        });
+    });
+
+    it("should respond with a 404 for another user's saved search", function () {
+      return SavedSearch.create({ name: 'Cats', userId: otherUserId })
+        .then(savedSearch => request('put', `/api/saved-searches/${savedSearch.id}`)
+          .send({ name: 'Mine' }))
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+  });
+
+  describe('DELETE /api/saved-searches/:id', function () {
+    it('should delete the saved search but none of the notes', function () {
+      let savedSearch;
+      let count;
+      return Promise.all([
+        SavedSearch.create({ name: 'Cats', userId, searchTerm: 'cats' }),
+        Note.countDocuments(),
+      ])
+        .then(([_savedSearch, _count]) => {
+          [savedSearch, count] = [_savedSearch, _count];
+          return request('delete', `/api/saved-searches/${savedSearch.id}`);
+        })
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Promise.all([
+            SavedSearch.findById(savedSearch.id),
+            Note.countDocuments(),
+          ]);
+        })
+        .then(([deleted, after]) => {
+          expect(deleted).to.be.null;
+          expect(after).to.equal(count);
+        });
+    });
+  });
+
+  describe('GET /api/notes?savedSearchId=', function () {
+    it('should list the notes matching the saved search as it is now', function () {
+      let savedSearch;
+      return SavedSearch.create({ name: 'Cats', userId, searchTerm: 'cats' })
+        .then((_savedSearch) => {
+          savedSearch = _savedSearch;
+          return Note.create({ title: 'More cats', userId });
+        })
+        .then(() => Promise.all([
+          request('get', `/api/notes?savedSearchId=${savedSearch.id}`),
+          Note.find({
+            userId, deletedAt: null, $or: [{ title: /cats/i }, { content: /cats/i }],
+          }),
+        ]))
+        .then(([res, notes]) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(notes.length);
+          expect(res.body.map(note => note.title)).to.include('More cats');
+        });
+    });
+
+    it('should only list notes with all of the saved tags', function () {
+      let notes;
+      return Tag.find({ userId })
+        .limit(2)
+        .then(tags => Promise.all([
+          SavedSearch.create({ name: 'Both', userId, tags }),
+          Note.find({ userId, deletedAt: null, tags: { $all: tags } }),
+        ]))
+        .then(([savedSearch, _notes]) => {
+          notes = _notes;
+          return request('get', `/api/notes?savedSearchId=${savedSearch.id}`);
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(note => note.id))
+            .to.have.members(notes.map(note => note.id));
+        });
+    });
+
+    it('should let parameters of the request override the saved ones', function () {
+      return SavedSearch.create({ name: 'Cats', userId, searchTerm: 'cats' })
+        .then(savedSearch => request(
+          'get',
+          `/api/notes?savedSearchId=${savedSearch.id}&searchTerm=NOTHING-MATCHES`,
+        ))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.be.empty;
+        });
+    });
+
+    it("should respond with a 422 for another user's saved search", function () {
+      return SavedSearch.create({ name: 'Cats', userId: otherUserId })
+        .then(savedSearch => request(
+          'get',
+          `/api/notes?savedSearchId=${savedSearch.id}`,
+        ))
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `savedSearchId` does not exist');
+        });
+    });
+  });
+});
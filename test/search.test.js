@@ -0,0 +1,65 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const {
+  escapeRegExp, highlight, parseSearch,
+} = require('../lib/search');
+
+describe('Search helpers', () => {
+  describe('escapeRegExp', () => {
+    it('should escape regular expression metacharacters', function () {
+      const string = 'cats (and dogs) + $5?';
+      expect(new RegExp(escapeRegExp(string)).test(string)).to.be.true;
+    });
+  });
+
+  describe('parseSearch', () => {
+    it('should split terms, phrases and exclusions', function () {
+      expect(parseSearch('cats "life lessons" -dogs -"bad advice"')).to.deep.equal({
+        terms: ['cats'],
+        phrases: ['life lessons'],
+        excluded: ['dogs', 'bad advice'],
+      });
+    });
+
+    it('should ignore empty phrases and lone dashes', function () {
+      expect(parseSearch('"" - cats')).to.deep.equal({
+        terms: ['cats'],
+        phrases: [],
+        excluded: [],
+      });
+    });
+  });
+
+  describe('highlight', () => {
+    it('should mark stemmed terms and phrases', function () {
+      const parsed = parseSearch('cat "good boy"');
+      expect(highlight('Cats are a good boy too', parsed)).to.equal(
+        '<mark>Cats</mark> are a <mark>good boy</mark> too',
+      );
+    });
+
+    it('should escape html in the content', function () {
+      const parsed = parseSearch('cats');
+      expect(highlight('<b>cats</b>', parsed)).to.equal(
+        '&lt;b&gt;<mark>cats</mark>&lt;/b&gt;',
+      );
+    });
+
+    it('should excerpt long content around the first match', function () {
+      const padding = 'lorem ipsum '.repeat(20);
+      const snippet = highlight(`${padding}cats ${padding}`, parseSearch('cats'));
+      expect(snippet.startsWith('…')).to.be.true;
+      expect(snippet.endsWith('…')).to.be.true;
+      expect(snippet).to.include('<mark>cats</mark>');
+      expect(snippet.length).to.be.below(200);
+    });
+
+    it('should fall back to the start of the content without a match', function () {
+      expect(highlight('Nothing to see here', parseSearch('cats'))).to.equal(
+        'Nothing to see here',
+      );
+    });
+  });
+});
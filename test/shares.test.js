@@ -0,0 +1,258 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Tag = require('../models/tag');
+const User = require('../models/user');
+const tokens = require('../auth/tokens');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Noteful API - Note sharing', function () {
+  let owner;
+  let collaborator;
+  let ownerAuth;
+  let collaboratorAuth;
+  let note;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(() => Promise.all([
+      User.findOne({ username: 'bob' }),
+      User.findOne({ username: 'alice' }),
+    ]))
+    .then(([_owner, _collaborator]) => {
+      owner = _owner;
+      collaborator = _collaborator;
+      ownerAuth = `Bearer ${tokens.createAuthToken(owner.toObject())}`;
+      collaboratorAuth = `Bearer ${tokens.createAuthToken(collaborator.toObject())}`;
+      return Note.findOne({ userId: owner.id });
+    })
+    .then((_note) => {
+      note = _note;
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function share(permission) {
+    return chai
+      .request(app)
+      .post(`/api/notes/${note.id}/shares`)
+      .set('Authorization', ownerAuth)
+      .send({ username: collaborator.username, permission });
+  }
+
+  describe('POST /api/notes/:id/shares', function () {
+    it('should grant access to another user', function () {
+      return share('read')
+        .then((res) => {
+          expect(res).to.have.status(201);
+          expect(res.body).to.deep.equal({
+            userId: collaborator.id,
+            username: collaborator.username,
+            fullname: collaborator.fullname,
+            permission: 'read',
+          });
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.shares).to.have.length(1);
+          expect(result.shares[0].userId.toString()).to.equal(collaborator.id);
+        });
+    });
+
+    it('should update the permission when sharing again', function () {
+      return share('read')
+        .then(() => share('write'))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.shares).to.have.length(1);
+          expect(result.shares[0].permission).to.equal('write');
+        });
+    });
+
+    it('should return an error with an invalid permission', function () {
+      return share('admin').then((res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.message).to.equal(
+          'The `permission` must be one of: read, write',
+        );
+      });
+    });
+
+    it('should return an error when the user does not exist', function () {
+      return chai
+        .request(app)
+        .post(`/api/notes/${note.id}/shares`)
+        .set('Authorization', ownerAuth)
+        .send({ username: 'nobody', permission: 'read' })
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `username` does not exist');
+        });
+    });
+
+    it('should not let a collaborator reshare the note', function () {
+      return share('write')
+        .then(() => chai
+          .request(app)
+          .post(`/api/notes/${note.id}/shares`)
+          .set('Authorization', collaboratorAuth)
+          .send({ username: owner.username, permission: 'read' }))
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+  });
+
+  describe('Shared note access', function () {
+    it('should list notes shared with the user with `shared=true`', function () {
+      return share('read')
+        .then(() => chai
+          .request(app)
+          .get('/api/notes?shared=true')
+          .set('Authorization', collaboratorAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(1);
+          expect(res.body[0].id).to.equal(note.id);
+        });
+    });
+
+    it('should let a reader get but not update the note', function () {
+      return share('read')
+        .then(() => chai
+          .request(app)
+          .get(`/api/notes/${note.id}`)
+          .set('Authorization', collaboratorAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.id).to.equal(note.id);
+          return chai
+            .request(app)
+            .put(`/api/notes/${note.id}`)
+            .set('Authorization', collaboratorAuth)
+            .send({ title: 'Changed by a reader' });
+        })
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should let a writer update the text of the note', function () {
+      return share('write')
+        .then(() => chai
+          .request(app)
+          .put(`/api/notes/${note.id}`)
+          .set('Authorization', collaboratorAuth)
+          .send({ title: 'Changed by a writer' }))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal('Changed by a writer');
+          expect(res.body.userId).to.equal(owner.id);
+        });
+    });
+
+    it('should not let a writer change the tags of the note', function () {
+      return share('write')
+        .then(() => Tag.findOne({ userId: collaborator.id }))
+        .then(tag => chai
+          .request(app)
+          .put(`/api/notes/${note.id}`)
+          .set('Authorization', collaboratorAuth)
+          .send({ title: 'Changed by a writer', tags: [tag.id] }))
+        .then((res) => {
+          expect(res).to.have.status(403);
+          expect(res.body.message).to.equal(
+            'Only the owner can change the folder or tags of a note',
+          );
+        });
+    });
+
+    it('should only restore the text of a revision for a writer', function () {
+      const update = body => chai
+        .request(app)
+        .put(`/api/notes/${note.id}`)
+        .set('Authorization', ownerAuth)
+        .send(body);
+      return Promise.all([
+        Folder.findOne({ userId: owner.id }),
+        Tag.findOne({ userId: owner.id }),
+      ])
+        .then(([folder, tag]) => update({
+          title: 'Filed', folderId: folder.id, tags: [tag.id],
+        }))
+        .then(() => update({ title: 'Unfiled', folderId: '', tags: [] }))
+        .then(() => share('write'))
+        .then(() => chai
+          .request(app)
+          .post(`/api/notes/${note.id}/revisions/2/restore`)
+          .set('Authorization', collaboratorAuth))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal('Filed');
+          expect(res.body.tags).to.be.empty;
+          expect(res.body).to.not.have.property('folderId');
+        });
+    });
+
+    it('should not let a writer delete the note', function () {
+      return share('write')
+        .then(() => chai
+          .request(app)
+          .delete(`/api/notes/${note.id}`)
+          .set('Authorization', collaboratorAuth))
+        .then(() => Note.findById(note.id))
+        .then((result) => {
+          expect(result.deletedAt).to.not.exist;
+        });
+    });
+  });
+
+  describe('DELETE /api/notes/:id/shares/:userId', function () {
+    it('should revoke access to the note', function () {
+      return share('read')
+        .then(() => chai
+          .request(app)
+          .delete(`/api/notes/${note.id}/shares/${collaborator.id}`)
+          .set('Authorization', ownerAuth))
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return chai
+            .request(app)
+            .get(`/api/notes/${note.id}`)
+            .set('Authorization', collaboratorAuth);
+        })
+        .then((res) => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should let a collaborator leave a shared note', function () {
+      return share('read')
+        .then(() => chai
+          .request(app)
+          .delete(`/api/notes/${note.id}/shares/${collaborator.id}`)
+          .set('Authorization', collaboratorAuth))
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.shares).to.have.length(0);
+        });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Tag = require('../models/tag');
+const stats = require('../lib/stats');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Note counts', function () {
+  it('should add the count of every item, nested ones included', function () {
+    const tree = [
+      { id: 'a', name: 'A', children: [{ id: 'b', name: 'B', children: [] }] },
+      { id: 'c', name: 'C', children: [] },
+    ];
+    const counts = new Map([['a', 2], ['b', 1]]);
+
+    const result = stats.withCounts(tree, counts);
+    expect(result.map(item => item.noteCount)).to.deep.equal([2, 0]);
+    expect(result[0].children[0].noteCount).to.equal(1);
+    expect(tree[0]).to.not.have.property('noteCount');
+  });
+});
+
+describe('Noteful API - Stats', function () {
+  let userId;
+  let bearerAuth;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function get(path) {
+    return chai
+      .request(app)
+      .get(path)
+      .set('Authorization', bearerAuth);
+  }
+
+  describe('GET /api/folders?withCounts=true', function () {
+    it('should include the number of notes in each folder', function () {
+      return Promise.all([
+        get('/api/folders?withCounts=true'),
+        Folder.find({ userId, deletedAt: null }),
+      ])
+        .then(([res, folders]) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(folders.length);
+          return Promise.all(res.body.map(folder => Note
+            .countDocuments({ folderId: folder.id, deletedAt: null })
+            .then(count => expect(folder.noteCount).to.equal(count))));
+        });
+    });
+
+    it('should include the counts in the folder tree', function () {
+      return get('/api/folders?tree=true&withCounts=true').then((res) => {
+        expect(res).to.have.status(200);
+        res.body.forEach((folder) => {
+          expect(folder.noteCount).to.be.a('number');
+        });
+      });
+    });
+  });
+
+  describe('GET /api/tags?withCounts=true', function () {
+    it('should include the number of notes with each tag', function () {
+      return get('/api/tags?withCounts=true')
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return Promise.all(res.body.map(tag => Note
+            .countDocuments({ tags: tag.id, deletedAt: null })
+            .then(count => expect(tag.noteCount).to.equal(count))));
+        });
+    });
+
+    it('should leave the counts out by default', function () {
+      return get('/api/tags').then((res) => {
+        res.body.forEach((tag) => {
+          expect(tag).to.not.have.property('noteCount');
+        });
+      });
+    });
+  });
+
+  describe('GET /api/stats', function () {
+    it('should summarize the notebook', function () {
+      let unused;
+      return Tag.create({ name: 'Unused', userId })
+        .then((tag) => {
+          unused = tag;
+          return Promise.all([
+            get('/api/stats?days=7'),
+            Note.countDocuments({ userId, deletedAt: null }),
+          ]);
+        })
+        .then(([res, notes]) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.all.keys(
+            'totals',
+            'activity',
+            'topTags',
+            'unusedTags',
+            'emptyFolders',
+            'untaggedNotes',
+          );
+          expect(res.body.totals.notes).to.equal(notes);
+          expect(res.body.activity).to.have.length(7);
+          expect(res.body.unusedTags.map(tag => tag.id)).to.include(unused.id);
+          res.body.topTags.forEach((tag, i) => {
+            expect(tag.noteCount).to.be.above(0);
+            if (i > 0) {
+              expect(tag.noteCount).to.be.at.most(res.body.topTags[i - 1].noteCount);
+            }
+          });
+        });
+    });
+
+    it('should count the notes created today', function () {
+      return Note.create({ title: 'Today', userId })
+        .then(() => get('/api/stats?days=1'))
+        .then((res) => {
+          const [today] = res.body.activity;
+          expect(today.date).to.equal(new Date().toISOString().slice(0, 10));
+          expect(today.created).to.be.at.least(1);
+        });
+    });
+
+    it('should count the notes edited today once each', function () {
+      let before;
+      return Note.findOne({ userId })
+        .then((note) => {
+          const put = title => chai
+            .request(app)
+            .put(`/api/notes/${note.id}`)
+            .set('Authorization', bearerAuth)
+            .send({ title });
+          return get('/api/stats?days=1')
+            .then((res) => {
+              [before] = res.body.activity;
+              return put('Once');
+            })
+            .then(() => put('Twice'));
+        })
+        .then(() => get('/api/stats?days=1'))
+        .then((res) => {
+          const [today] = res.body.activity;
+          expect(today.updated).to.equal(before.updated + 1);
+        });
+    });
+
+    it('should respond with a 400 for an invalid number of days', function () {
+      return get('/api/stats?days=0').then((res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.message).to.equal(
+          'The `days` must be an integer between 1 and 365',
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,280 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Tag = require('../models/tag');
+const sync = require('../lib/sync');
+const trash = require('../lib/trash');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Sync tokens', function () {
+  it('should stand for the time they were created from', function () {
+    const date = new Date('2026-10-01T12:00:00Z');
+    return sync.decodeToken(sync.encodeToken(date), new Date('2026-10-02T12:00:00Z'))
+      .then((result) => {
+        expect(result).to.deep.equal(date);
+      });
+  });
+
+  it('should reject tokens which cannot be read', function () {
+    return sync.decodeToken('not-a-token').then(
+      () => expect.fail('The token should be rejected'),
+      (err) => {
+        expect(err.status).to.equal(400);
+        expect(err.message).to.equal('The `since` token is not valid');
+      },
+    );
+  });
+
+  it('should reject tokens older than the deletions kept', function () {
+    const token = sync.encodeToken(new Date('2020-01-01T00:00:00Z'));
+    return sync.decodeToken(token, new Date('2026-10-01T00:00:00Z')).then(
+      () => expect.fail('The token should be rejected'),
+      (err) => {
+        expect(err.status).to.equal(410);
+      },
+    );
+  });
+});
+
+describe('Noteful API - Sync', function () {
+  let userId;
+  let bearerAuth;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function changesSince(since) {
+    return chai
+      .request(app)
+      .get('/api/sync')
+      .query(since ? { since } : {})
+      .set('Authorization', bearerAuth);
+  }
+
+  function push(changes) {
+    return chai
+      .request(app)
+      .post('/api/sync')
+      .set('Authorization', bearerAuth)
+      .send({ changes });
+  }
+
+  // Let the clock move on, so later changes get a later `updatedAt`
+  function tick() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  // A token issued after seeding, a moment before the changes a test makes
+  function tokenBeforeChanges() {
+    const token = sync.encodeToken(new Date());
+    return tick().then(() => token);
+  }
+
+  describe('GET /api/sync', function () {
+    it('should return everything and a sync token without `since`', function () {
+      return Promise.all([
+        changesSince(),
+        Note.countDocuments({ userId, deletedAt: null }),
+        Folder.countDocuments({ userId, deletedAt: null }),
+        Tag.countDocuments({ userId, deletedAt: null }),
+      ]).then(([res, notes, folders, tags]) => {
+        expect(res).to.have.status(200);
+        expect(res.body.syncToken).to.be.a('string');
+        expect(res.body.notes).to.have.length(notes);
+        expect(res.body.folders).to.have.length(folders);
+        expect(res.body.tags).to.have.length(tags);
+        expect(res.body.deleted).to.deep.equal({ notes: [], folders: [], tags: [] });
+      });
+    });
+
+    it('should return the items changed and deleted since the token', function () {
+      let since;
+      let changed;
+      let trashed;
+      let purged;
+      return tokenBeforeChanges()
+        .then((token) => {
+          since = token;
+          return Note.find({ userId }).limit(3);
+        })
+        .then(([a, b, c]) => {
+          [changed, trashed, purged] = [a, b, c];
+          return Promise.all([
+            Note.updateOne({ _id: changed.id }, { title: 'Changed' }),
+            Note.updateOne({ _id: trashed.id }, { deletedAt: new Date() }),
+            Note.updateOne({ _id: purged.id }, { deletedAt: new Date() }),
+          ]);
+        })
+        .then(() => trash.purge('notes', { _id: purged.id }))
+        .then(() => changesSince(since))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.notes.map(note => note.id)).to.deep.equal([changed.id]);
+          expect(res.body.deleted.notes).to.have.members([trashed.id, purged.id]);
+          expect(res.body.folders).to.be.empty;
+        });
+    });
+
+    it('should reject a token which cannot be read', function () {
+      return changesSince('not-a-token').then((res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.message).to.equal('The `since` token is not valid');
+      });
+    });
+  });
+
+  describe('POST /api/sync', function () {
+    it('should create items referring to each other by `clientId`', function () {
+      return push([
+        {
+          type: 'folders', action: 'create', clientId: 'f1', data: { name: 'Offline' },
+        },
+        {
+          type: 'notes',
+          action: 'create',
+          clientId: 'n1',
+          data: { title: 'Written offline', folderId: 'f1' },
+        },
+      ])
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.succeeded).to.equal(2);
+          const [folder, note] = res.body.results;
+          expect(folder).to.include({ type: 'folders', clientId: 'f1', status: 'ok' });
+          expect(note.item.folderId).to.equal(folder.id);
+          return Note.findById(note.id);
+        })
+        .then((note) => {
+          expect(note.title).to.equal('Written offline');
+        });
+    });
+
+    it('should report conflicts with changes made since the sync', function () {
+      let note;
+      return Note.findOne({ userId })
+        .then((_note) => {
+          note = _note;
+          return tick();
+        })
+        .then(() => Note.updateOne(
+          { _id: note.id },
+          { title: 'Changed on the server' },
+        ))
+        .then(() => push([{
+          type: 'notes',
+          action: 'update',
+          id: note.id,
+          updatedAt: note.updatedAt,
+          data: { title: 'Changed offline' },
+        }]))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.conflicts).to.equal(1);
+          const [result] = res.body.results;
+          expect(result.status).to.equal('conflict');
+          expect(result.current.title).to.equal('Changed on the server');
+          return Note.findById(note.id);
+        })
+        .then((result) => {
+          expect(result.title).to.equal('Changed on the server');
+        });
+    });
+
+    it('should update and delete items which did not change', function () {
+      let note;
+      let tag;
+      return Promise.all([Note.findOne({ userId }), Tag.findOne({ userId })])
+        .then(([_note, _tag]) => {
+          [note, tag] = [_note, _tag];
+          return push([
+            {
+              type: 'notes',
+              action: 'update',
+              id: note.id,
+              updatedAt: note.updatedAt,
+              data: { content: 'Edited offline' },
+            },
+            { type: 'tags', action: 'delete', id: tag.id },
+          ]);
+        })
+        .then((res) => {
+          expect(res.body.succeeded).to.equal(2);
+          return Promise.all([Note.findById(note.id), Tag.findById(tag.id)]);
+        })
+        .then(([updatedNote, deletedTag]) => {
+          expect(updatedNote.content).to.equal('Edited offline');
+          expect(updatedNote.version).to.equal(2);
+          expect(deletedTag.deletedAt).to.exist;
+        });
+    });
+
+    it('should pin notes and take flags away again', function () {
+      let note;
+      return Note.findOne({ userId })
+        .then((_note) => {
+          note = _note;
+          return push([
+            {
+              type: 'notes', action: 'update', id: note.id, data: { pinned: true },
+            },
+            {
+              type: 'notes', action: 'update', id: note.id, data: { pinned: false },
+            },
+            {
+              type: 'notes', action: 'update', id: note.id, data: { favorite: 'yes' },
+            },
+          ]);
+        })
+        .then((res) => {
+          expect(res.body.results.map(result => result.status))
+            .to.deep.equal(['ok', 'ok', 'error']);
+          expect(res.body.results[0].item.pinned).to.be.true;
+          return Note.findById(note.id);
+        })
+        .then((updated) => {
+          expect(updated.pinned).to.be.undefined;
+          expect(updated.favorite).to.be.undefined;
+        });
+    });
+
+    it('should fail only the invalid changes', function () {
+      return push([
+        { type: 'notes', action: 'create', data: {} },
+        { type: 'widgets', action: 'create', data: { name: 'x' } },
+        { type: 'tags', action: 'create', data: { name: 'synced' } },
+      ]).then((res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.failed).to.equal(2);
+        expect(res.body.results.map(result => result.message)).to.deep.equal([
+          'Missing `title` in change',
+          'The `type` must be one of: notes, folders, tags',
+          undefined,
+        ]);
+      });
+    });
+
+    it('should reject a request without changes', function () {
+      return push([]).then((res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.message).to.equal('The `changes` must be a non-empty array');
+      });
+    });
+  });
+});
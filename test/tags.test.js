@@ -8,6 +8,9 @@ const sinon = require('sinon');
 const app = require('../server');
 const Tag = require('../models/tag');
 const Note = require('../models/note');
+const Revision = require('../models/revision');
+const SavedSearch = require('../models/savedSearch');
+const Template = require('../models/template');
 const User = require('../models/user');
 const utils = require('./utils');
 
@@ -453,6 +456,213 @@ describe('Noteful API - Tags', function () {
     });
   });
 
+  describe('Tag hierarchy', function () {
+    function createTag(name, parentId) {
+      return chai
+        .request(app)
+        .post('/api/tags')
+        .set('Authorization', bearerAuth)
+        .send(parentId ? { name, parentId } : { name });
+    }
+
+    it('should nest tags and allow the same name under different parents', function () {
+      let work;
+      let home;
+      return Promise.all([createTag('work'), createTag('home')])
+        .then(([workRes, homeRes]) => {
+          work = workRes.body;
+          home = homeRes.body;
+          return Promise.all([
+            createTag('urgent', work.id),
+            createTag('urgent', home.id),
+          ]);
+        })
+        .then(([urgentAtWork, urgentAtHome]) => {
+          expect(urgentAtWork).to.have.status(201);
+          expect(urgentAtHome).to.have.status(201);
+          expect(urgentAtWork.body.parentId).to.equal(work.id);
+          return chai
+            .request(app)
+            .get('/api/tags?tree=true')
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          const node = res.body.find(tag => tag.id === work.id);
+          expect(node.children.map(child => child.path)).to.deep.equal(['work/urgent']);
+        });
+    });
+
+    it('should not move a tag inside itself', function () {
+      let parent;
+      return createTag('work')
+        .then((res) => {
+          parent = res.body;
+          return createTag('clients', parent.id);
+        })
+        .then(res => chai
+          .request(app)
+          .put(`/api/tags/${parent.id}`)
+          .set('Authorization', bearerAuth)
+          .send({ name: 'work', parentId: res.body.id }))
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Cannot move a tag inside itself');
+        });
+    });
+
+    it('should move the children of a deleted tag up a level', function () {
+      let parent;
+      let child;
+      return createTag('work')
+        .then((res) => {
+          parent = res.body;
+          return createTag('clients', parent.id);
+        })
+        .then((res) => {
+          child = res.body;
+          return chai
+            .request(app)
+            .delete(`/api/tags/${parent.id}`)
+            .set('Authorization', bearerAuth);
+        })
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Tag.findById(child.id);
+        })
+        .then((result) => {
+          expect(result.parentId).to.not.exist;
+        });
+    });
+  });
+
+  describe('POST /api/tags/:id/merge', function () {
+    function merge(id, targetId) {
+      return chai
+        .request(app)
+        .post(`/api/tags/${id}/merge`)
+        .set('Authorization', bearerAuth)
+        .send({ targetId });
+    }
+
+    it('should retag the notes without duplicates and remove the tag', function () {
+      let source;
+      let target;
+      let tagged;
+      return Tag.find({ userId }).limit(2)
+        .then(([_source, _target]) => {
+          [source, target] = [_source, _target];
+          return Note.findOne({ userId });
+        })
+        .then(note => Note.updateOne(
+          { _id: note.id },
+          { tags: [source._id, target._id] },
+        ))
+        .then(() => Note.countDocuments({
+          userId,
+          tags: { $in: [source._id, target._id] },
+        }))
+        .then((count) => {
+          tagged = count;
+          return merge(source.id, target.id);
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.tag.id).to.equal(target.id);
+          return Promise.all([
+            Note.countDocuments({ tags: source._id }),
+            Note.find({ userId, tags: target._id }),
+            Tag.findById(source.id),
+          ]);
+        })
+        .then(([count, notes, deleted]) => {
+          expect(count).to.equal(0);
+          expect(notes).to.have.length(tagged);
+          notes.forEach((note) => {
+            const ids = note.tags.map(String);
+            expect(ids).to.have.length(new Set(ids).size);
+          });
+          expect(deleted).to.be.null;
+        });
+    });
+
+    it('should give the retagged notes a new version and a revision', function () {
+      let note;
+      return Tag.find({ userId }).limit(2)
+        .then(([source, target]) => Note
+          .findOneAndUpdate({ userId }, { tags: [source._id] }, { new: true })
+          .then((_note) => {
+            note = _note;
+            return merge(source.id, target.id);
+          }))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return Promise.all([
+            Note.findById(note.id),
+            Revision.find({ noteId: note.id }),
+          ]);
+        })
+        .then(([merged, revisions]) => {
+          expect(merged.version).to.equal(note.version + 1);
+          expect(revisions).to.have.length(1);
+          expect(revisions[0].tags.map(String)).to.deep.equal(note.tags.map(String));
+        });
+    });
+
+    it('should retag saved searches and templates', function () {
+      let source;
+      let target;
+      return Tag.find({ userId }).limit(2)
+        .then(([_source, _target]) => {
+          [source, target] = [_source, _target];
+          return Promise.all([
+            SavedSearch.create({ name: 'Both', userId, tags: [source, target] }),
+            Template.create({ name: 'Meeting', userId, tags: [source] }),
+          ]);
+        })
+        .then(() => merge(source.id, target.id))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return Promise.all([
+            SavedSearch.findOne({ userId }),
+            Template.findOne({ userId }),
+          ]);
+        })
+        .then(([savedSearch, template]) => {
+          expect(savedSearch.tags.map(String)).to.deep.equal([target.id]);
+          expect(template.tags.map(String)).to.deep.equal([target.id]);
+        });
+    });
+
+    it('should not merge a tag into a tag inside it', function () {
+      let parent;
+      return Tag.findOne({ userId })
+        .then((tag) => {
+          parent = tag;
+          return Tag.create({ name: 'child', parentId: parent.id, userId });
+        })
+        .then(child => merge(parent.id, child.id))
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal(
+            'Cannot merge a tag into itself or a tag inside it',
+          );
+        });
+    });
+
+    it("should respond with a 422 when merging into another user's tag", function () {
+      return Promise.all([
+        Tag.findOne({ userId }),
+        Tag.findOne({ userId: { $ne: userId } }),
+      ])
+        .then(([tag, other]) => merge(tag.id, other.id))
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `targetId` does not exist');
+        });
+    });
+  });
+
   describe('DELETE /api/tags/:id', function () {
     it('should delete an existing tag and respond with 204', function () {
       let data;
@@ -467,7 +677,7 @@ describe('Noteful API - Tags', function () {
         .then(function (res) {
           expect(res).to.have.status(204);
           expect(res.body).to.be.empty;
-          return Tag.countDocuments({ _id: data.id });
+          return Tag.countDocuments({ _id: data.id, deletedAt: null });
         })
         .then((count) => {
           expect(count).to.equal(0);
@@ -495,6 +705,32 @@ describe('Noteful API - Tags', function () {
         });
     });
 
+    it('should remove the tag from saved searches and templates', function () {
+      let tag;
+      return Tag.findOne({ userId })
+        .then((_tag) => {
+          tag = _tag;
+          return Promise.all([
+            SavedSearch.create({ name: 'Tagged', userId, tags: [tag] }),
+            Template.create({ name: 'Meeting', userId, tags: [tag] }),
+          ]);
+        })
+        .then(() => chai
+          .request(app)
+          .delete(`/api/tags/${tag.id}`)
+          .set('Authorization', bearerAuth))
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Promise.all([
+            SavedSearch.countDocuments({ tags: tag._id }),
+            Template.countDocuments({ tags: tag._id }),
+          ]);
+        })
+        .then((counts) => {
+          expect(counts).to.deep.equal([0, 0]);
+        });
+    });
+
     it('should respond with a 400 for an invalid id', function () {
       return chai
         .request(app)
@@ -535,7 +771,7 @@ describe('Noteful API - Tags', function () {
         .then((res) => {
           expect(res).to.have.status(204);
         })
-        .then(() => Tag.countDocuments({ _id: fixture.id }))
+        .then(() => Tag.countDocuments({ _id: fixture.id, deletedAt: null }))
         .then((count) => {
           expect(count).to.equal(1);
         });
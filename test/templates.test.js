@@ -0,0 +1,241 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Tag = require('../models/tag');
+const Template = require('../models/template');
+const User = require('../models/user');
+const { placeholderValues, render } = require('../lib/templates');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Template placeholders', function () {
+  const user = { username: 'bobuser', fullname: 'Bob User' };
+  const now = new Date('2026-03-04T05:06:07Z');
+
+  it('should fill in the date, title and user', function () {
+    const values = placeholderValues(user, 'Standup', now);
+    const text = '# {{title}} on {{ date }} at {{time}}, by {{user.fullname}}';
+    expect(render(text, values))
+      .to.equal('# Standup on 2026-03-04 at 05:06, by Bob User');
+  });
+
+  it('should fall back on the username without a full name', function () {
+    const values = placeholderValues({ username: 'bobuser' }, '', now);
+    expect(render('{{user.fullname}}', values)).to.equal('bobuser');
+  });
+
+  it('should leave unknown placeholders as they are', function () {
+    const values = placeholderValues(user, 'Standup', now);
+    expect(render('{{attendees}} {{user}} {{title.length}} {{constructor}}', values))
+      .to.equal('{{attendees}} {{user}} {{title.length}} {{constructor}}');
+  });
+});
+
+describe('Noteful API - Templates', function () {
+  let userId;
+  let otherUserId;
+  let bearerAuth;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+      return User.findOne({ _id: { $ne: userId } });
+    })
+    .then((other) => {
+      otherUserId = other.id;
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function request(method, path) {
+    return chai
+      .request(app)[method](path)
+      .set('Authorization', bearerAuth);
+  }
+
+  describe('POST /api/templates', function () {
+    it('should create and return a new template', function () {
+      return request('post', '/api/templates')
+        .send({ name: 'Meeting', title: 'Meeting {{date}}', content: '# {{title}}' })
+        .then((res) => {
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          expect(res.body).to.include({
+            name: 'Meeting',
+            title: 'Meeting {{date}}',
+            content: '# {{title}}',
+            userId,
+          });
+        });
+    });
+
+    it('should respond with a 400 for a duplicate name', function () {
+      return Template.create({ name: 'Meeting', userId })
+        .then(() => request('post', '/api/templates').send({ name: 'Meeting' }))
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('Template name already exists');
+        });
+    });
+
+    it("should respond with a 422 for another user's tags", function () {
+      return Tag.findOne({ userId: { $ne: userId } })
+        .then(tag => request('post', '/api/templates')
+          .send({ name: 'Meeting', tags: [tag.id] }))
+        .then((res) => {
+          expect(res).to.have.status(422);
+        });
+    });
+  });
+
+  describe('GET /api/templates', function () {
+    it("should list the user's own templates sorted by name", function () {
+      return Template.insertMany([
+        { name: 'Meeting', userId },
+        { name: 'Incident', userId },
+        { name: 'Other', userId: otherUserId },
+      ])
+        .then(() => request('get', '/api/templates'))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(template => template.name))
+            .to.deep.equal(['Incident', 'Meeting']);
+        });
+    });
+  });
+
+  describe('PUT /api/templates/:id', function () {
+    it('should replace the template, dropping what is left out', function () {
+      return Template.create({ name: 'Meeting', userId, content: 'Agenda' })
+        .then(template => request('put', `/api/templates/${template.id}`)
+          .send({ name: 'Standup', title: 'Standup {{date}}' }))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.include({ name: 'Standup', title: 'Standup {{date}}' });
+          expect(res.body).to.not.have.property('content');
+        });
+    });
+  });
+
+  describe('DELETE /api/templates/:id', function () {
+    it('should delete the template', function () {
+      return Template.create({ name: 'Meeting', userId })
+        .then(template => request('delete', `/api/templates/${template.id}`)
+          .then((res) => {
+            expect(res).to.have.status(204);
+            return Template.findById(template.id);
+          }))
+        .then((template) => {
+          expect(template).to.be.null;
+        });
+    });
+  });
+
+  describe('POST /api/notes?fromTemplate=', function () {
+    it('should create a note from the template', function () {
+      let folder;
+      let tags;
+      let fullname;
+      return Promise.all([
+        Folder.findOne({ userId }),
+        Tag.find({ userId }).limit(2),
+        User.findById(userId),
+      ])
+        .then(([_folder, _tags, user]) => {
+          [folder, tags] = [_folder, _tags];
+          return Template.create({
+            name: 'Meeting',
+            userId,
+            title: 'Meeting {{date}}',
+            content: '# {{title}}\n\nTaken by {{user.fullname}}',
+            folderId: folder.id,
+            tags,
+          }).then(template => ({ template, user }));
+        })
+        .then(({ template, user }) => {
+          fullname = user.fullname || user.username;
+          return request('post', `/api/notes?fromTemplate=${template.id}`).send({});
+        })
+        .then((res) => {
+          const title = `Meeting ${new Date().toISOString().slice(0, 10)}`;
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location', `/api/notes/${res.body.id}`);
+          expect(res.body).to.include({
+            title,
+            content: `# ${title}\n\nTaken by ${fullname}`,
+            folderId: folder.id,
+          });
+          expect(res.body.tags).to.have.members(tags.map(tag => tag.id));
+          return Note.findById(res.body.id);
+        })
+        .then((note) => {
+          expect(note).to.not.be.null;
+        });
+    });
+
+    it('should fill in the name the user has now', function () {
+      return Promise.all([
+        Template.create({ name: 'Meeting', userId, content: 'By {{user.fullname}}' }),
+        User.updateOne({ _id: userId }, { fullname: 'Robert User' }),
+      ])
+        .then(([template]) => request('post', `/api/notes?fromTemplate=${template.id}`)
+          .send({ title: 'Retro' }))
+        .then((res) => {
+          expect(res).to.have.status(201);
+          expect(res.body.content).to.equal('By Robert User');
+        });
+    });
+
+    it('should keep the title, folder and tags given in the body', function () {
+      return Template.create({ name: 'Meeting', userId, content: '# {{title}}' })
+        .then(template => request('post', `/api/notes?fromTemplate=${template.id}`)
+          .send({ title: 'Retro', tags: [] }))
+        .then((res) => {
+          expect(res).to.have.status(201);
+          expect(res.body).to.include({ title: 'Retro', content: '# Retro' });
+          expect(res.body.tags).to.be.empty;
+        });
+    });
+
+    it('should respond with a 422 when the folder is gone', function () {
+      let template;
+      return Folder.findOne({ userId })
+        .then(folder => Promise.all([
+          Template.create({
+            name: 'Meeting', userId, title: 'Meeting', folderId: folder.id,
+          }),
+          Folder.updateOne({ _id: folder.id }, { deletedAt: new Date() }),
+        ]))
+        .then(([_template]) => {
+          template = _template;
+          return request('post', `/api/notes?fromTemplate=${template.id}`).send({});
+        })
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `folderId` does not exist');
+        });
+    });
+
+    it("should respond with a 422 for another user's template", function () {
+      return Template.create({ name: 'Meeting', userId: otherUserId, title: 'Meeting' })
+        .then(template => request('post', `/api/notes?fromTemplate=${template.id}`)
+          .send({}))
+        .then((res) => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `fromTemplate` does not exist');
+        });
+    });
+  });
+});
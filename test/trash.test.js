@@ -0,0 +1,240 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+
+const app = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const Revision = require('../models/revision');
+const Tag = require('../models/tag');
+const trash = require('../lib/trash');
+const utils = require('./utils');
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe('Noteful API - Trash', function () {
+  let userId;
+  let bearerAuth;
+
+  before(utils.connectToDatabase);
+  after(utils.disconnectFromDatabase);
+
+  beforeEach(() => utils
+    .seedDatabase()
+    .then(utils.generateBearerToken)
+    .then((obj) => {
+      ({ userId, bearerAuth } = obj);
+    }));
+
+  afterEach(utils.cleanDatabase);
+
+  function remove(path) {
+    return chai
+      .request(app)
+      .delete(path)
+      .set('Authorization', bearerAuth);
+  }
+
+  function restore(type, id) {
+    return chai
+      .request(app)
+      .post(`/api/trash/${type}/${id}/restore`)
+      .set('Authorization', bearerAuth);
+  }
+
+  describe('DELETE /api/notes/:id', function () {
+    it('should hide the note from listings and show it in the trash', function () {
+      let note;
+      return Note.findOne({ userId })
+        .then((_note) => {
+          note = _note;
+          return remove(`/api/notes/${note.id}`);
+        })
+        .then(() => Promise.all([
+          chai
+            .request(app)
+            .get('/api/notes')
+            .set('Authorization', bearerAuth),
+          chai
+            .request(app)
+            .get('/api/trash')
+            .set('Authorization', bearerAuth),
+        ]))
+        .then(([notesRes, trashRes]) => {
+          expect(notesRes.body.map(item => item.id)).to.not.include(note.id);
+          expect(trashRes).to.have.status(200);
+          expect(trashRes.body).to.include.all.keys(
+            'notes',
+            'folders',
+            'tags',
+            'retentionDays',
+          );
+          expect(trashRes.body.notes).to.have.length(1);
+          expect(trashRes.body.notes[0].id).to.equal(note.id);
+          expect(trashRes.body.notes[0].deletedAt).to.exist;
+        });
+    });
+  });
+
+  describe('POST /api/trash/:type/:id/restore', function () {
+    it('should restore a note', function () {
+      let note;
+      return Note.findOne({ userId })
+        .then((_note) => {
+          note = _note;
+          return remove(`/api/notes/${note.id}`);
+        })
+        .then(() => restore('notes', note.id))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.id).to.equal(note.id);
+          expect(res.body.deletedAt).to.not.exist;
+          return Note.countDocuments({ _id: note.id, deletedAt: null });
+        })
+        .then(count => expect(count).to.equal(1));
+    });
+
+    it('should re-attach a restored folder to its notes', function () {
+      let folderId;
+      let noteIds;
+      return Note.findOne({ folderId: { $exists: true }, userId })
+        .then((note) => {
+          ({ folderId } = note);
+          return Note.find({ folderId });
+        })
+        .then((notes) => {
+          noteIds = notes.map(note => note.id);
+          return remove(`/api/folders/${folderId}`);
+        })
+        .then(() => Note.countDocuments({ folderId }))
+        .then((count) => {
+          expect(count).to.equal(0);
+          return restore('folders', folderId);
+        })
+        .then((res) => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.not.include.keys('detachedNoteIds');
+          return Note.find({ folderId });
+        })
+        .then((notes) => {
+          expect(notes.map(note => note.id)).to.have.members(noteIds);
+        });
+    });
+
+    it('should re-attach a restored tag to its notes', function () {
+      let tagId;
+      let noteIds;
+      return Note.findOne({ tags: { $exists: true, $ne: [] }, userId })
+        .then((note) => {
+          [tagId] = note.tags;
+          return Note.find({ tags: tagId });
+        })
+        .then((notes) => {
+          noteIds = notes.map(note => note.id);
+          return remove(`/api/tags/${tagId}`);
+        })
+        .then(() => restore('tags', tagId))
+        .then((res) => {
+          expect(res).to.have.status(200);
+          return Note.find({ tags: tagId });
+        })
+        .then((notes) => {
+          expect(notes.map(note => note.id)).to.have.members(noteIds);
+        });
+    });
+
+    it('should respond with a 400 when the name has been reused', function () {
+      let folder;
+      return Folder.findOne({ userId })
+        .then((_folder) => {
+          folder = _folder;
+          return remove(`/api/folders/${folder.id}`);
+        })
+        .then(() => Folder.create({ name: folder.name, userId }))
+        .then(() => restore('folders', folder.id))
+        .then((res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal(
+            'An item with the same name already exists',
+          );
+        });
+    });
+
+    it('should respond with a 404 for an item that is not in the trash', function () {
+      return Tag.findOne({ userId })
+        .then(tag => restore('tags', tag.id))
+        .then(res => expect(res).to.have.status(404));
+    });
+
+    it('should respond with a 404 for an unknown type', function () {
+      return Tag.findOne({ userId })
+        .then(tag => restore('users', tag.id))
+        .then(res => expect(res).to.have.status(404));
+    });
+  });
+
+  describe('DELETE /api/trash/:type/:id', function () {
+    it('should permanently delete a note and its revisions', function () {
+      let note;
+      return Note.findOne({ userId })
+        .then((_note) => {
+          note = _note;
+          return Revision.snapshot(note);
+        })
+        .then(() => remove(`/api/notes/${note.id}`))
+        .then(() => remove(`/api/trash/notes/${note.id}`))
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Promise.all([
+            Note.countDocuments({ _id: note.id }),
+            Revision.countDocuments({ noteId: note.id }),
+          ]);
+        })
+        .then(([noteCount, revisionCount]) => {
+          expect(noteCount).to.equal(0);
+          expect(revisionCount).to.equal(0);
+        });
+    });
+
+    it('should not purge items which are not in the trash', function () {
+      return Note.findOne({ userId })
+        .then(note => remove(`/api/trash/notes/${note.id}`))
+        .then(res => expect(res).to.have.status(404));
+    });
+  });
+
+  describe('DELETE /api/trash', function () {
+    it("should empty the user's trash", function () {
+      return Note.findOne({ userId })
+        .then(note => remove(`/api/notes/${note.id}`))
+        .then(() => remove('/api/trash'))
+        .then((res) => {
+          expect(res).to.have.status(204);
+          return Note.countDocuments({ userId, deletedAt: { $ne: null } });
+        })
+        .then(count => expect(count).to.equal(0));
+    });
+  });
+
+  describe('purgeExpired', function () {
+    it('should only purge items older than the retention period', function () {
+      const longAgo = new Date('2000-01-01');
+      return Promise.all([
+        Note.findOne({ userId }),
+        Note.findOne({ userId }).skip(1),
+      ])
+        .then(([expired, recent]) => Promise.all([
+          Note.updateOne({ _id: expired.id }, { deletedAt: longAgo }),
+          Note.updateOne({ _id: recent.id }, { deletedAt: new Date() }),
+        ]))
+        .then(() => trash.purgeExpired())
+        .then(() => Note.find({ deletedAt: { $ne: null } }))
+        .then((notes) => {
+          expect(notes).to.have.length(1);
+          expect(notes[0].deletedAt).to.not.eql(longAgo);
+        });
+    });
+  });
+});
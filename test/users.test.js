@@ -5,6 +5,9 @@ const chai = require('chai');
 const chaiHttp = require('chai-http');
 
 const server = require('../server');
+const Folder = require('../models/folder');
+const Note = require('../models/note');
+const tokens = require('../auth/tokens');
 const User = require('../models/user');
 const utils = require('./utils');
 
@@ -123,4 +126,148 @@ describe('/api/users', () => {
       });
     });
   });
+
+  describe('/me', () => {
+    const url = '/api/users/me';
+    const password = 'thisisapassword';
+    let me;
+    let bearerAuth;
+
+    beforeEach(() => User.hashPassword(password)
+      .then(digest => User.create({
+        username: 'aseehra',
+        fullname: 'Arun Seehra',
+        password: digest,
+      }))
+      .then((user) => {
+        me = user;
+        bearerAuth = `Bearer ${tokens.createAuthToken(user.toObject())}`;
+      }));
+
+    describe('GET /me', () => {
+      it('should return the signed in user less their password', function () {
+        return chai
+          .request(server)
+          .get(url)
+          .set('Authorization', bearerAuth)
+          .then((res) => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.deep.equal({
+              id: me.id,
+              username: 'aseehra',
+              fullname: 'Arun Seehra',
+            });
+          });
+      });
+
+      it('should return 401 without a token', function () {
+        return chai
+          .request(server)
+          .get(url)
+          .then((res) => {
+            expect(res).to.have.status(401);
+          });
+      });
+    });
+
+    describe('PATCH /me', () => {
+      it('should update the username and fullname', function () {
+        return chai
+          .request(server)
+          .patch(url)
+          .set('Authorization', bearerAuth)
+          .send({ username: 'arun', fullname: 'Arun S' })
+          .then((res) => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.include({ username: 'arun', fullname: 'Arun S' });
+          });
+      });
+
+      it('should return 400 if the username already exists', function () {
+        return User.create({ username: 'taken', password: 'whatever' })
+          .then(() => chai
+            .request(server)
+            .patch(url)
+            .set('Authorization', bearerAuth)
+            .send({ username: 'taken' }))
+          .then((res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.message).to.equal('The username already exists');
+          });
+      });
+    });
+
+    describe('POST /me/password', () => {
+      it('should change the password and return new tokens', function () {
+        return chai
+          .request(server)
+          .post(`${url}/password`)
+          .set('Authorization', bearerAuth)
+          .send({ currentPassword: password, newPassword: 'anewpassword' })
+          .then((res) => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.have.all.keys('authToken', 'refreshToken');
+            return User.findById(me.id);
+          })
+          .then(user => user.validatePassword('anewpassword'))
+          .then((isValid) => {
+            expect(isValid).to.be.true;
+          });
+      });
+
+      it('should return 422 if the current password is wrong', function () {
+        return chai
+          .request(server)
+          .post(`${url}/password`)
+          .set('Authorization', bearerAuth)
+          .send({ currentPassword: 'notmypassword', newPassword: 'anewpassword' })
+          .then((res) => {
+            expect(res).to.have.status(422);
+            expect(res.body.location).to.equal('currentPassword');
+          });
+      });
+    });
+
+    describe('DELETE /me', () => {
+      it('should remove the user along with their notes and folders', function () {
+        return Promise.all([
+          Note.create({ title: 'Mine', userId: me.id }),
+          Folder.create({ name: 'Mine', userId: me.id }),
+        ])
+          .then(() => chai
+            .request(server)
+            .delete(url)
+            .set('Authorization', bearerAuth)
+            .send({ password }))
+          .then((res) => {
+            expect(res).to.have.status(204);
+            return Promise.all([
+              User.findById(me.id),
+              Note.countDocuments({ userId: me.id }),
+              Folder.countDocuments({ userId: me.id }),
+            ]);
+          })
+          .then(([user, noteCount, folderCount]) => {
+            expect(user).to.be.null;
+            expect(noteCount).to.equal(0);
+            expect(folderCount).to.equal(0);
+          });
+      });
+
+      it('should not remove the user without the right password', function () {
+        return chai
+          .request(server)
+          .delete(url)
+          .set('Authorization', bearerAuth)
+          .send({ password: 'notmypassword' })
+          .then((res) => {
+            expect(res).to.have.status(422);
+            return User.findById(me.id);
+          })
+          .then((user) => {
+            expect(user).to.exist;
+          });
+      });
+    });
+  });
 });
@@ -7,10 +7,19 @@ const {
   folders, notes, tags, users,
 } = require('../db/data');
 const Folder = require('../models/folder');
+const LoginAttempt = require('../models/loginAttempt');
 const Note = require('../models/note');
+const PublicLink = require('../models/publicLink');
+const RefreshToken = require('../models/refreshToken');
+const Revision = require('../models/revision');
+const RevokedToken = require('../models/revokedToken');
+const SavedSearch = require('../models/savedSearch');
 const Tag = require('../models/tag');
+const Template = require('../models/template');
+const Tombstone = require('../models/tombstone');
 const User = require('../models/user');
 const tokens = require('../auth/tokens');
+const { supportsTransactions } = require('../lib/backup');
 
 const utils = {
   connectToDatabase() {
@@ -20,8 +29,16 @@ const utils = {
       .then(() => utils.cleanDatabase())
       .then(() => Promise.all([
         Note.createIndexes(),
+        PublicLink.createIndexes(),
+        RefreshToken.createIndexes(),
+        Revision.createIndexes(),
+        RevokedToken.createIndexes(),
+        SavedSearch.createIndexes(),
         Tag.createIndexes(),
+        Template.createIndexes(),
+        Tombstone.createIndexes(),
         Folder.createIndexes(),
+        LoginAttempt.createIndexes(),
         User.createIndexes(),
       ]));
   },
@@ -38,8 +55,16 @@ const utils = {
   cleanDatabase() {
     return Promise.all([
       Note.deleteMany(),
+      Revision.deleteMany(),
+      PublicLink.deleteMany(),
+      RefreshToken.deleteMany(),
+      RevokedToken.deleteMany(),
+      SavedSearch.deleteMany(),
       Folder.deleteMany(),
+      LoginAttempt.deleteMany(),
       Tag.deleteMany(),
+      Template.deleteMany(),
+      Tombstone.deleteMany(),
       User.deleteMany(),
     ]);
   },
@@ -48,6 +73,9 @@ const utils = {
     return mongoose.connection.dropDatabase().then(() => mongoose.disconnect());
   },
 
+  // Transactions need a replica set, which a local MongoDB may not be
+  supportsTransactions,
+
   generateBearerToken() {
     return User.findOne().then(user => ({
       userId: user.id,
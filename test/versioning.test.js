@@ -0,0 +1,63 @@
+'use strict';
+
+const { expect } = require('chai');
+
+const {
+  etag, ifMatches, matchedVersion, nextVersion, sameVersion,
+} = require('../lib/versioning');
+
+describe('Versioning helpers', () => {
+  describe('etag', () => {
+    it('should quote the version of the document', function () {
+      expect(etag({ version: 3 })).to.equal('"3"');
+    });
+
+    it('should treat documents without a version as version 1', function () {
+      expect(etag({})).to.equal('"1"');
+    });
+  });
+
+  describe('ifMatches', () => {
+    const doc = { version: 2 };
+
+    it('should allow requests without an `If-Match` header', function () {
+      expect(ifMatches(undefined, doc)).to.be.true;
+    });
+
+    it('should compare every listed ETag, weak or strong', function () {
+      expect(ifMatches('"1", W/"2"', doc)).to.be.true;
+      expect(ifMatches('"1", "3"', doc)).to.be.false;
+    });
+
+    it('should match anything with `*`', function () {
+      expect(ifMatches('*', doc)).to.be.true;
+    });
+  });
+
+  describe('matchedVersion', () => {
+    it('should return the version named by a single ETag', function () {
+      expect(matchedVersion('"3"')).to.equal(3);
+      expect(matchedVersion('W/"3"')).to.equal(3);
+    });
+
+    it('should return null for anything else', function () {
+      expect(matchedVersion(undefined)).to.be.null;
+      expect(matchedVersion('*')).to.be.null;
+      expect(matchedVersion('"1", "2"')).to.be.null;
+    });
+  });
+
+  describe('nextVersion', () => {
+    it('should set the version of documents from before versioning to 2', function () {
+      expect(nextVersion({})).to.deep.equal({ version: 2 });
+      expect(nextVersion({ version: 4 })).to.deep.equal({ $inc: { version: 1 } });
+    });
+  });
+
+  describe('sameVersion', () => {
+    it('should match documents created before versioning as version 1', function () {
+      expect(sameVersion({})).to.deep.equal({ version: { $in: [1, null] } });
+      expect(sameVersion({ version: 4 })).to.deep.equal({ version: 4 });
+    });
+  });
+});